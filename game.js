@@ -1,28 +1,170 @@
 import * as THREE from 'three';
 import { VRButton } from 'three/addons/webxr/VRButton.js';
 import { XRControllerModelFactory } from 'three/addons/webxr/XRControllerModelFactory.js';
+import { XRHandModelFactory } from 'three/addons/webxr/XRHandModelFactory.js';
 import { SceneManager } from './modules/SceneManager.js';
 import { Environment } from './modules/Environment.js';
 import { FishingRod } from './modules/FishingRod.js';
-import { FishManager } from './modules/FishManager.js';
+import { FishManager, BITE_EVENTS } from './modules/FishManager.js';
+import { FishPopulation } from './modules/FishPopulation.js';
+import {
+  GameMode,
+  GAME_MODES,
+  CHALLENGES,
+  ROUND_RESULTS,
+  TOURNAMENT_DURATION,
+} from './modules/GameMode.js';
+import {
+  PlayerProfile,
+  TACKLE_UNLOCK_SCORES,
+} from './modules/PlayerProfile.js';
+import { TACKLE } from './modules/Lure.js';
+import { WristMenu } from './modules/WristMenu.js';
+import { VRHud } from './modules/VRHud.js';
+import { HandTracker } from './modules/HandTracker.js';
+import { VRLocomotion } from './modules/VRLocomotion.js';
+import { FirstPersonController } from './modules/FirstPersonController.js';
+import { InputMapper, INPUT_ACTIONS } from './modules/InputMapper.js';
+import { TouchControls } from './modules/TouchControls.js';
+import { Rowboat } from './modules/Rowboat.js';
+import { PhysicsWorld } from './modules/PhysicsWorld.js';
+import { FishFight, FIGHT_RESULTS } from './modules/FishFight.js';
+import {
+  BOBBER_DEPTH_MIN,
+  BOBBER_DEPTH_MAX,
+  BOBBER_DEPTH_STEP,
+  DEFAULT_BOBBER_DEPTH,
+} from './modules/Bobber.js';
+import { ROD_STATES } from './modules/RodStateMachine.js';
+import { EventBus, GAME_EVENTS } from './modules/EventBus.js';
+import { SpeciesCatalog } from './modules/SpeciesCatalog.js';
+import { DAY_PHASES } from './modules/celestials/CelestialManager.js';
+import { AudioManager, AUDIO_BUSES } from './modules/audio/AudioManager.js';
+
+const CATCH_CARD_DURATION = 5000;
+
+// xr-standard gamepad buttons of the right controller
+const KEEP_BUTTON = 4; // A
+const RELEASE_BUTTON = 5; // B
+// xr-standard gamepad button of the left controller
+const MENU_BUTTON = 4; // X
+
+const CONTROLLER_RAY_LENGTH = 5;
+// Screen width (px) below which the panels use the compact layout
+const COMPACT_LAYOUT_WIDTH = 600;
+const VOLUME_STEP = 0.2;
+
+// Wrist menu items that are settings rather than tackle
+const SETTING_ITEMS = {
+  VOLUME: 'setting-volume',
+  HUD: 'setting-hud',
+  VIGNETTE: 'setting-vignette',
+  DEPTH: 'setting-depth',
+  BOAT: 'setting-boat',
+  START: 'setting-start',
+};
+
+// Actions that pick the items of the open tackle box, in TACKLE order
+const TACKLE_SLOT_ACTIONS = [
+  INPUT_ACTIONS.TACKLE_1,
+  INPUT_ACTIONS.TACKLE_2,
+  INPUT_ACTIONS.TACKLE_3,
+  INPUT_ACTIONS.TACKLE_4,
+];
+
+const DAY_PHASE_NAMES = {
+  [DAY_PHASES.DAWN]: 'Amanecer',
+  [DAY_PHASES.DAY]: 'Día',
+  [DAY_PHASES.DUSK]: 'Atardecer',
+  [DAY_PHASES.NIGHT]: 'Noche',
+};
+
+const INPUT_ACTION_NAMES = {
+  [INPUT_ACTIONS.GRAB]: 'Agarrar/Soltar Caña',
+  [INPUT_ACTIONS.CAST]: 'Cargar y Lanzar / Recoger Línea',
+  [INPUT_ACTIONS.REEL]: 'Girar la Manivela del Carrete',
+  [INPUT_ACTIONS.SET_HOOK]: 'Clavar Anzuelo',
+  [INPUT_ACTIONS.PUMP]: 'Bombear la Caña',
+  [INPUT_ACTIONS.DRAG_LOOSEN]: 'Aflojar Freno',
+  [INPUT_ACTIONS.DRAG_TIGHTEN]: 'Apretar Freno',
+  [INPUT_ACTIONS.DEPTH_SHALLOWER]: 'Subir el Anzuelo',
+  [INPUT_ACTIONS.DEPTH_DEEPER]: 'Bajar el Anzuelo',
+  [INPUT_ACTIONS.KEEP_FISH]: 'Guardar Pez en la Nasa',
+  [INPUT_ACTIONS.RELEASE_FISH]: 'Soltar Pez',
+  [INPUT_ACTIONS.TACKLE_MENU]: 'Caja de Pesca',
+  [INPUT_ACTIONS.TACKLE_1]: 'Caja de Pesca: Cebo 1',
+  [INPUT_ACTIONS.TACKLE_2]: 'Caja de Pesca: Cebo 2',
+  [INPUT_ACTIONS.TACKLE_3]: 'Caja de Pesca: Cebo 3',
+  [INPUT_ACTIONS.TACKLE_4]: 'Caja de Pesca: Cebo 4',
+  [INPUT_ACTIONS.NEXT_TACKLE]: 'Siguiente Cebo',
+  [INPUT_ACTIONS.BOAT]: 'Subir/Bajar de la Barca',
+  [INPUT_ACTIONS.MODE_MENU]: 'Elegir Modo de Juego',
+  [INPUT_ACTIONS.RESET]: 'Reiniciar Caña',
+  [INPUT_ACTIONS.DEBUG]: 'Alternar Depuración',
+  [INPUT_ACTIONS.MOVE_FORWARD]: 'Avanzar',
+  [INPUT_ACTIONS.MOVE_BACKWARD]: 'Retroceder',
+  [INPUT_ACTIONS.TURN_LEFT]: 'Girar a la Izquierda',
+  [INPUT_ACTIONS.TURN_RIGHT]: 'Girar a la Derecha',
+};
+
+const AUDIO_BUS_NAMES = {
+  [AUDIO_BUSES.MASTER]: 'General',
+  [AUDIO_BUSES.MUSIC]: 'Música',
+  [AUDIO_BUSES.SFX]: 'Efectos',
+  [AUDIO_BUSES.AMBIENCE]: 'Ambiente',
+};
 
 class Game {
-  constructor() {
+  constructor(ammo) {
     this.sceneManager = new SceneManager();
+    this.clock = new THREE.Clock();
+    this.ammo = ammo;
+    this.events = new EventBus();
+    this.physics = null;
     this.environment = null;
     this.fishingRod = null;
     this.fishManager = null;
+    this.population = null;
+    this.rowboat = null;
     this.controllerR = null;
     this.controllerL = null;
+    this.handR = null;
+    this.handL = null;
+    this.wristMenu = null;
+    this.vrHud = null;
+    this.locomotion = null;
+    this.firstPerson = null;
+    this.touchControls = null;
+    this.controllerRay = null;
     this.objects = [];
 
-    // Game state
-    this.isRodGrabbed = false;
-    this.isCasting = false;
-    this.debugMode = true;
+    // Game state; the rod state lives in this.fishingRod.state
+    this.wasRodJerking = false;
+    this.biteStats = { hooked: 0, missed: 0, early: 0, lost: 0 };
+    this.fight = null;
+    this.lastDragAdjustTime = 0;
+    this.profile = new PlayerProfile().load();
+    this.mode = null;
+    this.landedFishTarget = null;
+    this.wasKeepPressed = false;
+    this.wasReleasePressed = false;
+    this.wasMenuPressed = false;
+    this.debugMode = this.profile.settings.debugMode;
     this.score = 0;
     this.consecutiveCatches = 0;
     this.lastCatchTime = 0;
+    this.input = new InputMapper(this.profile.settings.inputBindings);
+
+    this.audio = new AudioManager(
+      this.sceneManager.camera,
+      this.sceneManager.scene,
+      this.events,
+      this.profile.settings.volumes,
+    );
+    // Browsers only start audio after a user gesture
+    const resumeAudio = () => this.audio.resume();
+    document.addEventListener('pointerdown', resumeAudio, { once: true });
+    document.addEventListener('keydown', resumeAudio, { once: true });
 
     // Create debug info element
     this.debugInfo = document.createElement('div');
@@ -37,6 +179,7 @@ class Game {
     this.debugInfo.style.whiteSpace = 'pre';
     this.debugInfo.style.zIndex = '100';
     this.debugInfo.style.borderRadius = '5px';
+    this.debugInfo.style.display = this.debugMode ? 'block' : 'none';
     document.body.appendChild(this.debugInfo);
 
     // Create score display
@@ -53,44 +196,177 @@ class Game {
     this.scoreDisplay.style.zIndex = '100';
     this.scoreDisplay.style.borderRadius = '5px';
     document.body.appendChild(this.scoreDisplay);
+    this.updateScoreDisplay();
 
-    // Keyboard state
-    this.keyboardState = {
-      isGrabbing: false,
-      moveForward: false,
-      moveBackward: false,
-      moveLeft: false,
-      moveRight: false,
-      moveUp: false,
-      moveDown: false,
-    };
+    // Create fight display (line tension gauge)
+    this.fightDisplay = document.createElement('div');
+    this.fightDisplay.style.position = 'fixed';
+    this.fightDisplay.style.bottom = '20px';
+    this.fightDisplay.style.left = '50%';
+    this.fightDisplay.style.transform = 'translateX(-50%)';
+    this.fightDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    this.fightDisplay.style.color = '#fff';
+    this.fightDisplay.style.padding = '10px';
+    this.fightDisplay.style.fontFamily = 'monospace';
+    this.fightDisplay.style.fontSize = '16px';
+    this.fightDisplay.style.whiteSpace = 'pre';
+    this.fightDisplay.style.zIndex = '100';
+    this.fightDisplay.style.borderRadius = '5px';
+    this.fightDisplay.style.display = 'none';
+    document.body.appendChild(this.fightDisplay);
+
+    // Catch card shown when a fish is landed
+    this.catchCard = document.createElement('div');
+    this.catchCard.style.position = 'fixed';
+    this.catchCard.style.top = '50%';
+    this.catchCard.style.left = '50%';
+    this.catchCard.style.transform = 'translate(-50%, -50%)';
+    this.catchCard.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    this.catchCard.style.color = '#fff';
+    this.catchCard.style.padding = '15px';
+    this.catchCard.style.fontFamily = 'monospace';
+    this.catchCard.style.fontSize = '16px';
+    this.catchCard.style.whiteSpace = 'pre';
+    this.catchCard.style.zIndex = '100';
+    this.catchCard.style.borderRadius = '5px';
+    this.catchCard.style.pointerEvents = 'none';
+    this.catchCard.style.display = 'none';
+    document.body.appendChild(this.catchCard);
+    this.catchCardTimeout = null;
+
+    // Keep or release prompt for the landed fish in front of the player
+    this.landedFishPrompt = document.createElement('div');
+    this.landedFishPrompt.style.position = 'fixed';
+    this.landedFishPrompt.style.bottom = '80px';
+    this.landedFishPrompt.style.left = '50%';
+    this.landedFishPrompt.style.transform = 'translateX(-50%)';
+    this.landedFishPrompt.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    this.landedFishPrompt.style.color = '#fff';
+    this.landedFishPrompt.style.padding = '10px';
+    this.landedFishPrompt.style.fontFamily = 'monospace';
+    this.landedFishPrompt.style.fontSize = '16px';
+    this.landedFishPrompt.style.zIndex = '100';
+    this.landedFishPrompt.style.borderRadius = '5px';
+    this.landedFishPrompt.style.display = 'none';
+    document.body.appendChild(this.landedFishPrompt);
+
+    // Tackle box menu
+    this.tackleMenu = document.createElement('div');
+    this.tackleMenu.style.position = 'fixed';
+    this.tackleMenu.style.top = '50%';
+    this.tackleMenu.style.left = '10px';
+    this.tackleMenu.style.transform = 'translateY(-50%)';
+    this.tackleMenu.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    this.tackleMenu.style.color = '#fff';
+    this.tackleMenu.style.padding = '10px';
+    this.tackleMenu.style.fontFamily = 'monospace';
+    this.tackleMenu.style.fontSize = '16px';
+    this.tackleMenu.style.whiteSpace = 'pre';
+    this.tackleMenu.style.zIndex = '100';
+    this.tackleMenu.style.borderRadius = '5px';
+    this.tackleMenu.style.display = 'none';
+    document.body.appendChild(this.tackleMenu);
+
+    // Objective of the current round
+    this.objectiveDisplay = document.createElement('div');
+    this.objectiveDisplay.style.position = 'fixed';
+    this.objectiveDisplay.style.top = '10px';
+    this.objectiveDisplay.style.left = '50%';
+    this.objectiveDisplay.style.transform = 'translateX(-50%)';
+    this.objectiveDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    this.objectiveDisplay.style.color = '#fff';
+    this.objectiveDisplay.style.padding = '10px';
+    this.objectiveDisplay.style.fontFamily = 'monospace';
+    this.objectiveDisplay.style.fontSize = '16px';
+    this.objectiveDisplay.style.whiteSpace = 'pre';
+    this.objectiveDisplay.style.textAlign = 'center';
+    this.objectiveDisplay.style.zIndex = '100';
+    this.objectiveDisplay.style.borderRadius = '5px';
+    this.objectiveDisplay.style.display = 'none';
+    document.body.appendChild(this.objectiveDisplay);
+
+    // Mode selection and end of round screen
+    this.modeScreen = document.createElement('div');
+    this.modeScreen.style.position = 'fixed';
+    this.modeScreen.style.top = '50%';
+    this.modeScreen.style.left = '50%';
+    this.modeScreen.style.transform = 'translate(-50%, -50%)';
+    this.modeScreen.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+    this.modeScreen.style.color = '#fff';
+    this.modeScreen.style.padding = '20px';
+    this.modeScreen.style.fontFamily = 'monospace';
+    this.modeScreen.style.fontSize = '16px';
+    this.modeScreen.style.zIndex = '200';
+    this.modeScreen.style.borderRadius = '5px';
+    this.modeScreen.style.display = 'flex';
+    this.modeScreen.style.flexDirection = 'column';
+    this.modeScreen.style.gap = '8px';
+    this.modeScreen.style.minWidth = 'min(320px, 80vw)';
+    this.modeScreen.style.maxHeight = '90vh';
+    this.modeScreen.style.overflowY = 'auto';
+    document.body.appendChild(this.modeScreen);
+
+    this.updateLayout();
+    window.addEventListener('resize', () => this.updateLayout());
+
+    this.createProfileControls();
+    this.showModeScreen();
+    this.subscribeToEvents();
 
     this.init();
   }
 
   async init() {
     try {
+      // Initialize physics world
+      this.physics = new PhysicsWorld(this.ammo);
+
       // Initialize environment
-      this.environment = new Environment(this.sceneManager.scene);
+      this.environment = new Environment(
+        this.sceneManager.scene,
+        this.physics,
+        this.events,
+      );
 
       // Initialize fishing rod
-      this.fishingRod = new FishingRod(this.sceneManager.scene);
+      this.fishingRod = new FishingRod(
+        this.sceneManager.scene,
+        this.physics,
+        this.environment,
+        this.events,
+      );
       const rod = await this.fishingRod.init();
       this.objects.push(rod);
+      this.audio.setRod(this.fishingRod);
+      this.fishingRod.state.addEventListener('change', () =>
+        this.onRodStateChange(),
+      );
+      this.applyProfileSettings();
 
       // Initialize fish manager
-      this.fishManager = new FishManager(this.sceneManager.scene);
+      this.fishManager = new FishManager(
+        this.sceneManager.scene,
+        this.physics,
+        this.events,
+      );
       await this.fishManager.init();
+      this.population = new FishPopulation(this.fishManager, this.environment);
+      this.population.populate();
+
+      // Rowboat moored at the shore in front of the starting spot
+      this.rowboat = new Rowboat(this.sceneManager.scene, this.environment);
 
       // Setup initial camera position for non-VR
       this.setupNonVRCamera();
+      this.setupFirstPersonControls();
 
       // Setup VR controllers (but don't enable VR by default)
       this.setupVRControllers();
 
-      // Setup keyboard and mouse controls
-      this.setupKeyboardControls();
+      // Setup keyboard, gamepad and mouse controls
+      this.setupInputControls();
       this.setupMouseControls();
+      this.setupTouchControls();
 
       // Create VR toggle button
       this.createVRButton();
@@ -110,63 +386,95 @@ class Game {
     this.sceneManager.camera.lookAt(0, 0, 0);
   }
 
+  /**
+   * Desktop first-person controls: clicking the view captures the mouse to
+   * look around, and the movement keys walk along the shore and the
+   * terrain around the rocks.
+   */
+  setupFirstPersonControls() {
+    const { terrain, shore, rocks } = this.environment;
+    const { mouseSensitivity, invertY } = this.profile.settings;
+    this.firstPerson = new FirstPersonController(
+      this.sceneManager.camera,
+      this.sceneManager.renderer.domElement,
+      this.input,
+      { grounds: [terrain, shore].filter(Boolean), obstacles: rocks },
+    );
+    this.firstPerson.setSensitivity(mouseSensitivity);
+    this.firstPerson.setInvertY(invertY);
+  }
+
   setupMouseControls() {
-    let isMouseDown = false;
-    let lastMouseX = 0;
-    let lastMouseY = 0;
-    const mouseSensitivity = 0.002;
-
-    // Mouse look controls
-    document.addEventListener('mousedown', (event) => {
-      if (event.button === 2) {
-        // Right mouse button
-        isMouseDown = true;
-        lastMouseX = event.clientX;
-        lastMouseY = event.clientY;
-      }
+    // Prevent context menu on right click
+    document.addEventListener('contextmenu', (event) => {
+      event.preventDefault();
     });
 
-    document.addEventListener('mouseup', (event) => {
-      if (event.button === 2) {
-        // Right mouse button
-        isMouseDown = false;
+    // Mouse wheel for zoom, or to crank the reel while the line is out
+    document.addEventListener('wheel', (event) => {
+      if (this.fishingRod?.isCasting) {
+        // Each wheel notch (100 px) is a quarter turn of the handle
+        this.fishingRod.crank(event.deltaY / 400);
+        return;
       }
+      this.firstPerson?.zoom(event.deltaY);
     });
+  }
 
-    document.addEventListener('mousemove', (event) => {
-      if (!isMouseDown) return;
-
-      const deltaX = event.clientX - lastMouseX;
-      const deltaY = event.clientY - lastMouseY;
-
-      // Rotate camera horizontally
-      this.sceneManager.camera.rotation.y -= deltaX * mouseSensitivity;
-
-      // Rotate camera vertically, with limits
-      const newRotationX =
-        this.sceneManager.camera.rotation.x - deltaY * mouseSensitivity;
-      this.sceneManager.camera.rotation.x = Math.max(
-        -Math.PI / 3,
-        Math.min(Math.PI / 3, newRotationX),
-      );
+  /**
+   * On-screen joystick and buttons for phones and tablets, which feed the
+   * same input actions as the keyboard and the gamepad.
+   */
+  setupTouchControls() {
+    if (!TouchControls.isSupported()) return;
 
-      lastMouseX = event.clientX;
-      lastMouseY = event.clientY;
-    });
+    this.touchControls = new TouchControls(
+      this.input,
+      this.sceneManager.renderer.domElement,
+    );
+    // Swipes look around, so a tap must not ask for pointer lock
+    this.firstPerson?.setLockOnClick(false);
+    this.updateLayout();
+  }
 
-    // Prevent context menu on right click
-    document.addEventListener('contextmenu', (event) => {
-      event.preventDefault();
+  /**
+   * Fits the panels to the screen: smaller text on narrow screens, and in
+   * portrait the prompts move up out of the way of the touch controls.
+   */
+  updateLayout() {
+    const isCompact = window.innerWidth < COMPACT_LAYOUT_WIDTH;
+    const fontSize = isCompact ? '12px' : '16px';
+    const padding = isCompact ? '6px' : '10px';
+    [
+      this.scoreDisplay,
+      this.fightDisplay,
+      this.catchCard,
+      this.landedFishPrompt,
+      this.tackleMenu,
+      this.objectiveDisplay,
+      this.modeScreen,
+    ].forEach((panel) => {
+      panel.style.fontSize = fontSize;
     });
+    [this.scoreDisplay, this.fightDisplay, this.landedFishPrompt].forEach(
+      (panel) => {
+        panel.style.padding = padding;
+      },
+    );
 
-    // Mouse wheel for zoom
-    document.addEventListener('wheel', (event) => {
-      const zoomSpeed = 0.001;
-      const forward = new THREE.Vector3(0, 0, -1);
-      forward.applyQuaternion(this.sceneManager.camera.quaternion);
-      forward.multiplyScalar(event.deltaY * zoomSpeed);
-      this.sceneManager.camera.position.add(forward);
-    });
+    // The debug panel is long; it scrolls instead of covering the view
+    this.debugInfo.style.fontSize = isCompact ? '9px' : '12px';
+    this.debugInfo.style.padding = padding;
+    this.debugInfo.style.maxHeight = isCompact ? '40vh' : '80vh';
+    this.debugInfo.style.maxWidth = isCompact ? '55vw' : 'none';
+    this.debugInfo.style.overflow = 'auto';
+
+    const isPortraitTouch =
+      this.touchControls && window.innerWidth < window.innerHeight;
+    this.fightDisplay.style.bottom = isPortraitTouch ? '50%' : '20px';
+    this.landedFishPrompt.style.bottom = isPortraitTouch
+      ? 'calc(50% + 60px)'
+      : '80px';
   }
 
   createVRButton() {
@@ -220,11 +528,14 @@ class Game {
     ]);
     const line = new THREE.Line(geometry);
     line.name = 'line';
-    line.scale.z = 5;
+    line.scale.z = CONTROLLER_RAY_LENGTH;
     this.controllerR.add(line);
+    this.controllerRay = line;
 
     // Controller event listeners
     this.controllerR.addEventListener('connected', (event) => {
+      // Keep the input source for haptic feedback
+      this.controllerR.userData.inputSource = event.data;
       const hasHand = event.data.hand;
       if (line) line.visible = !hasHand;
       // Show grab sphere when controller is connected
@@ -239,26 +550,76 @@ class Game {
     });
 
     this.controllerR.addEventListener('disconnected', () => {
+      this.controllerR.userData.inputSource = null;
       // Hide grab sphere when controller is disconnected
       if (this.fishingRod && this.fishingRod.grabSphere) {
         this.fishingRod.grabSphere.visible = false;
       }
     });
 
-    this.controllerR.addEventListener('selectstart', () =>
-      this.onSelectStart(),
-    );
-    this.controllerR.addEventListener('selectend', () => this.onSelectEnd());
-    this.controllerR.addEventListener('squeezestart', () =>
-      this.onSqueezeStart(),
-    );
-    this.controllerR.addEventListener('squeezeend', () => this.onSqueezeEnd());
+    // A tracked hand pinching also selects; its gestures are handled by
+    // the hand tracker instead
+    const isHand = () => Boolean(this.controllerR.userData.inputSource?.hand);
+    this.controllerR.addEventListener('selectstart', () => {
+      if (!isHand()) this.onSelectStart();
+    });
+    this.controllerR.addEventListener('selectend', () => {
+      if (!isHand()) this.onSelectEnd();
+    });
+    this.controllerR.addEventListener('squeezestart', () => {
+      if (!isHand()) this.onSqueezeStart();
+    });
+    this.controllerR.addEventListener('squeezeend', () => {
+      if (!isHand()) this.onSqueezeEnd();
+    });
 
     this.sceneManager.add(this.controllerR);
     this.sceneManager.add(controllerGripR);
 
     // Left Controller
     this.controllerL = this.sceneManager.renderer.xr.getController(1);
+
+    this.controllerL.addEventListener('connected', (event) => {
+      // Keep the input source for the menu button
+      this.controllerL.userData.inputSource = event.data;
+      // A tracked hand cranks the reel with its index fingertip
+      this.fishingRod?.setCrankController(
+        (event.data.hand && this.handL?.indexTip) || this.controllerL,
+      );
+    });
+    this.controllerL.addEventListener('disconnected', () => {
+      this.controllerL.userData.inputSource = null;
+    });
+
+    // Circling the left controller around the reel cranks it
+    this.fishingRod?.setCrankController(this.controllerL);
+
+    // Game status on the left wrist
+    this.vrHud = new VRHud(this.controllerL);
+    this.vrHud.setEnabled(this.profile.settings.vrHud);
+
+    // Tackle box and settings above the left hand, opened with X and
+    // chosen with the right controller ray or by poking with the right hand
+    this.wristMenu = new WristMenu(this.controllerL, {
+      sections: [
+        {
+          title: 'Caja de pesca',
+          items: Object.values(TACKLE).map(({ id }) => ({
+            id,
+            label: this.getTackleLabel(id),
+          })),
+        },
+        {
+          title: 'Ajustes',
+          items: Object.values(SETTING_ITEMS).map((id) => ({
+            id,
+            label: this.getSettingLabel(id),
+          })),
+        },
+      ],
+      onSelect: (id) => this.onWristMenuSelect(id),
+    });
+    if (this.fishingRod) this.wristMenu.setSelected(this.fishingRod.tackle.id);
     const controllerGripL = this.sceneManager.renderer.xr.getControllerGrip(1);
     this.sceneManager.add(this.controllerL);
     this.sceneManager.add(controllerGripL);
@@ -270,144 +631,837 @@ class Game {
     controllerGripL.add(
       controllerModelFactory.createControllerModel(controllerGripL),
     );
+
+    this.setupHands();
+    this.setupLocomotion();
   }
 
-  setupKeyboardControls() {
-    // Add camera movement controls for non-VR mode
-    const moveSpeed = 0.1;
-    const rotateSpeed = 0.02;
-
-    document.addEventListener('keydown', (event) => {
-      switch (event.code) {
-        case 'KeyR':
-          this.resetRodStatus();
-          break;
-        case 'KeyQ':
-          this.toggleDebugMode();
-          break;
-        case 'Space':
-          if (this.isRodGrabbed) {
-            this.onSqueezeStart();
-          }
-          break;
-        case 'KeyE':
-          if (!this.isRodGrabbed) {
-            this.keyboardState.isGrabbing = true;
-            this.onSelectStart();
-          }
-          break;
-        // Camera movement
-        case 'ArrowUp':
-        case 'KeyW':
-          this.sceneManager.camera.position.z -=
-            Math.cos(this.sceneManager.camera.rotation.y) * moveSpeed;
-          this.sceneManager.camera.position.x -=
-            Math.sin(this.sceneManager.camera.rotation.y) * moveSpeed;
-          break;
-        case 'ArrowDown':
-        case 'KeyS':
-          this.sceneManager.camera.position.z +=
-            Math.cos(this.sceneManager.camera.rotation.y) * moveSpeed;
-          this.sceneManager.camera.position.x +=
-            Math.sin(this.sceneManager.camera.rotation.y) * moveSpeed;
-          break;
-        case 'ArrowLeft':
-        case 'KeyA':
-          this.sceneManager.camera.rotation.y += rotateSpeed;
-          break;
-        case 'ArrowRight':
-        case 'KeyD':
-          this.sceneManager.camera.rotation.y -= rotateSpeed;
-          break;
-        case 'KeyF':
-          const caughtFish = this.fishManager?.getCaughtFish();
-          if (caughtFish) {
-            this.addScore(caughtFish);
-            this.fishManager.catchFish(caughtFish);
-          }
-          break;
-      }
+  /**
+   * VR locomotion: the left thumbstick walks, the right one snap turns and
+   * holding the left trigger aims a teleport onto the shore or the terrain.
+   */
+  setupLocomotion() {
+    const { terrain, shore, water, rocks } = this.environment;
+    this.locomotion = new VRLocomotion(
+      this.sceneManager.renderer,
+      this.sceneManager.camera,
+      this.sceneManager.scene,
+      {
+        moveController: this.controllerL,
+        turnController: this.controllerR,
+        walkables: [terrain, shore].filter(Boolean),
+        obstacles: [water, ...rocks].filter(Boolean),
+      },
+    );
+    this.locomotion.setVignetteEnabled(this.profile.settings.vrVignette);
+  }
+
+  /**
+   * Tracked hands: the right hand grabs the rod by pinching or making a
+   * fist near it and casts with a throwing swing; the left index finger
+   * twirled around the reel retrieves line.
+   */
+  setupHands() {
+    const handModelFactory = new XRHandModelFactory();
+    const xr = this.sceneManager.renderer.xr;
+    this.handR = new HandTracker(xr.getHand(0));
+    this.handL = new HandTracker(xr.getHand(1));
+    [this.handR, this.handL].forEach(({ hand }) => {
+      hand.add(handModelFactory.createHandModel(hand, 'mesh'));
+      this.sceneManager.add(hand);
     });
 
-    document.addEventListener('keyup', (event) => {
-      switch (event.code) {
-        case 'Space':
-          this.onSqueezeEnd();
-          break;
-        case 'KeyE':
-          this.keyboardState.isGrabbing = false;
-          this.onSelectEnd();
-          break;
-        case 'KeyW':
-          this.keyboardState.moveForward = false;
-          break;
-        case 'KeyS':
-          this.keyboardState.moveBackward = false;
-          break;
-        case 'KeyA':
-          this.keyboardState.moveLeft = false;
-          break;
-        case 'KeyD':
-          this.keyboardState.moveRight = false;
-          break;
-      }
+    this.handR.addEventListener('grabstart', () => this.onHandGrabStart());
+    this.handR.addEventListener('grabend', () => this.onHandGrabEnd());
+    this.handR.addEventListener('throwstart', () => {
+      if (this.isRodInHand()) this.fishingRod.startCharging();
+    });
+    this.handR.addEventListener('throwend', () => {
+      if (this.isRodInHand()) this.fishingRod.releaseCast();
     });
   }
 
+  /**
+   * @returns {boolean} Whether the rod is held by the tracked right hand
+   */
+  isRodInHand() {
+    const wrist = this.handR?.wrist;
+    return Boolean(wrist) && this.fishingRod?.controller === wrist;
+  }
+
+  /**
+   * Picks the wrist menu item under the hand ray, or else grabs the rod by
+   * the wrist if the hand is within its grab radius.
+   */
+  onHandGrabStart() {
+    if (this.wristMenu?.selectHovered()) return;
+    if (!this.fishingRod || this.fishingRod.isGrabbed) return;
+
+    const { wrist } = this.handR;
+    this.fishingRod.grab(wrist, wrist.getWorldPosition(new THREE.Vector3()));
+  }
+
+  onHandGrabEnd() {
+    if (this.isRodInHand()) this.onSelectEnd();
+  }
+
+  /**
+   * Desktop controls: the input mapper turns keys and gamepad buttons into
+   * actions, handled here; walking is read by the first-person controller.
+   */
+  setupInputControls() {
+    this.input.addEventListener('actiondown', ({ action, isRepeat }) =>
+      this.onActionDown(action, isRepeat),
+    );
+    this.input.addEventListener('actionup', ({ action, strength }) =>
+      this.onActionUp(action, strength),
+    );
+  }
+
+  /**
+   * @param {string} action - One of INPUT_ACTIONS
+   * @param {boolean} isRepeat - Whether the key was already held
+   */
+  onActionDown(action, isRepeat) {
+    if (action === INPUT_ACTIONS.MODE_MENU) {
+      if (!isRepeat) this.toggleModeScreen();
+      return;
+    }
+    // The game ignores the input while a mode is being chosen
+    if (this.isModeScreenOpen()) return;
+
+    switch (action) {
+      case INPUT_ACTIONS.RESET:
+        this.resetRodStatus();
+        break;
+      case INPUT_ACTIONS.DEBUG:
+        this.toggleDebugMode();
+        break;
+      case INPUT_ACTIONS.CAST:
+        if (this.fishingRod?.isGrabbed && !isRepeat) {
+          this.onSqueezeStart();
+        }
+        break;
+      case INPUT_ACTIONS.GRAB:
+        if (!this.fishingRod?.isGrabbed) this.onSelectStart();
+        break;
+      case INPUT_ACTIONS.SET_HOOK:
+        if (!isRepeat) this.setHook();
+        break;
+      // Fight controls
+      case INPUT_ACTIONS.REEL:
+        if (this.fishingRod) this.fishingRod.isReeling = true;
+        break;
+      case INPUT_ACTIONS.PUMP:
+        if (this.fishingRod) this.fishingRod.isPumping = true;
+        break;
+      case INPUT_ACTIONS.DRAG_LOOSEN:
+        this.adjustDrag(-1);
+        break;
+      case INPUT_ACTIONS.DRAG_TIGHTEN:
+        this.adjustDrag(1);
+        break;
+      case INPUT_ACTIONS.DEPTH_SHALLOWER:
+        this.adjustBobberDepth(-1);
+        break;
+      case INPUT_ACTIONS.DEPTH_DEEPER:
+        this.adjustBobberDepth(1);
+        break;
+      // Landed fish
+      case INPUT_ACTIONS.KEEP_FISH:
+        if (!isRepeat) this.keepLandedFish();
+        break;
+      case INPUT_ACTIONS.RELEASE_FISH:
+        if (!isRepeat) this.releaseLandedFish();
+        break;
+      case INPUT_ACTIONS.TACKLE_MENU:
+        if (!isRepeat) this.toggleTackleMenu();
+        break;
+      case INPUT_ACTIONS.TACKLE_1:
+      case INPUT_ACTIONS.TACKLE_2:
+      case INPUT_ACTIONS.TACKLE_3:
+      case INPUT_ACTIONS.TACKLE_4:
+        if (!isRepeat)
+          this.selectTackleSlot(TACKLE_SLOT_ACTIONS.indexOf(action));
+        break;
+      case INPUT_ACTIONS.NEXT_TACKLE:
+        if (!isRepeat) this.selectNextTackle();
+        break;
+      case INPUT_ACTIONS.BOAT:
+        if (!isRepeat) this.toggleBoat();
+        break;
+    }
+  }
+
+  /**
+   * @param {string} action - One of INPUT_ACTIONS
+   * @param {number} strength - How hard the input was released, e.g. the
+   *   speed of a touch flick, from 0 to 1
+   */
+  onActionUp(action, strength = 1) {
+    switch (action) {
+      case INPUT_ACTIONS.CAST:
+        this.onSqueezeEnd(strength);
+        break;
+      case INPUT_ACTIONS.GRAB:
+        this.onSelectEnd();
+        break;
+      case INPUT_ACTIONS.REEL:
+        if (this.fishingRod) this.fishingRod.isReeling = false;
+        break;
+      case INPUT_ACTIONS.PUMP:
+        if (this.fishingRod) this.fishingRod.isPumping = false;
+        break;
+    }
+  }
+
   onSelectStart() {
+    if (!this.fishingRod) return;
+
     if (this.sceneManager.renderer.xr.isPresenting) {
-      // VR Mode
+      // VR Mode; the trigger picks the menu item under the ray instead
+      if (this.wristMenu?.selectHovered()) return;
+
       const controllerPos = new THREE.Vector3();
       this.controllerR?.getWorldPosition(controllerPos);
-      if (this.fishingRod.grab(this.controllerR, controllerPos)) {
-        this.isRodGrabbed = true;
-      }
+      this.fishingRod.grab(this.controllerR, controllerPos);
     } else {
       // Non-VR Mode
-      this.isRodGrabbed = true;
       this.fishingRod.grab();
     }
   }
 
   onSelectEnd() {
-    if (this.isRodGrabbed) {
-      const landingPosition = this.fishingRod.release();
+    if (!this.fishingRod?.isGrabbed) return;
+
+    // Letting go of the rod in the middle of the fight frees the fish; an
+    // exhausted one is lifted out onto the shore
+    const isFishLanded = this.fishingRod.state.is(ROD_STATES.LANDING);
+    if (this.fight && !isFishLanded) this.loseHookedFish('¡Se soltó!');
+    const landedFish = isFishLanded ? this.fight.fish : null;
+    this.fight = null;
+
+    const landingPosition = this.fishingRod.release();
+    if (landedFish && landingPosition) {
+      this.fishManager.throwFish(landedFish, landingPosition);
+    }
+  }
 
-      // If we have a caught fish and a valid landing position, throw it
-      const caughtFish = this.fishManager?.getCaughtFish();
-      if (caughtFish && landingPosition) {
-        this.fishManager.throwFish(caughtFish, landingPosition);
+  onSqueezeStart() {
+    // The line cannot be retrieved with a fish on
+    if (!this.fishingRod?.isGrabbed || this.fishingRod.hasFishBite) return;
+
+    if (this.fishingRod.isCasting) {
+      // Pressing again while the line is out retrieves it
+      this.fishingRod.endCasting();
+    } else {
+      this.fishingRod.startCharging();
+    }
+  }
+
+  /**
+   * @param {number} powerScale - Fraction of the charged power to cast
+   */
+  onSqueezeEnd(powerScale = 1) {
+    this.fishingRod?.releaseCast(powerScale);
+  }
+
+  /**
+   * Frees the fish of a fight the rod left without the game handling it,
+   * e.g. when the rod is reset or the line retrieved mid-fight.
+   */
+  onRodStateChange() {
+    if (!this.fight || this.fishingRod.hasFishBite) return;
+
+    this.fishManager.releaseFish(this.fight.fish, this.fishingRod.tipPosition);
+    this.fight = null;
+  }
+
+  /**
+   * Gameplay reactions to the events published by the rod, the fish and
+   * the environment.
+   */
+  subscribeToEvents() {
+    this.events.on(GAME_EVENTS.BITE, (event) => {
+      if (
+        event.stage === BITE_EVENTS.MISSED ||
+        event.stage === BITE_EVENTS.EARLY
+      ) {
+        this.onBiteFailed(event);
       }
+    });
+    this.events.on(GAME_EVENTS.HOOKED, ({ fish }) => this.onFishHooked(fish));
+    this.events.on(GAME_EVENTS.FISH_LANDED, ({ fish, record }) =>
+      this.onFishLanded(fish, record),
+    );
+    this.events.on(GAME_EVENTS.SCORE_AWARDED, ({ points, position }) => {
+      this.showScorePopup(points, position);
+      this.updateScoreDisplay();
+    });
+  }
+
+  /**
+   * Advances the bite sequence of the fish at the lure; the rod and the
+   * game react to it through the bite events.
+   * @param {number} time - Current time in seconds
+   */
+  updateBite(time) {
+    const lurePosition = this.fishingRod.isLureInWater()
+      ? this.fishingRod.lineEndPoint
+      : null;
+    this.fishManager?.updateBite(time, lurePosition);
+  }
 
-      this.isRodGrabbed = false;
+  /**
+   * Sets the hook on the fish at the lure. Only works during the strike
+   * window; too early spooks the fish.
+   */
+  setHook() {
+    if (!this.fishingRod?.isLureInWater() || this.fishingRod.hasFishBite) {
+      return;
     }
+
+    this.fishManager?.setHook(this.fishingRod.lineEndPoint);
   }
 
-  onSqueezeStart() {
-    if (this.isRodGrabbed && !this.isCasting) {
-      this.fishingRod.startCasting();
+  /**
+   * Starts the fight with a fish that was just hooked.
+   * @param {THREE.Object3D} fish - Hooked fish
+   */
+  onFishHooked(fish) {
+    this.biteStats.hooked++;
+    this.fight = new FishFight(
+      fish,
+      this.fishingRod.tipPosition,
+      this.fishingRod.lineOut,
+    );
+  }
+
+  /**
+   * Scores a fish lifted out of the water and shows its catch card.
+   * @param {THREE.Object3D} fish - Landed fish
+   * @param {object} record - Its catch record
+   */
+  onFishLanded(fish, record) {
+    if (this.isScoring()) this.addScore(fish);
+    this.showCatchCard(record, this.profile.recordCatch(record));
+    if (this.mode?.onCatch(record)) this.endRound();
+  }
+
+  /**
+   * Scores a missed strike or an early hook-set: the catch streak is lost.
+   * @param {{stage: string, fish: THREE.Object3D}} bite - Failed bite event
+   */
+  onBiteFailed(bite) {
+    const isEarly = bite.stage === BITE_EVENTS.EARLY;
+    if (isEarly) {
+      this.biteStats.early++;
+    } else {
+      this.biteStats.missed++;
     }
+
+    this.consecutiveCatches = 0;
+    this.updateScoreDisplay();
+    this.showPopup(
+      isEarly ? '¡Demasiado pronto!' : '¡Se escapó!',
+      this.fishingRod.lineEndPoint,
+      '#ff6666',
+    );
   }
 
-  onSqueezeEnd() {
-    if (this.isRodGrabbed) {
-      this.fishingRod.endCasting();
+  /**
+   * Advances the fight with the hooked fish and applies its outcome.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  updateFight(delta) {
+    if (!this.fight) {
+      this.fightDisplay.style.display = 'none';
+      return;
+    }
+
+    // The fish starts pulling on the first fight step after the hook-set
+    if (this.fishingRod.state.is(ROD_STATES.HOOKED)) {
+      this.fishingRod.state.transition(ROD_STATES.FIGHTING);
+    }
+    const wasLanded = this.fight.result === FIGHT_RESULTS.LANDED;
+    const result = this.fight.update(delta, {
+      tipPosition: this.fishingRod.tipPosition,
+      lineOut: this.fishingRod.lineOut,
+      drag: this.fishingRod.drag,
+    });
+    this.fishingRod.lineOut = this.fight.lineOut;
+    this.fishingRod.setLineTension(this.fight.tensionRatio);
+
+    if (result === FIGHT_RESULTS.SNAPPED) {
+      const { fish } = this.fight;
+      this.loseHookedFish('¡Sedal roto!');
+      this.events.emit(GAME_EVENTS.LINE_SNAPPED, { fish });
+      return;
+    }
+
+    if (result === FIGHT_RESULTS.LANDED && !wasLanded) {
+      this.fishingRod.state.transition(ROD_STATES.LANDING);
+      this.showPopup(
+        '¡Pez agotado! Suelta la caña para sacarlo',
+        this.fight.fish.position,
+        '#66ff66',
+      );
+    }
+
+    this.updateFightDisplay();
+  }
+
+  /**
+   * Drops the hooked fish: it swims away and the catch streak is lost.
+   * @param {string} message - Popup text explaining what happened
+   */
+  loseHookedFish(message) {
+    const fish = this.fight?.fish ?? this.fishManager?.getCaughtFish();
+    this.fight = null;
+    this.fishingRod.resetFishBite();
+    if (!fish) return;
+
+    this.fishManager.releaseFish(fish, this.fishingRod.tipPosition);
+    this.biteStats.lost++;
+    this.consecutiveCatches = 0;
+    this.updateScoreDisplay();
+    this.showPopup(message, fish.position, '#ff6666');
+  }
+
+  updateFightDisplay() {
+    const bar = (ratio) => {
+      const filled = Math.round(THREE.MathUtils.clamp(ratio, 0, 1) * 10);
+      return '█'.repeat(filled) + '░'.repeat(10 - filled);
+    };
+    const tension = this.fight.tensionRatio;
+
+    this.fightDisplay.style.display = 'block';
+    this.fightDisplay.style.color = tension > 0.8 ? '#ff6666' : '#fff';
+    this.fightDisplay.textContent = `🎣 PELEA ${'-'.repeat(16)}
+Tensión: ${bar(tension)} ${Math.round(tension * 100)}%
+Freno:   ${this.fishingRod.drag} N
+Sedal:   ${this.fight.lineOut.toFixed(1)} m
+Pez:     ${bar(this.fight.energy)} ${Math.round(this.fight.energy * 100)}%`;
+  }
+
+  /**
+   * Picks the landed fish the player is next to or pointing at (with the
+   * right controller in VR, the view otherwise) and handles the keep and
+   * release buttons in VR.
+   */
+  updateLandedFishTarget() {
+    if (!this.fishManager) return;
+
+    const ray = new THREE.Ray();
+    const isPresenting = this.sceneManager.renderer.xr.isPresenting;
+    if (isPresenting && this.controllerR) {
+      this.controllerR.getWorldPosition(ray.origin);
+      this.controllerR.getWorldDirection(ray.direction).negate();
+    } else {
+      const camera = this.sceneManager.camera;
+      camera.getWorldPosition(ray.origin);
+      camera.getWorldDirection(ray.direction);
+    }
+
+    const target = this.fishManager.findLandedFish(ray);
+    if (target !== this.landedFishTarget) {
+      if (this.landedFishTarget)
+        this.landedFishTarget.userData.isTargeted = false;
+      if (target) target.userData.isTargeted = true;
+      this.landedFishTarget = target;
+    }
+
+    if (target && !isPresenting) {
+      const { species, length } = target.userData;
+      this.landedFishPrompt.textContent = `🐟 ${species.name} (${length.toFixed(1)} cm) · ${this.input.getKeyName(
+        INPUT_ACTIONS.KEEP_FISH,
+      )}: Guardar · ${this.input.getKeyName(INPUT_ACTIONS.RELEASE_FISH)}: Soltar`;
+      this.landedFishPrompt.style.display = 'block';
+    } else {
+      this.landedFishPrompt.style.display = 'none';
+    }
+
+    // A keeps and B releases the targeted fish in VR
+    const buttons = this.controllerR?.userData.inputSource?.gamepad?.buttons;
+    const isKeepPressed = buttons?.[KEEP_BUTTON]?.pressed ?? false;
+    const isReleasePressed = buttons?.[RELEASE_BUTTON]?.pressed ?? false;
+    if (isKeepPressed && !this.wasKeepPressed) this.keepLandedFish();
+    if (isReleasePressed && !this.wasReleasePressed) this.releaseLandedFish();
+    this.wasKeepPressed = isKeepPressed;
+    this.wasReleasePressed = isReleasePressed;
+  }
+
+  /**
+   * Puts the targeted landed fish in the creel.
+   */
+  keepLandedFish() {
+    const fish = this.landedFishTarget;
+    if (!fish) return;
+
+    this.landedFishTarget = null;
+    const position = fish.position.clone();
+    const record = this.fishManager.keepFish(fish);
+    this.profile.addToCreel(record);
+    this.mode?.onKeep(record);
+    this.showPopup('¡A la nasa!', position, '#66ff66');
+    this.updateScoreDisplay();
+  }
+
+  /**
+   * Throws the targeted landed fish back into the lake.
+   */
+  releaseLandedFish() {
+    const fish = this.landedFishTarget;
+    if (!fish) return;
+
+    this.landedFishTarget = null;
+    this.fishManager.releaseLandedFish(fish);
+    this.showPopup('¡Liberado!', fish.position, '#66ccff');
+  }
+
+  /**
+   * Menu label of a bait or lure, with the score that unlocks it if locked.
+   * @param {string} tackleId - Key of TACKLE
+   * @returns {string}
+   */
+  getTackleLabel(tackleId) {
+    const { name } = TACKLE[tackleId];
+    return this.profile.isTackleUnlocked(tackleId)
+      ? name
+      : `🔒 ${name} (${TACKLE_UNLOCK_SCORES[tackleId]})`;
+  }
+
+  isTackleMenuOpen() {
+    return this.tackleMenu.style.display !== 'none';
+  }
+
+  /**
+   * Opens or closes the tackle box menu.
+   * @param {boolean} isOpen - Forced state; toggles when omitted
+   */
+  toggleTackleMenu(isOpen = !this.isTackleMenuOpen()) {
+    if (isOpen) this.updateTackleMenu();
+    this.tackleMenu.style.display = isOpen ? 'block' : 'none';
+  }
+
+  updateTackleMenu() {
+    const activeId = this.fishingRod?.tackle.id;
+    const items = Object.values(TACKLE).map(
+      ({ id }, index) =>
+        `${id === activeId ? '▶' : ' '} ${this.input.getKeyName(
+          TACKLE_SLOT_ACTIONS[index],
+        )}. ${this.getTackleLabel(id)}`,
+    );
+    this.tackleMenu.textContent = `🧰 CAJA DE PESCA ${'-'.repeat(8)}
+${items.join('\n')}
+${'-'.repeat(25)}
+Profundidad: ${this.getBobberDepthLabel()} (${this.input.getKeyName(
+      INPUT_ACTIONS.DEPTH_SHALLOWER,
+    )}/${this.input.getKeyName(INPUT_ACTIONS.DEPTH_DEEPER)})
+${this.input.getKeyName(INPUT_ACTIONS.TACKLE_MENU)}: Cerrar`;
+  }
+
+  /**
+   * Picks an item of the open tackle box and closes it.
+   * @param {number} slot - Index of the item in TACKLE order
+   */
+  selectTackleSlot(slot) {
+    const tackle = Object.values(TACKLE)[slot];
+    if (!tackle || !this.isTackleMenuOpen()) return;
+
+    this.selectTackle(tackle.id);
+    this.toggleTackleMenu(false);
+  }
+
+  /**
+   * Puts another bait or lure on the line, if the line is in.
+   * @param {string} tackleId - Key of TACKLE
+   */
+  selectTackle(tackleId) {
+    if (!this.fishingRod) return;
+
+    const position = this.fishingRod.tipPosition;
+    if (!this.profile.isTackleUnlocked(tackleId)) {
+      this.showPopup(
+        `🔒 ${TACKLE[tackleId].name}: ${TACKLE_UNLOCK_SCORES[tackleId]} puntos`,
+        position,
+        '#ff6666',
+      );
+      return;
+    }
+    if (!this.fishingRod.setTackle(tackleId)) {
+      this.showPopup(
+        'Recoge el sedal para cambiar de cebo',
+        position,
+        '#ff6666',
+      );
+      return;
+    }
+
+    this.showPopup(TACKLE[tackleId].name, position, '#66ccff');
+    this.profile.setSetting('tackle', tackleId);
+    this.wristMenu?.setSelected(tackleId);
+    if (this.isTackleMenuOpen()) this.updateTackleMenu();
+  }
+
+  /**
+   * Puts on the next unlocked bait or lure of the tackle box.
+   */
+  selectNextTackle() {
+    if (!this.fishingRod) return;
+
+    const ids = Object.keys(TACKLE).filter((id) =>
+      this.profile.isTackleUnlocked(id),
+    );
+    const index = ids.indexOf(this.fishingRod.tackle.id);
+    this.selectTackle(ids[(index + 1) % ids.length]);
+  }
+
+  /**
+   * Wrist menu label of a setting, showing its current value.
+   * @param {string} id - One of SETTING_ITEMS
+   * @returns {string}
+   */
+  getSettingLabel(id) {
+    const { volumes, vrHud, vrVignette } = this.profile.settings;
+    switch (id) {
+      case SETTING_ITEMS.VOLUME:
+        return `🔊 Volumen: ${Math.round(volumes[AUDIO_BUSES.MASTER] * 100)}%`;
+      case SETTING_ITEMS.HUD:
+        return `⌚ Panel: ${vrHud ? 'SÍ' : 'NO'}`;
+      case SETTING_ITEMS.VIGNETTE:
+        return `👁 Viñeta: ${vrVignette ? 'SÍ' : 'NO'}`;
+      case SETTING_ITEMS.DEPTH:
+        return `🎣 Profundidad: ${this.getBobberDepthLabel()}`;
+      case SETTING_ITEMS.BOAT:
+        return this.rowboat?.isBoarded
+          ? '🚣 Bajar de la barca'
+          : '🚣 Subir a la barca';
+      case SETTING_ITEMS.START:
+        return '🏠 Volver al inicio';
+    }
+  }
+
+  updateSettingLabels() {
+    Object.values(SETTING_ITEMS).forEach((id) =>
+      this.wristMenu?.setLabel(id, this.getSettingLabel(id)),
+    );
+  }
+
+  /**
+   * Puts on the chosen tackle or changes the chosen setting: the volume
+   * steps up and wraps around to silence, the wrist panel and the comfort
+   * vignette toggle, the hook goes one step deeper and back up to the
+   * shallowest depth after the deepest, and the player can climb in or out
+   * of the rowboat and go back to the starting spot.
+   * @param {string} id - Key of TACKLE or one of SETTING_ITEMS
+   */
+  onWristMenuSelect(id) {
+    const { volumes, vrHud, vrVignette } = this.profile.settings;
+    switch (id) {
+      case SETTING_ITEMS.VOLUME: {
+        const steps = Math.round(volumes[AUDIO_BUSES.MASTER] / VOLUME_STEP);
+        const volume = ((steps + 1) % (1 / VOLUME_STEP + 1)) * VOLUME_STEP;
+        this.audio.setVolume(AUDIO_BUSES.MASTER, volume);
+        this.profile.setSetting('volumes', {
+          ...volumes,
+          [AUDIO_BUSES.MASTER]: volume,
+        });
+        break;
+      }
+      case SETTING_ITEMS.HUD:
+        this.vrHud?.setEnabled(!vrHud);
+        this.profile.setSetting('vrHud', !vrHud);
+        break;
+      case SETTING_ITEMS.VIGNETTE:
+        this.locomotion?.setVignetteEnabled(!vrVignette);
+        this.profile.setSetting('vrVignette', !vrVignette);
+        break;
+      case SETTING_ITEMS.DEPTH: {
+        const isDeepest = this.fishingRod?.bobberDepth >= BOBBER_DEPTH_MAX;
+        const range = (BOBBER_DEPTH_MAX - BOBBER_DEPTH_MIN) / BOBBER_DEPTH_STEP;
+        this.adjustBobberDepth(isDeepest ? -range : 1);
+        return;
+      }
+      case SETTING_ITEMS.BOAT:
+        this.toggleBoat();
+        return;
+      case SETTING_ITEMS.START:
+        this.leaveBoat(true);
+        this.locomotion?.returnToStart();
+        return;
+      default:
+        this.selectTackle(id);
+        return;
     }
+    this.updateSettingLabels();
+  }
+
+  /**
+   * Opens and closes the wrist menu with the X button and points at its
+   * items with the right controller ray, which stops at the pointed item.
+   */
+  updateWristMenu() {
+    if (!this.wristMenu) return;
+
+    const buttons = this.controllerL?.userData.inputSource?.gamepad?.buttons;
+    const isMenuPressed = buttons?.[MENU_BUTTON]?.pressed ?? false;
+    if (isMenuPressed && !this.wasMenuPressed) this.wristMenu.toggle();
+    this.wasMenuPressed = isMenuPressed;
+
+    const ray = new THREE.Ray();
+    this.controllerR.getWorldPosition(ray.origin);
+    this.controllerR.getWorldDirection(ray.direction).negate();
+    // Tracked hands poke with the index fingertip
+    const pointer = this.handR?.isConnected
+      ? this.handR.indexTip?.getWorldPosition(new THREE.Vector3())
+      : null;
+    const distance = this.wristMenu.update(pointer ?? ray.origin, ray);
+    if (this.controllerRay) {
+      this.controllerRay.scale.z = distance ?? CONTROLLER_RAY_LENGTH;
+    }
+  }
+
+  /**
+   * Shows the score, the streak, the line tension and the objectives of
+   * the round on the wrist panel.
+   */
+  updateVRHud() {
+    if (!this.vrHud) return;
+
+    this.vrHud.update();
+    if (!this.vrHud.panel.visible) return;
+
+    const lines = [
+      this.mode?.hasScore
+        ? `🎯 ${this.score} puntos · Racha x${this.consecutiveCatches + 1}`
+        : `🎯 Histórico: ${this.profile.data.lifetimeScore} puntos`,
+      `🧺 Nasa: ${this.profile.creel.count} peces · ${GameMode.formatWeight(
+        this.profile.creel.getTotalWeight(),
+      )}`,
+    ];
+
+    // Rounded so the panel is not redrawn on every frame of a fight
+    const tension = this.fight
+      ? Math.round(this.fight.tensionRatio * 50) / 50
+      : null;
+    const tensionLabel =
+      tension === null
+        ? ''
+        : `Tensión ${Math.round(tension * 100)}% · Freno ${this.fishingRod.drag} N`;
+
+    const objectives = this.mode
+      ? [this.mode.name.toUpperCase(), ...this.mode.getObjectiveLines()]
+      : [];
+
+    this.vrHud.setContent({ lines, tension, tensionLabel, objectives });
+  }
+
+  /**
+   * Adjusts the reel drag with the right thumbstick in VR.
+   * @param {number} time - Current time in seconds
+   */
+  updateVRDragInput(time) {
+    const gamepad = this.controllerR?.userData.inputSource?.gamepad;
+    const axis = gamepad?.axes[3] ?? 0;
+    if (Math.abs(axis) < 0.7 || time - this.lastDragAdjustTime < 0.25) return;
+    // Pushes closer to the sides snap turn instead
+    if (Math.abs(axis) <= Math.abs(gamepad.axes[2] ?? 0)) return;
+
+    // Pushing the stick forward tightens the drag
+    this.adjustDrag(axis < 0 ? 1 : -1);
+    this.lastDragAdjustTime = time;
+  }
+
+  /**
+   * Changes the reel drag and remembers it in the profile.
+   * @param {number} steps - Drag steps, positive to tighten
+   */
+  adjustDrag(steps) {
+    if (!this.fishingRod) return;
+    this.fishingRod.adjustDrag(steps);
+    this.profile.setSetting('drag', this.fishingRod.drag);
+  }
+
+  /**
+   * Moves the hook deeper or shallower below the bobber and remembers the
+   * depth in the profile.
+   * @param {number} steps - Depth steps, positive to go deeper
+   */
+  adjustBobberDepth(steps) {
+    if (!this.fishingRod) return;
+    this.fishingRod.adjustBobberDepth(steps);
+    this.profile.setSetting('bobberDepth', this.fishingRod.bobberDepth);
+
+    this.showPopup(
+      `Profundidad: ${this.getBobberDepthLabel()}`,
+      this.fishingRod.tipPosition,
+      '#66ccff',
+    );
+    this.updateSettingLabels();
+    if (this.isTackleMenuOpen()) this.updateTackleMenu();
+  }
+
+  /**
+   * @returns {string} Depth of the hook below the bobber, e.g. "0.5 m"
+   */
+  getBobberDepthLabel() {
+    const depth = this.fishingRod?.bobberDepth ?? DEFAULT_BOBBER_DEPTH;
+    return `${depth.toFixed(1)} m`;
   }
 
   update() {
     const time = performance.now() * 0.001;
+    const delta = Math.min(this.clock.getDelta(), 0.1);
+    this.input.update();
 
     // Update environment
     this.environment?.update(time);
 
+    // Step rigid body simulation
+    this.physics?.update(delta);
+
+    // Row and float the boat before the player is carried with it
+    if (this.rowboat?.isBoarded) this.updateRowing(delta);
+    this.rowboat?.update(delta);
+
     // Update fish
-    this.fishManager?.update(time, this.fishingRod?.lineEndPoint);
+    const isLureInWater = this.fishingRod?.isLureInWater() ?? false;
+    this.fishManager?.update(
+      time,
+      this.fishingRod?.lineEndPoint,
+      isLureInWater,
+    );
+    this.population?.update(time);
+    this.updateMode(time);
+    if (this.fishingRod) {
+      this.fishManager?.setLure(
+        this.fishingRod.tackle,
+        this.fishingRod.isRetrieving(),
+      );
+    }
+
+    if (this.sceneManager.renderer.xr.isPresenting) {
+      this.handR?.update(delta);
+      this.handL?.update(delta);
+      this.locomotion?.update(delta);
+    } else if (this.firstPerson) {
+      // Menus need the mouse and the keyboard
+      this.firstPerson.setEnabled(!this.isModeScreenOpen());
+      this.firstPerson.update(delta);
+    }
+    this.touchControls?.setVisible(
+      !this.sceneManager.renderer.xr.isPresenting && !this.isModeScreenOpen(),
+    );
+    this.touchControls?.update(this.fishingRod?.isGrabbed ?? false);
 
     // Update fishing rod
     if (this.fishingRod) {
       // In non-VR mode, if rod is grabbed, update its position to follow camera
-      if (this.isRodGrabbed && !this.sceneManager.renderer.xr.isPresenting) {
+      if (
+        this.fishingRod.isGrabbed &&
+        !this.sceneManager.renderer.xr.isPresenting
+      ) {
         const camera = this.sceneManager.camera;
         const direction = new THREE.Vector3(0, 0, -1);
         direction.applyQuaternion(camera.quaternion);
@@ -417,6 +1471,7 @@ class Game {
         // Set rod position and rotation
         this.fishingRod.rod.position.copy(position);
         this.fishingRod.rod.rotation.copy(camera.rotation);
+        this.fishingRod.rod.rotateX(this.fishingRod.pumpAngle);
 
         // Adjust rod position slightly down and forward
         this.fishingRod.rod.position.y -= 0.5;
@@ -425,15 +1480,28 @@ class Game {
 
       this.fishingRod.update(time, this.controllerR);
 
-      // Check for fish near the line only when casting
-      if (this.fishingRod.isCasting) {
-        const nearbyFish = this.fishManager.checkForNearbyFish(
-          this.fishingRod.lineEndPoint,
-        );
-        if (nearbyFish) {
-          this.fishingRod.showFishBite();
-        }
+      // Fish only bite once the lure is in the water
+      if (!this.fishingRod.hasFishBite) {
+        this.updateBite(time);
+      }
+
+      // In VR the hook is set by jerking the rod upwards
+      const isJerking = this.fishingRod.isJerking();
+      if (isJerking && !this.wasRodJerking && this.fishingRod.controller) {
+        this.setHook();
       }
+      this.wasRodJerking = isJerking;
+
+      this.updateVRDragInput(time);
+      this.updateFight(delta);
+    }
+    this.audio.update();
+
+    this.updateLandedFishTarget();
+
+    if (this.sceneManager.renderer.xr.isPresenting && this.controllerR) {
+      this.updateWristMenu();
+      this.updateVRHud();
     }
 
     // Update debug info
@@ -444,14 +1512,33 @@ class Game {
       this.debugInfo.innerHTML = `
 🎮 INFORMACIÓN DE DEPURACIÓN ${'-'.repeat(20)}
 FPS: ${fps} ${fps < 30 ? '⚠️' : '✅'}
-ESTADO DE LA CAÑA:
-  Agarrada: ${this.isRodGrabbed ? '✅ SÍ' : '❌ NO'}
+ESTADO DE LA CAÑA: ${this.fishingRod?.state.current ?? '-'}
+  Agarrada: ${this.fishingRod?.isGrabbed ? '✅ SÍ' : '❌ NO'}
+  Cargando: ${
+    this.fishingRod?.isCharging
+      ? `⚡ ${Math.round(this.fishingRod.getCastPowerRatio() * 100)}%`
+      : '❌ NO'
+  }
   Lanzando: ${this.fishingRod?.isCasting ? '🎣 SÍ' : '❌ NO'}
-  Pez Picando: ${this.fishingRod?.hasFishBite ? '🐟 SÍ' : '❌ NO'}
+  Sedal Fuera: ${this.fishingRod?.lineOut.toFixed(1) ?? 0} m
+  Cebo: ${this.fishingRod?.tackle.name ?? '-'}${
+    this.fishingRod?.isLureInWater()
+      ? ` (${this.fishingRod.hookDepth.toFixed(2)} m)`
+      : ''
+  }
+  Picada: ${
+    this.fishManager?.bite
+      ? this.fishManager.bite.isStriking
+        ? '⚠️ ¡CLAVAR!'
+        : '🫧 Mordisqueando'
+      : '❌ NO'
+  }
+  Pez Enganchado: ${this.fishingRod?.hasFishBite ? '🐟 SÍ' : '❌ NO'}
 
 ESTADO DE LOS PECES:
   Peces Totales: ${this.fishManager?.getFishes().length || 0} 🐠
-  Pez Atrapado: ${caughtFish ? '🎯 SÍ' : '❌ NO'}
+  Fase del Día: ${this.environment?.getDayPhase() ?? '-'}
+  Pez Atrapado: ${caughtFish ? `🎯 ${caughtFish.userData.species.name}` : '❌ NO'}
 ${
   caughtFish
     ? `  Posición: (${caughtFish.position
@@ -462,55 +1549,16 @@ ${
 }
 
 CONTROLES:
-  [E] Agarrar/Soltar Caña
-  [ESPACIO] Lanzar Línea
-  [WASD/Flechas] Mover Cámara
-  [F] Atrapar Pez
-  [R] Reiniciar Juego
-  [Q] Alternar Depuración
-  [Click Derecho + Ratón] Mirar Alrededor
-  [Rueda del Ratón] Zoom
+${Object.entries(INPUT_ACTION_NAMES)
+  .map(([action, name]) => `  [${this.input.getBindingLabel(action)}] ${name}`)
+  .join('\n')}
+  [🎮 Sticks] Caminar y Mirar
+  [Click] Capturar el Ratón para Mirar (ESC lo suelta)
+  [Rueda del Ratón] Girar la Manivela (sedal fuera) / Zoom
 ${'-'.repeat(30)}`;
 
       this.lastTime = time;
     }
-
-    // Update keyboard-based rod movement
-    if (this.isRodGrabbed && this.keyboardState.isGrabbing) {
-      this.updateKeyboardMovement();
-    }
-  }
-
-  updateKeyboardMovement() {
-    const moveSpeed = 0.05;
-    const rod = this.fishingRod.rod;
-
-    if (this.keyboardState.moveForward) rod.position.z -= moveSpeed;
-    if (this.keyboardState.moveBackward) rod.position.z += moveSpeed;
-    if (this.keyboardState.moveLeft) rod.position.x -= moveSpeed;
-    if (this.keyboardState.moveRight) rod.position.x += moveSpeed;
-    if (this.keyboardState.moveUp) rod.position.y += moveSpeed;
-    if (this.keyboardState.moveDown) rod.position.y -= moveSpeed;
-
-    // Update rod rotation based on movement
-    if (
-      this.keyboardState.moveForward ||
-      this.keyboardState.moveBackward ||
-      this.keyboardState.moveLeft ||
-      this.keyboardState.moveRight
-    ) {
-      const direction = new THREE.Vector3();
-      if (this.keyboardState.moveForward) direction.z -= 1;
-      if (this.keyboardState.moveBackward) direction.z += 1;
-      if (this.keyboardState.moveLeft) direction.x -= 1;
-      if (this.keyboardState.moveRight) direction.x += 1;
-
-      if (direction.length() > 0) {
-        direction.normalize();
-        const targetRotation = Math.atan2(direction.x, direction.z);
-        rod.rotation.y = targetRotation;
-      }
-    }
   }
 
   dispose() {
@@ -518,6 +1566,15 @@ ${'-'.repeat(30)}`;
     this.sceneManager?.dispose();
     this.environment?.dispose();
     this.fishManager?.dispose();
+    this.physics?.dispose();
+    this.audio.dispose();
+    this.wristMenu?.dispose();
+    this.vrHud?.dispose();
+    this.locomotion?.dispose();
+    this.rowboat?.dispose();
+    this.firstPerson?.dispose();
+    this.touchControls?.dispose();
+    this.input.dispose();
 
     // Remove event listeners
     this.controllerR?.removeEventListener('selectstart', this.onSelectStart);
@@ -526,31 +1583,107 @@ ${'-'.repeat(30)}`;
     this.controllerR?.removeEventListener('squeezeend', this.onSqueezeEnd);
   }
 
-  resetRodStatus() {
-    if (this.fishingRod) {
-      this.isRodGrabbed = false;
-      this.isCasting = false;
-      this.fishingRod.isGrabbed = false;
-      this.fishingRod.isCasting = false;
-      this.fishingRod.resetFishBite();
-
-      // Reset rod position
-      this.fishingRod.rod.position.set(0, 1, -0.5);
-      this.fishingRod.rod.rotation.set(Math.PI / 4, 0, 0);
-
-      // Ensure rod is attached to scene
-      if (this.fishingRod.rod.parent !== this.scene) {
-        this.scene.attach(this.fishingRod.rod);
-      }
+  /**
+   * @returns {THREE.Vector3} Where the player stands: the head in VR, the
+   *   desktop camera otherwise
+   */
+  getPlayerPosition() {
+    return this.sceneManager.renderer.xr.isPresenting
+      ? this.locomotion.getHeadPosition()
+      : this.firstPerson.position;
+  }
+
+  /**
+   * Climbs into the rowboat when close to it, or steps out of it.
+   */
+  toggleBoat() {
+    if (!this.rowboat) return;
+    if (this.rowboat.isBoarded) {
+      this.leaveBoat();
+      return;
     }
+
+    const player = this.getPlayerPosition();
+    if (!this.rowboat.canBoard(player.x, player.z)) {
+      this.showPopup('Acércate a la barca', this.rowboat.position, '#ffffff');
+      return;
+    }
+    this.rowboat.board();
+    this.firstPerson?.mount(this.rowboat.seat);
+    this.locomotion?.mount(this.rowboat.seat);
+    this.updateSettingLabels();
+  }
+
+  /**
+   * Steps out of the rowboat onto the closest point of the shore, which
+   * the boat has to lie against.
+   * @param {boolean} isForced - Step out anywhere, e.g. to go back to the
+   *   starting spot
+   */
+  leaveBoat(isForced = false) {
+    if (!this.rowboat?.isBoarded) return;
+    if (!isForced && !this.rowboat.isAtShore()) {
+      this.showPopup(
+        'Rema hasta la orilla para bajar',
+        this.rowboat.position,
+        '#ffffff',
+      );
+      return;
+    }
+
+    const shore = this.rowboat.getShorePosition();
+    this.rowboat.disembark();
+    this.firstPerson?.dismount(shore);
+    this.locomotion?.dismount(shore);
+    this.updateSettingLabels();
+  }
+
+  /**
+   * Rows the boat the player is in: on desktop the movement input pulls
+   * the oars, and in VR the controllers not holding the rod paddle.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  updateRowing(delta) {
+    if (this.sceneManager.renderer.xr.isPresenting) {
+      this.rowboat.setRowing(0, 0);
+      this.rowboat.updatePaddles(
+        [this.controllerL, this.controllerR].filter(
+          (controller) =>
+            controller && this.fishingRod?.controller !== controller,
+        ),
+        delta,
+      );
+      return;
+    }
+
+    this.rowboat.updatePaddles([], delta);
+    const { direction, turn } = this.firstPerson?.readMovement() ?? {
+      direction: 0,
+      turn: 0,
+    };
+    // Turning to the left pulls harder on the right oar
+    this.rowboat.setRowing(direction - turn, direction + turn);
+  }
+
+  /**
+   * Drops the rod back on its stand; a hooked fish swims away.
+   */
+  resetRodStatus() {
+    this.fishingRod?.reset();
   }
 
   addScore(fish) {
     const now = performance.now();
     const timeSinceLastCatch = now - this.lastCatchTime;
 
-    // Base points based on fish type
-    let points = fish.userData.isRed ? 100 : 50;
+    // Base points of the species, scaled by how heavy the fish is compared
+    // with an average one
+    const { species, weight, hookDepth = 0 } = fish.userData;
+    const averageWeight = SpeciesCatalog.getWeight(
+      species,
+      species.length.mean,
+    );
+    let points = species.points * (weight / averageWeight);
 
     // Bonus for consecutive catches within 5 seconds
     if (timeSinceLastCatch < 5000) {
@@ -560,8 +1693,8 @@ ${'-'.repeat(30)}`;
       this.consecutiveCatches = 0;
     }
 
-    // Bonus for fish depth
-    const depthBonus = Math.abs(fish.position.y + 0.3) * 50; // More points for deeper fish
+    // Bonus for the depth where the fish was hooked
+    const depthBonus = hookDepth * 50; // More points for deeper fish
     points += depthBonus;
 
     // Round the final score
@@ -569,18 +1702,64 @@ ${'-'.repeat(30)}`;
 
     this.score += points;
     this.lastCatchTime = now;
+    this.profile
+      .addScore(points)
+      .forEach((tackleId) => this.onTackleUnlocked(tackleId, fish.position));
+
+    // The popup and score display listen to the award
+    this.events.emit(GAME_EVENTS.SCORE_AWARDED, {
+      points,
+      total: this.score,
+      position: fish.position.clone(),
+    });
+  }
 
-    // Show score popup
-    this.showScorePopup(points, fish.position);
+  /**
+   * Announces a bait or lure unlocked by the lifetime score.
+   * @param {string} tackleId - Key of TACKLE
+   * @param {THREE.Vector3} position - Where to show the announcement
+   */
+  onTackleUnlocked(tackleId, position) {
+    this.showPopup(
+      `🔓 ${TACKLE[tackleId].name}`,
+      position.clone().add(new THREE.Vector3(0, 0.5, 0)),
+      '#66ff66',
+    );
+    this.wristMenu?.setLabel(tackleId, this.getTackleLabel(tackleId));
+    if (this.isTackleMenuOpen()) this.updateTackleMenu();
+  }
 
-    // Update score display
-    this.updateScoreDisplay();
+  /**
+   * Shows the species, size, depth and time of day of a landed fish.
+   * @param {object} record - Catch record from FishManager
+   * @param {boolean} isPersonalBest - Whether it beats the previous best
+   */
+  showCatchCard(record, isPersonalBest = false) {
+    if (!record) return;
+
+    this.catchCard.textContent = `🐟 ${record.speciesName.toUpperCase()} ${'-'.repeat(10)}
+Longitud:    ${record.length.toFixed(1)} cm
+Peso:        ${GameMode.formatWeight(record.weight)}
+Profundidad: ${record.depth.toFixed(2)} m
+Momento:     ${DAY_PHASE_NAMES[record.dayPhase] ?? record.dayPhase}${
+      isPersonalBest ? '\n🏆 ¡Récord personal!' : ''
+    }`;
+    this.catchCard.style.display = 'block';
+
+    clearTimeout(this.catchCardTimeout);
+    this.catchCardTimeout = setTimeout(() => {
+      this.catchCard.style.display = 'none';
+    }, CATCH_CARD_DURATION);
   }
 
   showScorePopup(points, position) {
+    this.showPopup(`+${points}`, position);
+  }
+
+  showPopup(text, position, color = '#ffff00') {
     const popup = document.createElement('div');
     popup.style.position = 'fixed';
-    popup.style.color = '#ffff00';
+    popup.style.color = color;
     popup.style.fontSize = '24px';
     popup.style.fontFamily = 'monospace';
     popup.style.fontWeight = 'bold';
@@ -596,7 +1775,7 @@ ${'-'.repeat(30)}`;
 
     popup.style.left = x + 'px';
     popup.style.top = y + 'px';
-    popup.textContent = `+${points}`;
+    popup.textContent = text;
 
     document.body.appendChild(popup);
 
@@ -620,15 +1799,425 @@ ${'-'.repeat(30)}`;
   }
 
   updateScoreDisplay() {
-    this.scoreDisplay.innerHTML = `
-🎯 PUNTUACIÓN ${'-'.repeat(10)}
+    // Free fishing has no round score
+    const roundScore = this.mode?.hasScore
+      ? `
 Total: ${this.score} puntos
-Racha: x${this.consecutiveCatches + 1}
+Racha: x${this.consecutiveCatches + 1}`
+      : '';
+    this.scoreDisplay.innerHTML = `
+🎯 PUNTUACIÓN ${'-'.repeat(10)}${roundScore}
+Histórico: ${this.profile.data.lifetimeScore} puntos
+Fallos: ${this.biteStats.missed} · Anticipados: ${this.biteStats.early}
+Perdidos: ${this.biteStats.lost}
+Nasa: ${this.profile.creel.count} peces · ${GameMode.formatWeight(this.profile.creel.getTotalWeight())}
 ${'-'.repeat(25)}`;
   }
 
+  isModeScreenOpen() {
+    return this.modeScreen.style.display !== 'none';
+  }
+
+  /**
+   * Opens the mode screen, or closes it to go back to the running round.
+   */
+  toggleModeScreen() {
+    if (!this.isModeScreenOpen()) {
+      this.showModeScreen();
+    } else if (this.mode && !this.mode.isOver) {
+      this.modeScreen.style.display = 'none';
+    }
+  }
+
+  /**
+   * Shows the game mode choice, below the summary of the round that just
+   * ended if there is one.
+   * @param {{title: string, lines: string[]}} summary - End of round summary
+   */
+  showModeScreen(summary = null) {
+    this.input.cancelRebind();
+    this.modeScreen.replaceChildren();
+
+    const title = document.createElement('div');
+    title.style.color = '#ffee00';
+    title.style.fontSize = '20px';
+    title.style.fontWeight = 'bold';
+    title.textContent = summary?.title ?? '🎣 ELIGE UN MODO DE JUEGO';
+    this.modeScreen.appendChild(title);
+
+    if (summary) {
+      const lines = document.createElement('div');
+      lines.style.whiteSpace = 'pre';
+      lines.style.marginBottom = '10px';
+      lines.textContent = `${summary.lines.join('\n')}\n\nOtra partida:`;
+      this.modeScreen.appendChild(lines);
+    }
+
+    const bestWeight = this.profile.data.bestTournamentWeight;
+    this.modeScreen.appendChild(
+      this.createButton('🎣 Pesca libre: sin puntuación ni tiempo', () =>
+        this.startMode(GAME_MODES.FREE),
+      ),
+    );
+    this.modeScreen.appendChild(
+      this.createButton(
+        `🏁 Torneo de ${TOURNAMENT_DURATION / 60} min: mayor peso en la nasa${
+          bestWeight ? ` (récord ${GameMode.formatWeight(bestWeight)})` : ''
+        }`,
+        () => this.startMode(GAME_MODES.TOURNAMENT),
+      ),
+    );
+    CHALLENGES.forEach((challenge) => {
+      const isCompleted = this.profile.isChallengeCompleted(challenge.id);
+      this.modeScreen.appendChild(
+        this.createButton(
+          `${isCompleted ? '✅' : '🎯'} ${challenge.description}`,
+          () => this.startMode(GAME_MODES.CHALLENGE, challenge),
+        ),
+      );
+    });
+
+    if (this.mode && !this.mode.isOver) {
+      const hint = document.createElement('div');
+      hint.style.marginTop = '10px';
+      hint.textContent = `${this.input.getKeyName(
+        INPUT_ACTIONS.MODE_MENU,
+      )}: Volver a ${this.mode.name}`;
+      this.modeScreen.appendChild(hint);
+    }
+    this.modeScreen.appendChild(this.createVolumeControls());
+    this.modeScreen.appendChild(this.createMouseControls());
+    this.modeScreen.appendChild(this.createInputControls());
+
+    this.modeScreen.style.display = 'flex';
+  }
+
+  /**
+   * Starts a new round, resetting the score and the bite statistics.
+   * @param {string} modeId - One of GAME_MODES
+   * @param {object} challenge - One of CHALLENGES, for challenge rounds
+   */
+  startMode(modeId, challenge = null) {
+    this.mode = new GameMode(modeId, challenge);
+    this.mode.start(performance.now() * 0.001);
+    this.score = 0;
+    this.consecutiveCatches = 0;
+    this.biteStats = { hooked: 0, missed: 0, early: 0, lost: 0 };
+
+    this.modeScreen.style.display = 'none';
+    this.objectiveDisplay.style.display = 'block';
+    this.updateObjectiveDisplay();
+    this.updateScoreDisplay();
+  }
+
+  /**
+   * Whether catches score points: only in a running scored round.
+   * @returns {boolean}
+   */
+  isScoring() {
+    return (this.mode?.hasScore ?? false) && !this.mode.isOver;
+  }
+
+  /**
+   * Advances the round clock and ends the round at its deadline.
+   * @param {number} time - Current time in seconds
+   */
+  updateMode(time) {
+    if (!this.mode) return;
+
+    const dayPhase = this.environment?.getDayPhase() ?? DAY_PHASES.DAY;
+    if (this.mode.update(time, dayPhase)) this.endRound();
+    this.updateObjectiveDisplay();
+  }
+
+  updateObjectiveDisplay() {
+    if (!this.mode) return;
+
+    const text = [
+      `${this.mode.isOver ? '🏁' : '🎯'} ${this.mode.name.toUpperCase()}`,
+      ...this.mode.getObjectiveLines(),
+    ].join('\n');
+    if (this.objectiveDisplay.textContent !== text) {
+      this.objectiveDisplay.textContent = text;
+    }
+  }
+
+  /**
+   * Saves the records of the finished round and shows its summary.
+   */
+  endRound() {
+    const summary = this.mode.getSummary();
+    if (this.mode.hasScore) {
+      summary.lines.push(`Puntuación: ${this.score} puntos`);
+    }
+    if (
+      this.mode.id === GAME_MODES.TOURNAMENT &&
+      this.profile.recordTournament(this.mode.getKeptWeight())
+    ) {
+      summary.lines.push('🏆 ¡Nuevo récord de torneo!');
+    }
+    if (this.mode.result === ROUND_RESULTS.WON) {
+      this.profile.completeChallenge(this.mode.challenge.id);
+    }
+
+    this.updateObjectiveDisplay();
+    this.showModeScreen(summary);
+  }
+
+  /**
+   * Applies the saved settings to the rod, the audio and the menus.
+   */
+  applyProfileSettings() {
+    const {
+      drag,
+      tackle,
+      bobberDepth,
+      volumes,
+      vrHud,
+      vrVignette,
+      mouseSensitivity,
+      invertY,
+      inputBindings,
+    } = this.profile.settings;
+    this.audio.setVolumes(volumes);
+    this.input.setBindings(inputBindings);
+    this.firstPerson?.setSensitivity(mouseSensitivity);
+    this.firstPerson?.setInvertY(invertY);
+    this.vrHud?.setEnabled(vrHud);
+    this.locomotion?.setVignetteEnabled(vrVignette);
+    if (this.fishingRod) {
+      this.fishingRod.drag = drag;
+      this.fishingRod.setBobberDepth(bobberDepth);
+      if (this.profile.isTackleUnlocked(tackle)) {
+        this.fishingRod.setTackle(tackle);
+      }
+    }
+    Object.keys(TACKLE).forEach((id) =>
+      this.wristMenu?.setLabel(id, this.getTackleLabel(id)),
+    );
+    this.wristMenu?.setSelected(this.fishingRod?.tackle.id);
+    this.updateSettingLabels();
+    if (this.isTackleMenuOpen()) this.updateTackleMenu();
+  }
+
+  /**
+   * Creates a volume slider for each audio bus; the volumes are saved in
+   * the profile when a slider is released.
+   * @returns {HTMLElement}
+   */
+  createVolumeControls() {
+    const container = document.createElement('div');
+    container.style.display = 'grid';
+    container.style.gridTemplateColumns = 'auto 1fr';
+    container.style.gap = '4px 10px';
+    container.style.alignItems = 'center';
+    container.style.marginTop = '10px';
+
+    Object.values(AUDIO_BUSES).forEach((bus) => {
+      const label = document.createElement('label');
+      label.textContent = `🔊 ${AUDIO_BUS_NAMES[bus]}`;
+
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = '0';
+      slider.max = '1';
+      slider.step = '0.05';
+      slider.value = String(this.profile.settings.volumes[bus]);
+      slider.addEventListener('input', () =>
+        this.audio.setVolume(bus, Number(slider.value)),
+      );
+      slider.addEventListener('change', () => {
+        this.profile.setSetting('volumes', {
+          ...this.profile.settings.volumes,
+          [bus]: Number(slider.value),
+        });
+        this.updateSettingLabels();
+      });
+
+      container.appendChild(label);
+      container.appendChild(slider);
+    });
+    return container;
+  }
+
+  /**
+   * Creates the mouse look sensitivity slider and the inverted Y checkbox,
+   * saved in the profile when changed.
+   * @returns {HTMLElement}
+   */
+  createMouseControls() {
+    const container = document.createElement('div');
+    container.style.display = 'grid';
+    container.style.gridTemplateColumns = 'auto 1fr';
+    container.style.gap = '4px 10px';
+    container.style.alignItems = 'center';
+    container.style.marginTop = '10px';
+
+    const sensitivityLabel = document.createElement('label');
+    sensitivityLabel.textContent = '🖱 Sensibilidad';
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = '0.2';
+    slider.max = '3';
+    slider.step = '0.1';
+    slider.value = String(this.profile.settings.mouseSensitivity);
+    slider.addEventListener('input', () =>
+      this.firstPerson?.setSensitivity(Number(slider.value)),
+    );
+    slider.addEventListener('change', () =>
+      this.profile.setSetting('mouseSensitivity', Number(slider.value)),
+    );
+
+    const invertLabel = document.createElement('label');
+    invertLabel.textContent = '🖱 Invertir eje Y';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = this.profile.settings.invertY;
+    checkbox.addEventListener('change', () => {
+      this.firstPerson?.setInvertY(checkbox.checked);
+      this.profile.setSetting('invertY', checkbox.checked);
+    });
+
+    container.appendChild(sensitivityLabel);
+    container.appendChild(slider);
+    container.appendChild(invertLabel);
+    container.appendChild(checkbox);
+    return container;
+  }
+
+  /**
+   * Creates the list of actions with their keys and gamepad buttons;
+   * clicking one waits for the key or button to bind to it. The bindings
+   * are saved in the profile.
+   * @returns {HTMLElement}
+   */
+  createInputControls() {
+    const details = document.createElement('details');
+    details.style.marginTop = '10px';
+    const summary = document.createElement('summary');
+    summary.textContent = '🎮 Controles (teclado y mando)';
+    summary.style.cursor = 'pointer';
+    details.appendChild(summary);
+
+    const container = document.createElement('div');
+    container.style.display = 'grid';
+    container.style.gridTemplateColumns = 'auto 1fr';
+    container.style.gap = '4px 10px';
+    container.style.alignItems = 'center';
+    container.style.marginTop = '6px';
+    details.appendChild(container);
+
+    const buttons = {};
+    const updateLabels = () =>
+      Object.entries(buttons).forEach(([action, button]) => {
+        button.textContent = this.input.getBindingLabel(action);
+      });
+    const saveBindings = () => {
+      this.profile.setSetting('inputBindings', this.input.getBindings());
+      updateLabels();
+    };
+
+    Object.entries(INPUT_ACTION_NAMES).forEach(([action, name]) => {
+      const label = document.createElement('label');
+      label.textContent = name;
+      const button = this.createButton('', () => {
+        updateLabels();
+        button.textContent = 'Pulsa una tecla o botón (ESC cancela)';
+        this.input.rebind(action, (isRebound) =>
+          isRebound ? saveBindings() : updateLabels(),
+        );
+      });
+      buttons[action] = button;
+      container.appendChild(label);
+      container.appendChild(button);
+    });
+    updateLabels();
+
+    details.appendChild(
+      this.createButton('Restablecer controles', () => {
+        this.input.cancelRebind();
+        this.input.setBindings();
+        saveBindings();
+      }),
+    );
+    return details;
+  }
+
+  /**
+   * Creates the buttons that export and import the player profile.
+   */
+  createProfileControls() {
+    const container = document.createElement('div');
+    container.style.position = 'fixed';
+    container.style.bottom = '10px';
+    container.style.right = '10px';
+    container.style.display = 'flex';
+    container.style.gap = '5px';
+    container.style.alignItems = 'center';
+    container.style.fontFamily = 'monospace';
+    container.style.zIndex = '100';
+
+    const status = document.createElement('span');
+    status.style.color = '#fff';
+    status.style.textShadow = '1px 1px 1px rgba(0,0,0,0.5)';
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', async () => {
+      const [file] = fileInput.files;
+      fileInput.value = '';
+      if (!file) return;
+
+      try {
+        await this.profile.importFromFile(file, () =>
+          this.applyProfileSettings(),
+        );
+        this.updateScoreDisplay();
+        status.textContent = 'Perfil importado';
+      } catch (error) {
+        console.error('Error importing profile:', error);
+        status.textContent = 'Archivo de perfil no válido';
+      }
+    });
+
+    container.appendChild(status);
+    container.appendChild(
+      this.createButton('💾 Exportar perfil', () =>
+        this.profile.exportToFile(),
+      ),
+    );
+    container.appendChild(
+      this.createButton('📂 Importar perfil', () => fileInput.click()),
+    );
+    container.appendChild(fileInput);
+    document.body.appendChild(container);
+  }
+
+  /**
+   * Creates a button in the style of the on-screen panels.
+   * @param {string} text - Button text
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement}
+   */
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.padding = '5px 10px';
+    button.style.border = 'none';
+    button.style.borderRadius = '4px';
+    button.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    button.style.color = '#fff';
+    button.style.fontFamily = 'monospace';
+    button.style.cursor = 'pointer';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
   toggleDebugMode() {
     this.debugMode = !this.debugMode;
+    this.profile.setSetting('debugMode', this.debugMode);
     console.log(`Debug mode: ${this.debugMode ? 'ON' : 'OFF'}`);
 
     if (this.debugMode) {
@@ -668,8 +2257,8 @@ ${'-'.repeat(25)}`;
 
 // Initialize Ammo.js and start the game
 Ammo()
-  .then(() => {
-    const game = new Game();
+  .then((ammo) => {
+    const game = new Game(ammo);
     window.game = game; // For debugging
   })
   .catch((error) => {
@@ -0,0 +1,230 @@
+import * as THREE from 'three';
+
+const BOBBER_RADIUS = 0.025;
+export const DEFAULT_BOBBER_DEPTH = 0.5;
+export const BOBBER_DEPTH_MIN = 0.1;
+export const BOBBER_DEPTH_MAX = 1.2;
+export const BOBBER_DEPTH_STEP = 0.1;
+const BOBBER_MASS = 0.01;
+const HOOK_MASS = 0.004;
+const BUOYANCY_RATIO = 3;
+const WATER_DAMPING = 6;
+const AIR_DAMPING = 0.2;
+const HORIZONTAL_FOLLOW = 4;
+const GRAVITY = 9.81;
+const MAX_STEP = 1 / 120;
+
+/**
+ * Bobber class implements the float attached to the fishing line above the hook.
+ * Key technical features include:
+ * - Vertical buoyancy model based on the submerged fraction of a sphere
+ * - Wave following through the water height provided by the environment
+ * - Dip impulses and sustained pull-under forces used as the bite signal
+ * - Configurable depth of the hook below the float
+ * - Attachment to the simulated line while the lure is out of the water
+ */
+export class Bobber {
+  /**
+   * @param {THREE.Scene} scene - The Three.js scene to add the bobber to
+   * @param {number} depth - Distance from the bobber down to the hook
+   */
+  constructor(scene, depth = DEFAULT_BOBBER_DEPTH) {
+    this.scene = scene;
+    this.mesh = null;
+    this.depth = DEFAULT_BOBBER_DEPTH;
+    this.setDepth(depth);
+    this.velocity = 0;
+    this.isFloating = false;
+    this.pullForce = 0;
+    this.createMesh();
+  }
+
+  /**
+   * Creates a classic two-tone float with a small antenna on top.
+   */
+  createMesh() {
+    const bobberGroup = new THREE.Group();
+
+    const topGeometry = new THREE.SphereGeometry(
+      BOBBER_RADIUS,
+      16,
+      8,
+      0,
+      Math.PI * 2,
+      0,
+      Math.PI / 2,
+    );
+    const top = new THREE.Mesh(
+      topGeometry,
+      new THREE.MeshStandardMaterial({ color: 0xff2222, roughness: 0.4 }),
+    );
+    bobberGroup.add(top);
+
+    const bottomGeometry = new THREE.SphereGeometry(
+      BOBBER_RADIUS,
+      16,
+      8,
+      0,
+      Math.PI * 2,
+      Math.PI / 2,
+      Math.PI / 2,
+    );
+    const bottom = new THREE.Mesh(
+      bottomGeometry,
+      new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.4 }),
+    );
+    bobberGroup.add(bottom);
+
+    const antennaGeometry = new THREE.CylinderGeometry(0.002, 0.002, 0.04, 6);
+    const antenna = new THREE.Mesh(
+      antennaGeometry,
+      new THREE.MeshStandardMaterial({ color: 0xffee00 }),
+    );
+    antenna.position.y = BOBBER_RADIUS + 0.02;
+    bobberGroup.add(antenna);
+
+    bobberGroup.traverse((child) => {
+      if (child.isMesh) child.castShadow = true;
+    });
+
+    this.mesh = bobberGroup;
+    this.scene.add(this.mesh);
+  }
+
+  /**
+   * Current bobber position in world space.
+   * @returns {THREE.Vector3}
+   */
+  get position() {
+    return this.mesh.position;
+  }
+
+  /**
+   * Sets the hook depth below the bobber, clamped to a sensible range.
+   * @param {number} depth - Distance in meters
+   */
+  setDepth(depth) {
+    this.depth = THREE.MathUtils.clamp(
+      depth,
+      BOBBER_DEPTH_MIN,
+      BOBBER_DEPTH_MAX,
+    );
+  }
+
+  /**
+   * Position of the hook hanging below the floating bobber.
+   * @param {THREE.Vector3} target - Vector to write the position to
+   * @param {number} depth - Current hook depth, e.g. while it is still
+   *   sinking; the set depth by default
+   * @returns {THREE.Vector3}
+   */
+  getHookPosition(target = new THREE.Vector3(), depth = this.depth) {
+    target.copy(this.mesh.position);
+    target.y -= Math.min(depth, this.depth);
+    return target;
+  }
+
+  /**
+   * Attaches the bobber to a point on the line (out of the water).
+   * @param {THREE.Vector3} point - World position on the line
+   */
+  attachTo(point) {
+    this.isFloating = false;
+    this.velocity = 0;
+    this.pullForce = 0;
+    this.mesh.position.copy(point);
+    this.mesh.rotation.set(0, 0, 0);
+  }
+
+  /**
+   * Starts floating freely at the given position.
+   * @param {THREE.Vector3} point - Position where the bobber hits the water
+   */
+  startFloating(point) {
+    this.isFloating = true;
+    this.velocity = 0;
+    this.mesh.position.copy(point);
+  }
+
+  /**
+   * Gives the bobber a quick downward kick, e.g. when a fish nibbles.
+   * @param {number} strength - Downward speed in m/s
+   */
+  dip(strength = 0.3) {
+    this.velocity -= strength;
+  }
+
+  /**
+   * Sets a sustained downward pull, e.g. while a fish is hooked.
+   * @param {number} force - Pull force as a multiple of the bobber weight
+   */
+  setPullForce(force) {
+    this.pullForce = force;
+  }
+
+  /**
+   * Integrates the buoyancy model while floating.
+   * When a hook position is given (a fish is hooked), the bobber drifts
+   * towards it and cannot rise more than its depth above it, so a fish
+   * swimming deeper drags the bobber under.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   * @param {number} waterHeight - Water surface height under the bobber
+   * @param {THREE.Vector3} hookPosition - Optional position of the hooked fish
+   */
+  update(delta, waterHeight, hookPosition = null) {
+    if (!this.isFloating || delta <= 0) return;
+
+    const position = this.mesh.position;
+    const steps = Math.ceil(delta / MAX_STEP);
+    const dt = delta / steps;
+    const totalMass = BOBBER_MASS + HOOK_MASS;
+
+    for (let i = 0; i < steps; i++) {
+      const bottom = position.y - BOBBER_RADIUS;
+      const submerged = THREE.MathUtils.clamp(
+        (waterHeight - bottom) / (2 * BOBBER_RADIUS),
+        0,
+        1,
+      );
+
+      const buoyancy = BOBBER_MASS * GRAVITY * BUOYANCY_RATIO * submerged;
+      const weight = totalMass * GRAVITY;
+      const pull = this.pullForce * BOBBER_MASS * GRAVITY;
+      const damping =
+        (submerged > 0 ? WATER_DAMPING : AIR_DAMPING) * this.velocity;
+
+      const acceleration = (buoyancy - weight - pull) / totalMass - damping;
+      this.velocity += acceleration * dt;
+      position.y += this.velocity * dt;
+    }
+
+    if (hookPosition) {
+      const follow = 1 - Math.exp(-HORIZONTAL_FOLLOW * delta);
+      position.x += (hookPosition.x - position.x) * follow;
+      position.z += (hookPosition.z - position.z) * follow;
+
+      const maxHeight = hookPosition.y + this.depth;
+      if (position.y > maxHeight) {
+        position.y = maxHeight;
+        this.velocity = Math.min(this.velocity, 0);
+      }
+    }
+
+    // Tilt slightly with the vertical motion for a livelier float
+    this.mesh.rotation.x = THREE.MathUtils.clamp(
+      this.velocity * 0.5,
+      -0.5,
+      0.5,
+    );
+  }
+
+  dispose() {
+    this.scene.remove(this.mesh);
+    this.mesh.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Creel keeps the fish the player decided to keep.
+ * Key technical features include:
+ * - Catch records (species, length, weight, depth, day phase and date)
+ * - Totals and the biggest fish per species for the score display
+ */
+export class Creel {
+  /**
+   * @param {object[]} records - Previously kept fish, e.g. from the profile
+   */
+  constructor(records = []) {
+    this.records = records;
+  }
+
+  /**
+   * @param {object} record - Catch record from FishManager
+   */
+  add(record) {
+    this.records.push(record);
+  }
+
+  get count() {
+    return this.records.length;
+  }
+
+  /**
+   * @returns {number} Total weight of the kept fish in grams
+   */
+  getTotalWeight() {
+    return this.records.reduce((total, record) => total + record.weight, 0);
+  }
+
+  /**
+   * @returns {Map<string, object>} Heaviest record by species id
+   */
+  getBiggestBySpecies() {
+    const biggest = new Map();
+    this.records.forEach((record) => {
+      const current = biggest.get(record.speciesId);
+      if (!current || record.weight > current.weight) {
+        biggest.set(record.speciesId, record);
+      }
+    });
+    return biggest;
+  }
+}
@@ -1,7 +1,20 @@
 import * as THREE from 'three';
 import { Water } from 'three/addons/objects/Water2.js';
 import { grassShader, terrainShader } from './shaders/shaders.js';
-import { CelestialManager } from './celestials/CelestialManager.js';
+import { CelestialManager, DAY_PHASES } from './celestials/CelestialManager.js';
+import { GAME_EVENTS } from './EventBus.js';
+
+export const WATER_LEVEL = -0.3;
+export const GROUND_LEVEL = -0.31;
+export const LAKE_RADIUS = 5;
+export const TERRAIN_RADIUS = 50;
+export const LAKE_BED_LEVEL = -1.5;
+const SHORE_RADIUS = 5.5;
+const GROUND_THICKNESS = 1;
+const GROUND_SEGMENTS = 64;
+const WAVE_AMPLITUDE = 0.008;
+const WAVE_FREQUENCY = 4;
+const WAVE_SPEED = 1.5;
 
 /**
  * Environment class handles the creation and management of the virtual lake environment.
@@ -11,12 +24,24 @@ import { CelestialManager } from './celestials/CelestialManager.js';
  * - Dynamic terrain generation with multi-layered texturing
  * - Procedural vegetation placement with instanced rendering
  * - Real-time lighting and shadow mapping
+ * - Static Ammo.js collision bodies for terrain, shoreline, rocks and lake bed
+ * - Day phase change notifications on the event bus
  */
 export class Environment {
-  constructor(scene) {
+  /**
+   * @param {THREE.Scene} scene - The Three.js scene to add the environment to
+   * @param {PhysicsWorld} physics - Optional physics world for static colliders
+   * @param {EventBus} events - Optional bus for the day phase changes
+   */
+  constructor(scene, physics = null, events = null) {
     this.scene = scene;
+    this.physics = physics;
+    this.events = events;
+    this.dayPhase = null;
     this.water = null;
+    this.terrain = null;
     this.shore = null;
+    this.rocks = [];
     this.celestials = new CelestialManager(scene);
     this.textures = {};
     this.timeOfDay = 0;
@@ -105,7 +130,12 @@ export class Environment {
    * for realistic ground detail.
    */
   createTerrain() {
-    const terrainGeometry = new THREE.RingGeometry(5.5, 50, 128, 16);
+    const terrainGeometry = new THREE.RingGeometry(
+      SHORE_RADIUS,
+      TERRAIN_RADIUS,
+      128,
+      16,
+    );
     const terrainMaterial = new THREE.ShaderMaterial({
       vertexShader: terrainShader.vertexShader,
       fragmentShader: terrainShader.fragmentShader,
@@ -122,11 +152,23 @@ export class Environment {
     this.textures.grassNormal.wrapS = this.textures.grassNormal.wrapT =
       THREE.RepeatWrapping;
 
-    const terrain = new THREE.Mesh(terrainGeometry, terrainMaterial);
-    terrain.rotation.x = -Math.PI / 2;
-    terrain.position.y = -0.31;
-    terrain.receiveShadow = true;
-    this.scene.add(terrain);
+    this.terrain = new THREE.Mesh(terrainGeometry, terrainMaterial);
+    this.terrain.rotation.x = -Math.PI / 2;
+    this.terrain.position.y = GROUND_LEVEL;
+    this.terrain.receiveShadow = true;
+    this.scene.add(this.terrain);
+
+    this.physics?.addRigidBody(
+      null,
+      this.physics.createRingShape(
+        SHORE_RADIUS,
+        TERRAIN_RADIUS,
+        GROUND_THICKNESS,
+        GROUND_SEGMENTS,
+      ),
+      0,
+      { position: new THREE.Vector3(0, GROUND_LEVEL, 0) },
+    );
   }
 
   /**
@@ -138,7 +180,17 @@ export class Environment {
    * - Fresnel effect for realistic water edge rendering
    */
   createWater() {
-    const waterGeometry = new THREE.CircleGeometry(5, 64);
+    // Invisible lake bed so anything falling into the lake comes to rest
+    this.physics?.addRigidBody(
+      null,
+      this.physics.createBoxShape(
+        new THREE.Vector3(LAKE_RADIUS * 2, 0.2, LAKE_RADIUS * 2),
+      ),
+      0,
+      { position: new THREE.Vector3(0, LAKE_BED_LEVEL - 0.1, 0) },
+    );
+
+    const waterGeometry = new THREE.CircleGeometry(LAKE_RADIUS, 64);
     const textureLoader = new THREE.TextureLoader();
     const loadTexture = (path) => {
       return new Promise((resolve, reject) => {
@@ -175,7 +227,7 @@ export class Environment {
           normalMap0,
           normalMap1,
         });
-        this.water.position.y = -0.3;
+        this.water.position.y = WATER_LEVEL;
         this.water.rotation.x = -Math.PI / 2;
         this.water.renderOrder = 1;
         this.scene.add(this.water);
@@ -189,7 +241,7 @@ export class Environment {
    * and normal map details.
    */
   createShoreline() {
-    const geo = new THREE.RingGeometry(5, 5.5, 64, 1);
+    const geo = new THREE.RingGeometry(LAKE_RADIUS, SHORE_RADIUS, 64, 1);
     geo.rotateX(-Math.PI / 2);
     const mat = new THREE.MeshStandardMaterial({
       map: this.textures.rockColor,
@@ -204,9 +256,21 @@ export class Environment {
       metalness: 0.1,
     });
     this.shore = new THREE.Mesh(geo, mat);
-    this.shore.position.y = -0.31;
+    this.shore.position.y = GROUND_LEVEL;
     this.shore.receiveShadow = true;
     this.scene.add(this.shore);
+
+    this.physics?.addRigidBody(
+      null,
+      this.physics.createRingShape(
+        LAKE_RADIUS,
+        SHORE_RADIUS,
+        GROUND_THICKNESS,
+        GROUND_SEGMENTS,
+      ),
+      0,
+      { position: new THREE.Vector3(0, GROUND_LEVEL, 0) },
+    );
   }
 
   /**
@@ -269,7 +333,7 @@ export class Environment {
   /**
    * Creates procedurally placed rocks using instanced geometries.
    * Implements PBR materials with detailed normal and displacement mapping
-   * for realistic rock surfaces.
+   * for realistic rock surfaces. Each rock gets a static convex hull body.
    */
   createRocks() {
     const rockGeometry = new THREE.DodecahedronGeometry(0.5, 2);
@@ -324,6 +388,14 @@ export class Environment {
       rock.castShadow = true;
       rock.receiveShadow = true;
       this.scene.add(rock);
+      this.rocks.push(rock);
+
+      this.physics?.addRigidBody(
+        rock,
+        this.physics.createConvexHullShape(rock),
+        0,
+        { friction: 0.9, restitution: 0.3 },
+      );
     }
   }
 
@@ -359,6 +431,41 @@ export class Environment {
     if (this.celestials) {
       this.celestials.update(time);
     }
+
+    const dayPhase = this.getDayPhase();
+    if (dayPhase !== this.dayPhase) {
+      const from = this.dayPhase;
+      this.dayPhase = dayPhase;
+      this.events?.emit(GAME_EVENTS.DAY_PHASE_CHANGED, { from, to: dayPhase });
+    }
+  }
+
+  /**
+   * Returns the water surface height at a point. Waves travel along the
+   * same flow direction that animates the Water2 normal maps in update(),
+   * so floating objects bob in sync with the visible ripples.
+   * @param {number} x - World X coordinate
+   * @param {number} z - World Z coordinate
+   * @returns {number} Surface height in world units
+   */
+  getWaterHeight(x, z) {
+    const time = this.timeOfDay;
+    const flowX = Math.sin(time * 0.1);
+    const flowZ = Math.cos(time * 0.1);
+    const phase = (x * flowX + z * flowZ) * WAVE_FREQUENCY - time * WAVE_SPEED;
+
+    return (
+      WATER_LEVEL +
+      WAVE_AMPLITUDE * (Math.sin(phase) + 0.5 * Math.sin(phase * 2.3 + 1.7))
+    );
+  }
+
+  /**
+   * Current phase of the day/night cycle (dawn, day, dusk or night).
+   * @returns {string} One of DAY_PHASES
+   */
+  getDayPhase() {
+    return this.celestials?.getDayPhase() ?? DAY_PHASES.DAY;
   }
 
   /**
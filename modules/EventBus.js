@@ -0,0 +1,85 @@
+import * as THREE from 'three';
+
+export const GAME_EVENTS = {
+  CAST: 'cast',
+  LURE_LANDED: 'lureLanded',
+  BITE: 'bite',
+  HOOKED: 'hooked',
+  LINE_SNAPPED: 'lineSnapped',
+  FISH_LANDED: 'fishLanded',
+  FISH_TOUCHDOWN: 'fishTouchdown',
+  SCORE_AWARDED: 'scoreAwarded',
+  DAY_PHASE_CHANGED: 'dayPhaseChanged',
+};
+
+/**
+ * Event payloads, published as { type, ...payload }:
+ * @typedef {{power: number, velocity: THREE.Vector3}} CastEvent
+ * @typedef {{position: THREE.Vector3, isInWater: boolean}} LureLandedEvent
+ * @typedef {{stage: string, fish: THREE.Object3D}} BiteEvent
+ *   stage is one of BITE_EVENTS except 'hooked' (see FishManager)
+ * @typedef {{fish: THREE.Object3D}} HookedEvent
+ * @typedef {{fish: THREE.Object3D}} LineSnappedEvent
+ * @typedef {{fish: THREE.Object3D, record: object}} FishLandedEvent
+ * @typedef {{fish: THREE.Object3D, position: THREE.Vector3,
+ *   isInWater: boolean}} FishTouchdownEvent - A thrown fish comes down
+ * @typedef {{points: number, total: number, position: THREE.Vector3}}
+ *   ScoreAwardedEvent
+ * @typedef {{from: string|null, to: string}} DayPhaseChangedEvent
+ */
+
+const EVENT_TYPES = new Set(Object.values(GAME_EVENTS));
+
+/**
+ * EventBus carries gameplay notifications between modules.
+ * Key technical features include:
+ * - Closed set of event types (GAME_EVENTS); unknown types throw, so a
+ *   typo cannot silently drop an event
+ * - Built on THREE.EventDispatcher, like the rod state events
+ * - Subscriptions return their own unsubscribe function
+ */
+export class EventBus extends THREE.EventDispatcher {
+  /**
+   * @param {string} type - One of GAME_EVENTS
+   * @param {Function} listener - Called with the event object
+   * @returns {Function} Removes the listener
+   */
+  on(type, listener) {
+    EventBus.assertType(type);
+    this.addEventListener(type, listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Like on(), but the listener is removed after its first call.
+   * @param {string} type - One of GAME_EVENTS
+   * @param {Function} listener - Called with the event object
+   * @returns {Function} Removes the listener
+   */
+  once(type, listener) {
+    const wrapper = (event) => {
+      this.off(type, wrapper);
+      listener(event);
+    };
+    return this.on(type, wrapper);
+  }
+
+  off(type, listener) {
+    this.removeEventListener(type, listener);
+  }
+
+  /**
+   * @param {string} type - One of GAME_EVENTS
+   * @param {object} payload - Event data (see the typedefs above)
+   */
+  emit(type, payload = {}) {
+    EventBus.assertType(type);
+    this.dispatchEvent({ ...payload, type });
+  }
+
+  static assertType(type) {
+    if (!EVENT_TYPES.has(type)) {
+      throw new Error(`Unknown game event: ${type}`);
+    }
+  }
+}
@@ -0,0 +1,367 @@
+import * as THREE from 'three';
+import { LAKE_RADIUS, TERRAIN_RADIUS } from './Environment.js';
+import { INPUT_ACTIONS } from './InputMapper.js';
+
+const WALK_SPEED = 3; // m/s
+const TURN_SPEED = 1.5; // rad/s
+// How quickly the velocity reaches the walking speed and stops (1/s)
+const ACCELERATION = 10;
+// Radians of look rotation per pixel of mouse movement at sensitivity 1
+const LOOK_SPEED = 0.002;
+// Radians per second of look rotation with the gamepad stick fully
+// deflected at sensitivity 1
+const STICK_LOOK_SPEED = 2.5;
+// Radians of look rotation per pixel swiped on a touch screen at
+// sensitivity 1
+const TOUCH_LOOK_SPEED = 0.005;
+const MAX_PITCH = Math.PI / 2 - 0.05;
+const EYE_HEIGHT = 1.6;
+// Eyes above the floor of a seat the player is carried on
+const SEATED_EYE_HEIGHT = 1;
+// Horizontal radius of the player against rocks and the edges
+const PLAYER_RADIUS = 0.3;
+const MIN_FOV = 25;
+const ZOOM_SPEED = 0.02; // Degrees of field of view per wheel pixel
+
+// Scratch objects reused every frame
+const _forward = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _origin = new THREE.Vector3();
+const _down = new THREE.Vector3(0, -1, 0);
+const _raycaster = new THREE.Raycaster();
+const _seatQuaternion = new THREE.Quaternion();
+const _seatRotation = new THREE.Euler();
+
+/**
+ * FirstPersonController walks the desktop camera around the lake.
+ * Key technical features include:
+ * - Mouse look under pointer lock, with sensitivity and inverted Y
+ * - Walking and turning from the movement actions and the gamepad sticks
+ *   of the input mapper, and looking with its touch swipes
+ * - Frame-rate independent walking and turning, the velocity easing in and
+ *   out exponentially
+ * - Eyes kept above the ground by a downward raycast on the walkable meshes
+ * - Circle collisions against the rocks, the lake edge and the end of the
+ *   terrain
+ * - Mouse wheel zoom that narrows the field of view instead of moving the
+ *   camera
+ * - Riding a moving seat, e.g. the rowboat: the view follows its position
+ *   and heading while the movement input is left to steer it
+ */
+export class FirstPersonController {
+  /**
+   * @param {THREE.PerspectiveCamera} camera - Camera to move
+   * @param {HTMLElement} domElement - Element that captures the pointer
+   * @param {InputMapper} input - Source of the movement actions and sticks
+   * @param {object} options - grounds (meshes walked on) and obstacles
+   *   (meshes walked around)
+   */
+  constructor(
+    camera,
+    domElement,
+    input,
+    { grounds = [], obstacles = [] } = {},
+  ) {
+    this.camera = camera;
+    this.domElement = domElement;
+    this.input = input;
+    this.grounds = grounds;
+    this.isEnabled = true;
+    this.isLocked = false;
+    this.sensitivity = 1;
+    this.isInvertedY = false;
+    this.velocity = 0;
+    this.maxFov = camera.fov;
+    this.seat = null;
+    this.seatYaw = 0;
+
+    // The controller owns the desktop pose, so leaving VR restores it
+    this.position = camera.position.clone();
+    const rotation = new THREE.Euler().setFromQuaternion(
+      camera.quaternion,
+      'YXZ',
+    );
+    this.yaw = rotation.y;
+    this.pitch = rotation.x;
+    this.camera.rotation.order = 'YXZ';
+
+    this.colliders = obstacles.map((mesh) => {
+      if (!mesh.geometry.boundingSphere) mesh.geometry.computeBoundingSphere();
+      return {
+        x: mesh.position.x,
+        z: mesh.position.z,
+        radius:
+          mesh.geometry.boundingSphere.radius *
+            Math.max(mesh.scale.x, mesh.scale.z) +
+          PLAYER_RADIUS,
+      };
+    });
+
+    this.onMouseMove = this.onMouseMove.bind(this);
+    this.onClick = this.onClick.bind(this);
+    this.onPointerLockChange = this.onPointerLockChange.bind(this);
+    this.onPointerLockError = this.onPointerLockError.bind(this);
+
+    document.addEventListener('mousemove', this.onMouseMove);
+    document.addEventListener('pointerlockchange', this.onPointerLockChange);
+    document.addEventListener('pointerlockerror', this.onPointerLockError);
+    this.domElement.addEventListener('click', this.onClick);
+  }
+
+  /**
+   * @param {number} sensitivity - Multiplier of the mouse look speed
+   */
+  setSensitivity(sensitivity) {
+    this.sensitivity = sensitivity;
+  }
+
+  /**
+   * @param {boolean} isInvertedY - Whether moving the mouse up looks down
+   */
+  setInvertY(isInvertedY) {
+    this.isInvertedY = isInvertedY;
+  }
+
+  /**
+   * Stops reading the mouse and the movement actions, e.g. while a menu is
+   * open; the pointer is released so the menu can be clicked.
+   * @param {boolean} isEnabled - Whether the player can move
+   */
+  setEnabled(isEnabled) {
+    if (isEnabled === this.isEnabled) return;
+    this.isEnabled = isEnabled;
+    if (!isEnabled) this.unlock();
+  }
+
+  /**
+   * Stops taps on the view from asking for pointer lock, e.g. while the
+   * touch controls look around with swipes.
+   * @param {boolean} isEnabled - Whether clicking the view locks the pointer
+   */
+  setLockOnClick(isEnabled) {
+    this.domElement.removeEventListener('click', this.onClick);
+    if (isEnabled) this.domElement.addEventListener('click', this.onClick);
+  }
+
+  lock() {
+    // Touch browsers have no pointer lock
+    if (!this.isEnabled || this.isLocked) return;
+
+    // Newer browsers return a promise that rejects, e.g. when the lock is
+    // requested again right after leaving it with Escape
+    this.domElement.requestPointerLock?.()?.catch(this.onPointerLockError);
+  }
+
+  unlock() {
+    if (this.isLocked) document.exitPointerLock();
+  }
+
+  onClick() {
+    this.lock();
+  }
+
+  onPointerLockChange() {
+    this.isLocked = document.pointerLockElement === this.domElement;
+  }
+
+  /**
+   * The view stays still until the next click tries to lock the pointer.
+   */
+  onPointerLockError() {
+    this.isLocked = false;
+  }
+
+  onMouseMove(event) {
+    if (!this.isLocked) return;
+
+    this.look(event.movementX * LOOK_SPEED, event.movementY * LOOK_SPEED);
+  }
+
+  /**
+   * @param {number} x - Look rotation to the right in radians
+   * @param {number} y - Look rotation downwards in radians, before the
+   *   Y inversion
+   */
+  look(x, y) {
+    const pitchDelta = y * this.sensitivity * (this.isInvertedY ? 1 : -1);
+    this.yaw -= x * this.sensitivity;
+    this.pitch = THREE.MathUtils.clamp(
+      this.pitch + pitchDelta,
+      -MAX_PITCH,
+      MAX_PITCH,
+    );
+  }
+
+  /**
+   * Narrows or widens the field of view, up to the initial one.
+   * @param {number} deltaY - Wheel scroll in pixels, positive to zoom out
+   */
+  zoom(deltaY) {
+    this.camera.fov = THREE.MathUtils.clamp(
+      this.camera.fov + deltaY * ZOOM_SPEED,
+      MIN_FOV,
+      this.maxFov,
+    );
+    this.camera.updateProjectionMatrix();
+  }
+
+  /**
+   * @param {THREE.Object3D} seat - Floor of the seat
+   * @returns {number} Heading of the seat around the vertical axis
+   */
+  static getSeatYaw(seat) {
+    return _seatRotation.setFromQuaternion(
+      seat.getWorldQuaternion(_seatQuaternion),
+      'YXZ',
+    ).y;
+  }
+
+  /**
+   * Carries the player on a moving seat: walking stops and the view turns
+   * with the seat, keeping where the player looks relative to it.
+   * @param {THREE.Object3D} seat - Floor of the seat
+   */
+  mount(seat) {
+    this.seat = seat;
+    this.seatYaw = FirstPersonController.getSeatYaw(seat);
+    this.velocity = 0;
+  }
+
+  /**
+   * Gets off the seat and stands at a position on the ground.
+   * @param {THREE.Vector3} position - Where to stand
+   */
+  dismount(position) {
+    this.seat = null;
+    this.position.copy(position);
+    this.position.y += EYE_HEIGHT;
+    this.clampToGround();
+  }
+
+  /**
+   * @returns {{direction: number, turn: number}} Walking input from the
+   *   movement actions and the stick: direction is positive forwards and
+   *   turn positive to the left, both from -1 to 1
+   */
+  readMovement() {
+    if (!this.isEnabled) return { direction: 0, turn: 0 };
+
+    const isPressed = (action) => this.input.isActionPressed(action);
+    const stick = this.input.getMoveAxes();
+    return {
+      direction: THREE.MathUtils.clamp(
+        isPressed(INPUT_ACTIONS.MOVE_FORWARD) -
+          isPressed(INPUT_ACTIONS.MOVE_BACKWARD) -
+          stick.y,
+        -1,
+        1,
+      ),
+      turn: THREE.MathUtils.clamp(
+        isPressed(INPUT_ACTIONS.TURN_LEFT) -
+          isPressed(INPUT_ACTIONS.TURN_RIGHT) -
+          stick.x,
+        -1,
+        1,
+      ),
+    };
+  }
+
+  /**
+   * Pushes the player out of the rocks and back between the lake edge and
+   * the end of the terrain.
+   */
+  resolveCollisions() {
+    this.colliders.forEach(({ x, z, radius }) => {
+      _offset.set(this.position.x - x, 0, this.position.z - z);
+      const distance = _offset.length();
+      if (distance >= radius || distance === 0) return;
+      _offset.multiplyScalar((radius - distance) / distance);
+      this.position.add(_offset);
+    });
+
+    const radius = Math.hypot(this.position.x, this.position.z);
+    const clamped = THREE.MathUtils.clamp(
+      radius,
+      LAKE_RADIUS + PLAYER_RADIUS,
+      TERRAIN_RADIUS - PLAYER_RADIUS,
+    );
+    if (radius > 0 && clamped !== radius) {
+      this.position.x *= clamped / radius;
+      this.position.z *= clamped / radius;
+    }
+  }
+
+  /**
+   * Keeps the eyes at standing height above the ground below.
+   */
+  clampToGround() {
+    _raycaster.set(
+      _origin.set(
+        this.position.x,
+        this.position.y + EYE_HEIGHT,
+        this.position.z,
+      ),
+      _down,
+    );
+    _raycaster.far = Infinity;
+    const [hit] = _raycaster.intersectObjects(this.grounds, false);
+    if (hit) this.position.y = hit.point.y + EYE_HEIGHT;
+  }
+
+  /**
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  update(delta) {
+    // Swipes made while disabled are dropped
+    const swipe = this.input.consumeLookDelta();
+    if (this.isEnabled) {
+      const lookStick = this.input.getLookAxes();
+      this.look(
+        lookStick.x * STICK_LOOK_SPEED * delta,
+        lookStick.y * STICK_LOOK_SPEED * delta,
+      );
+      this.look(swipe.x * TOUCH_LOOK_SPEED, swipe.y * TOUCH_LOOK_SPEED);
+    }
+
+    if (this.seat) {
+      this.updateSeated();
+      return;
+    }
+
+    const { direction, turn } = this.readMovement();
+    this.yaw += turn * TURN_SPEED * delta;
+    this.velocity +=
+      (direction * WALK_SPEED - this.velocity) *
+      (1 - Math.exp(-ACCELERATION * delta));
+
+    _forward.set(-Math.sin(this.yaw), 0, -Math.cos(this.yaw));
+    this.position.addScaledVector(_forward, this.velocity * delta);
+    this.resolveCollisions();
+    this.clampToGround();
+
+    this.camera.position.copy(this.position);
+    this.camera.rotation.set(this.pitch, this.yaw, 0, 'YXZ');
+  }
+
+  /**
+   * Follows the seat; the movement input steers the seat instead.
+   */
+  updateSeated() {
+    const seatYaw = FirstPersonController.getSeatYaw(this.seat);
+    this.yaw += seatYaw - this.seatYaw;
+    this.seatYaw = seatYaw;
+    this.seat.getWorldPosition(this.position);
+    this.position.y += SEATED_EYE_HEIGHT;
+
+    this.camera.position.copy(this.position);
+    this.camera.rotation.set(this.pitch, this.yaw, 0, 'YXZ');
+  }
+
+  dispose() {
+    this.unlock();
+    document.removeEventListener('mousemove', this.onMouseMove);
+    document.removeEventListener('pointerlockchange', this.onPointerLockChange);
+    document.removeEventListener('pointerlockerror', this.onPointerLockError);
+    this.domElement.removeEventListener('click', this.onClick);
+  }
+}
@@ -0,0 +1,417 @@
+import * as THREE from 'three';
+import { WATER_LEVEL, LAKE_RADIUS } from './Environment.js';
+
+export const FISH_STATES = {
+  WANDER: 'wander',
+  SCHOOL: 'school',
+  INVESTIGATE: 'investigate',
+  NIBBLE: 'nibble',
+  FLEE: 'flee',
+  REST: 'rest',
+};
+
+// Radius within which a splash scares fish away
+export const SCARE_RADIUS = 1.5;
+
+const MAX_FORCE = 0.6;
+const BOUNDARY_MARGIN = 0.8;
+const DEPTH_MARGIN = 0.1;
+const SENSE_RADIUS = 2;
+const NIBBLE_RADIUS = 0.25;
+const SCHOOL_RADIUS = 1.2;
+const SEPARATION_RADIUS = 0.35;
+const LURE_COOLDOWN = 6;
+export const MODEL_HEADING_OFFSET = Math.PI / 2;
+const MAX_BANK = 0.6;
+const MAX_PITCH = 0.5;
+
+// State speed as a fraction of the fish maximum speed
+const STATE_SPEED = {
+  [FISH_STATES.WANDER]: 0.5,
+  [FISH_STATES.SCHOOL]: 0.6,
+  [FISH_STATES.INVESTIGATE]: 0.4,
+  [FISH_STATES.NIBBLE]: 0.3,
+  [FISH_STATES.FLEE]: 1,
+  [FISH_STATES.REST]: 0.05,
+};
+
+// Scratch vectors reused every frame
+const _steering = new THREE.Vector3();
+const _force = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+
+/**
+ * FishBrain drives a single fish with steering behaviours.
+ * Key technical features include:
+ * - Finite state machine (wander, school, investigate lure, nibble, flee, rest)
+ * - Reynolds-style steering: seek, arrive, wander and flocking
+ * - Avoidance of the lake boundary and of the species depth band
+ * - Heading, pitch and banking derived from the velocity
+ */
+export class FishBrain {
+  /**
+   * @param {THREE.Object3D} fish - Fish object driven by this brain
+   * @param {object} options - minDepth, maxDepth and maxSpeed (m/s)
+   */
+  constructor(fish, { minDepth, maxDepth, maxSpeed }) {
+    this.fish = fish;
+    this.minDepth = minDepth;
+    this.maxDepth = maxDepth;
+    this.maxSpeed = maxSpeed;
+
+    this.state = FISH_STATES.WANDER;
+    this.stateTime = 0;
+    this.stateDuration = this.randomDuration(FISH_STATES.WANDER);
+    this.curiosity = 0.4 + Math.random() * 0.6;
+    this.ignoreLureTime = 0;
+    this.wanderAngle = Math.random() * Math.PI * 2;
+    this.threat = new THREE.Vector3();
+    this.heading = fish.rotation.y - MODEL_HEADING_OFFSET;
+    this.bank = 0;
+
+    this.velocity = new THREE.Vector3(
+      Math.sin(this.heading),
+      0,
+      Math.cos(this.heading),
+    ).multiplyScalar(maxSpeed * STATE_SPEED[this.state]);
+
+    fish.rotation.order = 'YZX';
+  }
+
+  /**
+   * Switches to a new behaviour state.
+   * @param {string} state - One of FISH_STATES
+   * @param {number} duration - Optional state duration in seconds
+   */
+  setState(state, duration = this.randomDuration(state)) {
+    this.state = state;
+    this.stateTime = 0;
+    this.stateDuration = duration;
+  }
+
+  randomDuration(state) {
+    switch (state) {
+      case FISH_STATES.FLEE:
+        return 1.5 + Math.random();
+      case FISH_STATES.REST:
+        return 3 + Math.random() * 4;
+      case FISH_STATES.NIBBLE:
+        return 3 + Math.random() * 3;
+      case FISH_STATES.INVESTIGATE:
+        return 8 + Math.random() * 4;
+      default:
+        return 4 + Math.random() * 6;
+    }
+  }
+
+  /**
+   * Makes the fish flee from a disturbance (e.g. a lure splash).
+   * @param {THREE.Vector3} position - Source of the disturbance
+   */
+  scare(position) {
+    this.threat.copy(position);
+    this.ignoreLureTime = LURE_COOLDOWN;
+    this.setState(FISH_STATES.FLEE);
+  }
+
+  /**
+   * Updates state transitions, steering and orientation.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   * @param {object} context - neighbors (same species brains),
+   *   lurePosition (null when the lure is not in the water) and interest
+   *   (factor scaling the curiosity, e.g. by time of day and bait)
+   */
+  update(delta, { neighbors = [], lurePosition = null, interest = 1 } = {}) {
+    if (delta <= 0) return;
+
+    this.stateTime += delta;
+    this.ignoreLureTime = Math.max(0, this.ignoreLureTime - delta);
+    this.updateState(neighbors, lurePosition, interest);
+
+    const steering = this.computeSteering(delta, neighbors, lurePosition);
+    steering.add(this.avoidBoundaries());
+    steering.clampLength(0, MAX_FORCE);
+
+    const speedLimit = this.maxSpeed * STATE_SPEED[this.state];
+    this.velocity.addScaledVector(steering, delta).clampLength(0, speedLimit);
+    this.fish.position.addScaledVector(this.velocity, delta);
+
+    // Hard limits in case steering could not keep the fish inside
+    this.fish.position.y = THREE.MathUtils.clamp(
+      this.fish.position.y,
+      this.minDepth,
+      Math.min(this.maxDepth, WATER_LEVEL - DEPTH_MARGIN),
+    );
+    const radius = Math.hypot(this.fish.position.x, this.fish.position.z);
+    const maxRadius = LAKE_RADIUS - DEPTH_MARGIN;
+    if (radius > maxRadius) {
+      this.fish.position.x *= maxRadius / radius;
+      this.fish.position.z *= maxRadius / radius;
+    }
+
+    this.updateOrientation(delta);
+  }
+
+  /**
+   * Handles the transitions of the behaviour state machine.
+   */
+  updateState(neighbors, lurePosition, interest = 1) {
+    const lureDistance = lurePosition
+      ? this.fish.position.distanceTo(lurePosition)
+      : Infinity;
+    const isExpired = this.stateTime >= this.stateDuration;
+
+    switch (this.state) {
+      case FISH_STATES.FLEE:
+        if (isExpired) this.setState(FISH_STATES.WANDER);
+        return;
+
+      case FISH_STATES.INVESTIGATE:
+        if (!lurePosition || isExpired) {
+          this.loseInterest();
+        } else if (lureDistance < NIBBLE_RADIUS) {
+          this.setState(FISH_STATES.NIBBLE);
+        }
+        return;
+
+      case FISH_STATES.NIBBLE:
+        if (!lurePosition || isExpired) this.loseInterest();
+        return;
+    }
+
+    // Calm states: wander, school and rest
+    if (
+      lureDistance < SENSE_RADIUS &&
+      this.ignoreLureTime === 0 &&
+      this.state !== FISH_STATES.REST
+    ) {
+      if (Math.random() < this.curiosity * interest) {
+        this.setState(FISH_STATES.INVESTIGATE);
+        return;
+      }
+      this.ignoreLureTime = LURE_COOLDOWN;
+    }
+
+    if (!isExpired) return;
+
+    const roll = Math.random();
+    if (roll < 0.2) {
+      this.setState(FISH_STATES.REST);
+    } else if (roll < 0.6 && this.getSchoolmates(neighbors).length > 0) {
+      this.setState(FISH_STATES.SCHOOL);
+    } else {
+      this.setState(FISH_STATES.WANDER);
+    }
+  }
+
+  /**
+   * Leaves the lure alone for a while.
+   */
+  loseInterest() {
+    this.ignoreLureTime = LURE_COOLDOWN;
+    this.setState(FISH_STATES.WANDER);
+  }
+
+  /**
+   * Computes the steering force for the current state.
+   */
+  computeSteering(delta, neighbors, lurePosition) {
+    const steering = _steering.set(0, 0, 0);
+
+    switch (this.state) {
+      case FISH_STATES.FLEE:
+        _offset.subVectors(this.fish.position, this.threat).setY(0);
+        if (_offset.lengthSq() < 1e-6) _offset.set(1, 0, 0);
+        steering.add(this.seek(_offset.add(this.fish.position)));
+        break;
+
+      case FISH_STATES.INVESTIGATE:
+        steering.add(this.arrive(lurePosition, NIBBLE_RADIUS * 2));
+        break;
+
+      case FISH_STATES.NIBBLE: {
+        // Dart in and out around the lure
+        const phase = this.stateTime * 4;
+        _offset
+          .set(Math.cos(phase), 0, Math.sin(phase))
+          .multiplyScalar(NIBBLE_RADIUS * (0.5 + 0.5 * Math.sin(phase * 0.7)));
+        steering.add(this.arrive(_offset.add(lurePosition), NIBBLE_RADIUS));
+        break;
+      }
+
+      case FISH_STATES.SCHOOL:
+        steering.add(this.flock(this.getSchoolmates(neighbors)));
+        steering.add(this.wander(delta).multiplyScalar(0.3));
+        break;
+
+      case FISH_STATES.REST:
+        // Brake and drift slowly towards the bottom of the depth band
+        steering.addScaledVector(this.velocity, -2);
+        steering.y += (this.minDepth - this.fish.position.y) * 0.2;
+        break;
+
+      default:
+        steering.add(this.wander(delta));
+        steering.add(this.separate(neighbors));
+    }
+
+    return steering;
+  }
+
+  /**
+   * Steering force towards a target at the current state speed.
+   */
+  seek(target) {
+    const desired = _force
+      .subVectors(target, this.fish.position)
+      .setLength(this.maxSpeed * STATE_SPEED[this.state]);
+    return desired.sub(this.velocity).clone();
+  }
+
+  /**
+   * Seek that slows down within the given radius of the target.
+   */
+  arrive(target, slowingRadius) {
+    const toTarget = _force.subVectors(target, this.fish.position);
+    const distance = toTarget.length();
+    if (distance < 1e-4) return this.velocity.clone().negate();
+
+    const speed =
+      this.maxSpeed *
+      STATE_SPEED[this.state] *
+      Math.min(1, distance / slowingRadius);
+    return toTarget.setLength(speed).sub(this.velocity).clone();
+  }
+
+  /**
+   * Random wandering: seeks a point on a jittering circle ahead of the fish.
+   */
+  wander(delta) {
+    this.wanderAngle += (Math.random() - 0.5) * 4 * delta;
+
+    const ahead = this.velocity.clone().setY(0);
+    if (ahead.lengthSq() < 1e-6) ahead.set(Math.sin(this.heading), 0, 1);
+    ahead.setLength(0.6);
+
+    const target = this.fish.position
+      .clone()
+      .add(ahead)
+      .add(
+        new THREE.Vector3(
+          Math.cos(this.wanderAngle) * 0.3,
+          Math.sin(this.wanderAngle * 0.5) * 0.05,
+          Math.sin(this.wanderAngle) * 0.3,
+        ),
+      );
+    return this.seek(target);
+  }
+
+  /**
+   * Cohesion, alignment and separation with nearby fish of the same species.
+   */
+  flock(schoolmates) {
+    if (schoolmates.length === 0) return new THREE.Vector3();
+
+    const center = new THREE.Vector3();
+    const heading = new THREE.Vector3();
+    schoolmates.forEach((mate) => {
+      center.add(mate.fish.position);
+      heading.add(mate.velocity);
+    });
+    center.divideScalar(schoolmates.length);
+    heading.divideScalar(schoolmates.length);
+
+    const cohesion = this.seek(center).multiplyScalar(0.5);
+    const alignment = heading.sub(this.velocity).multiplyScalar(0.8);
+    return cohesion.add(alignment).add(this.separate(schoolmates));
+  }
+
+  /**
+   * Pushes away from fish that are too close.
+   */
+  separate(neighbors) {
+    const force = new THREE.Vector3();
+    neighbors.forEach((other) => {
+      if (other === this) return;
+      _offset.subVectors(this.fish.position, other.fish.position);
+      const distance = _offset.length();
+      if (distance > 0 && distance < SEPARATION_RADIUS) {
+        force.addScaledVector(_offset, 1 / (distance * distance));
+      }
+    });
+    return force.multiplyScalar(0.02);
+  }
+
+  /**
+   * Steers back inside the lake radius and the species depth band.
+   */
+  avoidBoundaries() {
+    const force = new THREE.Vector3();
+    const position = this.fish.position;
+
+    // Look ahead along the velocity to turn before reaching the shore
+    const ahead = _offset.copy(this.velocity).multiplyScalar(1.5).add(position);
+    const radius = Math.hypot(ahead.x, ahead.z);
+    const safeRadius = LAKE_RADIUS - BOUNDARY_MARGIN;
+    if (radius > safeRadius) {
+      const strength = (radius - safeRadius) / BOUNDARY_MARGIN;
+      force.x -= (ahead.x / radius) * strength * MAX_FORCE * 2;
+      force.z -= (ahead.z / radius) * strength * MAX_FORCE * 2;
+    }
+
+    const top = Math.min(this.maxDepth, WATER_LEVEL - DEPTH_MARGIN);
+    if (position.y > top - DEPTH_MARGIN) {
+      force.y -= (position.y - (top - DEPTH_MARGIN)) * 4;
+    } else if (position.y < this.minDepth + DEPTH_MARGIN) {
+      force.y += (this.minDepth + DEPTH_MARGIN - position.y) * 4;
+    }
+
+    return force;
+  }
+
+  /**
+   * Same-species neighbors within schooling distance.
+   */
+  getSchoolmates(neighbors) {
+    return neighbors.filter(
+      (other) =>
+        other !== this &&
+        other.fish.position.distanceTo(this.fish.position) < SCHOOL_RADIUS,
+    );
+  }
+
+  /**
+   * Turns the fish towards its velocity, pitching with vertical motion and
+   * banking into turns.
+   */
+  updateOrientation(delta) {
+    const horizontalSpeed = Math.hypot(this.velocity.x, this.velocity.z);
+    if (horizontalSpeed < 1e-3) return;
+
+    const targetHeading = Math.atan2(this.velocity.x, this.velocity.z);
+    let turn = targetHeading - this.heading;
+    turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+    const smoothing = 1 - Math.exp(-6 * delta);
+    this.heading += turn * smoothing;
+
+    const turnRate = delta > 0 ? (turn * smoothing) / delta : 0;
+    const targetBank = THREE.MathUtils.clamp(
+      turnRate * horizontalSpeed * 2,
+      -MAX_BANK,
+      MAX_BANK,
+    );
+    this.bank += (targetBank - this.bank) * smoothing;
+
+    const pitch = THREE.MathUtils.clamp(
+      -Math.atan2(this.velocity.y, horizontalSpeed),
+      -MAX_PITCH,
+      MAX_PITCH,
+    );
+
+    this.fish.rotation.set(
+      this.bank,
+      this.heading + MODEL_HEADING_OFFSET,
+      pitch,
+    );
+  }
+}
@@ -0,0 +1,246 @@
+import * as THREE from 'three';
+import { WATER_LEVEL, LAKE_RADIUS } from './Environment.js';
+import { MODEL_HEADING_OFFSET } from './FishBrain.js';
+
+export const LINE_BREAK_STRENGTH = 20;
+export const DRAG_MIN = 2;
+export const DRAG_MAX = 30;
+export const DRAG_STEP = 2;
+export const DEFAULT_DRAG = 10;
+
+export const FIGHT_RESULTS = {
+  FIGHTING: 'fighting',
+  LANDED: 'landed',
+  SNAPPED: 'snapped',
+};
+
+const FIXED_STEP = 1 / 120;
+const LINE_STIFFNESS = 250;
+const LINE_DAMPING = 3;
+const SPOOL_SLIP_SPEED = 3;
+const MAX_LINE_OUT = 30;
+const FISH_MASS = 0.5;
+const FISH_WATER_DRAG = 8;
+const SURGE_THRUST = 1;
+const CRUISE_THRUST = 0.35;
+const MIN_EFFORT = 0.15;
+const STAMINA_RECOVERY = 0.03;
+const LANDING_DISTANCE = 1.5;
+const LANDING_ENERGY = 0.35;
+const SHORE_MARGIN = 0.15;
+
+// Scratch vectors reused every step
+const _radial = new THREE.Vector3();
+const _lateral = new THREE.Vector3();
+
+/**
+ * FishFight simulates the fight between the angler and a hooked fish.
+ * Key technical features include:
+ * - Elastic line model: tension grows with the stretch between line out
+ *   and the actual rod tip to fish distance
+ * - Reel drag that lets the spool slip (paying out line) above a setting
+ * - Fish thrust with surges, limited by species strength and stamina
+ * - Reeling (shortening the line out) and pumping the rod raise the tension
+ *   and tire the fish
+ * - Line snaps when tension exceeds its break strength or runs out
+ */
+export class FishFight {
+  /**
+   * @param {THREE.Object3D} fish - Hooked fish, driven by the fight
+   * @param {THREE.Vector3} tipPosition - Rod tip world position
+   * @param {number} lineOut - Line out between the rod tip and the fish
+   */
+  constructor(fish, tipPosition, lineOut) {
+    this.fish = fish;
+    this.strength = fish.userData.strength;
+    this.stamina = fish.userData.stamina;
+    this.minDepth = fish.userData.brain?.minDepth ?? -1.2;
+    this.maxDepth = fish.userData.brain?.maxDepth ?? -0.5;
+
+    this.result = FIGHT_RESULTS.FIGHTING;
+    this.energy = 1;
+    this.tension = 0;
+    this.lineOut = Math.max(lineOut, fish.position.distanceTo(tipPosition));
+    this.speed = 0;
+    this.lateralSpeed = 0;
+    this.targetDepth = fish.position.y;
+    this.isSurging = true;
+    this.surgeTime = 0;
+    this.accumulator = 0;
+    this.previousStretch = 0;
+  }
+
+  /**
+   * Tension as a fraction of the line break strength.
+   * @returns {number}
+   */
+  get tensionRatio() {
+    return this.tension / LINE_BREAK_STRENGTH;
+  }
+
+  /**
+   * Advances the fight with a fixed time step.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   * @param {object} input - tipPosition (rod tip world position), lineOut
+   *   (line out after reeling) and drag (reel drag setting in newtons)
+   * @returns {string} Current fight result (one of FIGHT_RESULTS)
+   */
+  update(delta, input) {
+    if (this.result === FIGHT_RESULTS.SNAPPED) return this.result;
+
+    if (this.result === FIGHT_RESULTS.LANDED) {
+      // Exhausted fish hangs just below the surface, waiting to be lifted
+      this.tension = 0;
+      this.fish.position.y +=
+        (WATER_LEVEL - 0.05 - this.fish.position.y) * Math.min(1, delta * 3);
+      return this.result;
+    }
+
+    this.lineOut = input.lineOut;
+    this.accumulator = Math.min(this.accumulator + delta, 0.1);
+    while (this.accumulator >= FIXED_STEP) {
+      this.step(FIXED_STEP, input);
+      this.accumulator -= FIXED_STEP;
+      if (this.result !== FIGHT_RESULTS.FIGHTING) break;
+    }
+
+    this.updateOrientation(input.tipPosition);
+    return this.result;
+  }
+
+  /**
+   * Single integration step of the line, spool and fish.
+   */
+  step(dt, { tipPosition, drag }) {
+    const position = this.fish.position;
+    this.updateSurge(dt);
+
+    // Horizontal direction from the rod tip to the fish
+    _radial.subVectors(position, tipPosition).setY(0);
+    const horizontalDistance = _radial.length();
+    if (horizontalDistance < 1e-4) _radial.set(0, 0, -1);
+    _radial.normalize();
+    _lateral.set(-_radial.z, 0, _radial.x);
+
+    // Elastic line: tension from the stretch beyond the line out
+    const distance = position.distanceTo(tipPosition);
+    const stretch = distance - this.lineOut;
+    const stretchSpeed = (stretch - this.previousStretch) / dt;
+    this.previousStretch = stretch;
+    this.tension = Math.max(
+      0,
+      stretch * LINE_STIFFNESS + Math.max(0, stretchSpeed) * LINE_DAMPING,
+    );
+
+    // Reel drag: the spool slips above the setting, paying out line
+    if (this.tension > drag) {
+      const slip = Math.min(
+        (this.tension - drag) / LINE_STIFFNESS / dt,
+        SPOOL_SLIP_SPEED,
+      );
+      this.lineOut += slip * dt;
+    }
+
+    if (this.tension > LINE_BREAK_STRENGTH || this.lineOut > MAX_LINE_OUT) {
+      this.result = FIGHT_RESULTS.SNAPPED;
+      return;
+    }
+
+    // Fish thrust, limited by its remaining energy
+    const effort = this.isSurging ? SURGE_THRUST : CRUISE_THRUST;
+    const thrust =
+      this.strength * effort * (MIN_EFFORT + (1 - MIN_EFFORT) * this.energy);
+
+    // Pulling against the line drains stamina faster
+    const exertion = effort + (0.5 * this.tension) / this.strength;
+    this.energy = THREE.MathUtils.clamp(
+      this.energy -
+        (exertion / this.stamina) * dt +
+        (this.tension < 0.5 ? STAMINA_RECOVERY * dt : 0),
+      0,
+      1,
+    );
+
+    // Radial motion away from the angler against the line tension
+    const lineAlongRadial = distance > 0 ? horizontalDistance / distance : 1;
+    const acceleration =
+      (thrust - this.tension * lineAlongRadial - FISH_WATER_DRAG * this.speed) /
+      FISH_MASS;
+    this.speed += acceleration * dt;
+    this.lateralSpeed *= Math.exp(-dt);
+
+    position.addScaledVector(_radial, this.speed * dt);
+    position.addScaledVector(_lateral, this.lateralSpeed * dt);
+    position.y += (this.targetDepth - position.y) * Math.min(1, dt * 2);
+
+    this.keepInsideLake();
+
+    if (
+      this.energy < LANDING_ENERGY &&
+      Math.hypot(position.x - tipPosition.x, position.z - tipPosition.z) <
+        LANDING_DISTANCE
+    ) {
+      this.result = FIGHT_RESULTS.LANDED;
+      this.tension = 0;
+    }
+  }
+
+  /**
+   * Alternates between strong runs and calmer phases, with a random
+   * sideways direction and depth for each run.
+   */
+  updateSurge(dt) {
+    this.surgeTime -= dt;
+    if (this.surgeTime > 0) return;
+
+    this.isSurging = !this.isSurging && Math.random() < 0.3 + this.energy;
+    this.surgeTime = this.isSurging
+      ? 0.8 + Math.random() * 1.5
+      : 1 + Math.random() * 2;
+    this.lateralSpeed =
+      (Math.random() - 0.5) * this.strength * 0.1 * this.energy;
+    this.targetDepth = THREE.MathUtils.lerp(
+      this.minDepth,
+      this.maxDepth,
+      Math.random(),
+    );
+  }
+
+  /**
+   * Keeps the fish in the water, stopping it at the shore.
+   */
+  keepInsideLake() {
+    const position = this.fish.position;
+    const radius = Math.hypot(position.x, position.z);
+    const maxRadius = LAKE_RADIUS - SHORE_MARGIN;
+    if (radius > maxRadius) {
+      position.x *= maxRadius / radius;
+      position.z *= maxRadius / radius;
+      this.speed = Math.min(this.speed, 0);
+    }
+    position.y = THREE.MathUtils.clamp(
+      position.y,
+      this.minDepth,
+      WATER_LEVEL - 0.05,
+    );
+  }
+
+  /**
+   * Points the fish away from the angler, wiggling harder while surging.
+   */
+  updateOrientation(tipPosition) {
+    const heading = Math.atan2(
+      this.fish.position.x - tipPosition.x,
+      this.fish.position.z - tipPosition.z,
+    );
+    const wiggle =
+      Math.sin(performance.now() * (this.isSurging ? 0.025 : 0.012)) *
+      (0.15 + 0.25 * this.energy);
+
+    this.fish.rotation.set(
+      wiggle * 0.5,
+      heading + MODEL_HEADING_OFFSET + wiggle,
+      0,
+    );
+  }
+}
@@ -1,113 +1,178 @@
 import * as THREE from 'three';
 import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
 import { fishShaders } from './shaders/fishShaders.js';
+import { FishBrain, FISH_STATES, SCARE_RADIUS } from './FishBrain.js';
+import {
+  GROUND_LEVEL,
+  LAKE_BED_LEVEL,
+  LAKE_RADIUS,
+  TERRAIN_RADIUS,
+  WATER_LEVEL,
+} from './Environment.js';
+import { SpeciesCatalog } from './SpeciesCatalog.js';
+import { DAY_PHASES } from './celestials/CelestialManager.js';
+import { GAME_EVENTS } from './EventBus.js';
+
+const FISH_MASS = 0.5;
+const FISH_THROW_TIME = 1;
+const FLOP_SPEED = 1.5;
+const FISH_MAX_THROW_TIME = 6;
+const FISH_FALL_MARGIN = 0.5; // Depth below the floor that counts as fallen
+const GRAVITY = new THREE.Vector3(0, -9.81, 0);
+const NIBBLES_MIN = 2;
+const NIBBLES_MAX = 4;
+const NIBBLE_INTERVAL_MIN = 0.6;
+const NIBBLE_INTERVAL_MAX = 1.4;
+const HOOK_SET_WINDOW = 0.8;
+const LANDED_FISH_REACH = 2;
+const POINT_TOLERANCE = 0.5;
+const POINT_RANGE = 10;
+const RELEASE_TIME = 0.8;
+const RELEASE_DISTANCE = 1.5;
+
+export const BITE_EVENTS = {
+  NIBBLE: 'nibble',
+  STRIKE: 'strike',
+  MISSED: 'missed',
+  EARLY: 'early',
+  HOOKED: 'hooked',
+};
 
-const FISH_CONFIG = {
-  REGULAR: {
-    modelPath: './models/fish.fbx',
-    scale: 0.01,
-    count: 8,
-    color: 0x66aaff,
-    minDepth: -1.2,
-    maxDepth: -0.5,
-    speed: { min: 0.005, max: 0.015 },
-  },
-  RED: {
-    modelPath: './models/fishred.fbx',
-    scale: 0.001,
-    count: 4,
-    color: 0xff5555,
-    minDepth: -1.0,
-    maxDepth: -0.4,
-    speed: { min: 0.007, max: 0.017 },
-  },
+// Where a fish is in the catch; only swimming and hooked fish are in the lake
+export const CATCH_STATES = {
+  SWIMMING: 'swimming',
+  HOOKED: 'hooked',
+  THROWN: 'thrown',
+  LANDED: 'landed',
+  RELEASING: 'releasing',
+  COLLECTED: 'collected',
 };
 
 export class FishManager {
-  constructor(scene) {
+  /**
+   * @param {THREE.Scene} scene - The Three.js scene to add the fish to
+   * @param {PhysicsWorld} physics - Optional physics world for landed fish
+   * @param {EventBus} events - Optional gameplay event bus
+   */
+  constructor(scene, physics = null, events = null) {
     this.scene = scene;
+    this.physics = physics;
+    this.events = events;
     this.fishes = [];
     this.loader = new FBXLoader();
     this.debugMode = false;
+    this.lastUpdateTime = null;
+    this.bite = null;
+    this.catalog = null;
+    this.models = new Map();
+    this.dayPhase = DAY_PHASES.DAY;
+    this.lure = { tackle: null, isMoving: false };
+    this.subscribeToEvents();
+  }
+
+  /**
+   * The day phase and the lure splash arrive on the event bus.
+   */
+  subscribeToEvents() {
+    if (!this.events) return;
+
+    this.events.on(GAME_EVENTS.DAY_PHASE_CHANGED, ({ to }) =>
+      this.setDayPhase(to),
+    );
+    // A lure splashing down scares the closest fish away
+    this.events.on(GAME_EVENTS.LURE_LANDED, ({ position, isInWater }) => {
+      if (isInWater) this.scareFish(position);
+    });
   }
 
   async init() {
     try {
-      await Promise.all([
-        this.loadFishType(FISH_CONFIG.REGULAR),
-        this.loadFishType(FISH_CONFIG.RED),
-      ]);
+      this.catalog = await SpeciesCatalog.load();
+      await Promise.all(
+        this.catalog.getAll().map((species) => this.loadSpecies(species)),
+      );
       console.log('Fish models loaded successfully');
     } catch (error) {
       console.error('Error loading fish models:', error);
     }
   }
 
-  loadFishType(config) {
+  loadSpecies(species) {
     return new Promise((resolve, reject) => {
-      console.log(`Loading fish model: ${config.modelPath}`);
+      console.log(`Loading fish model: ${species.model}`);
 
       this.loader.load(
-        config.modelPath,
+        species.model,
         (fish) => {
-          fish.scale.setScalar(config.scale);
-          this.setupFishInstances(fish, config);
+          this.models.set(species.id, fish);
           resolve();
         },
         (xhr) => {
           console.log(
-            `${config.modelPath}: ${(xhr.loaded / xhr.total) * 100}% loaded`,
+            `${species.model}: ${(xhr.loaded / xhr.total) * 100}% loaded`,
           );
         },
         (error) => {
-          console.error(`Error loading ${config.modelPath}:`, error);
+          console.error(`Error loading ${species.model}:`, error);
           reject(error);
         },
       );
     });
   }
 
-  setupFishInstances(fishModel, config) {
-    for (let i = 0; i < config.count; i++) {
-      const fish = fishModel.clone();
-
-      // Position fish at varying depths
-      const x = Math.random() * 8 - 4;
-      const z = Math.random() * 8 - 4;
-      const y =
-        Math.random() * (config.maxDepth - config.minDepth) + config.minDepth;
-
-      fish.position.set(x, y, z);
-      fish.rotation.y = Math.random() * Math.PI * 2;
+  /**
+   * Adds a new fish of a species to the lake.
+   * @param {object} species - Catalog species
+   * @param {THREE.Vector3} position - Spawn position in the water
+   * @returns {THREE.Object3D|null} New fish, null if the model is not loaded
+   */
+  spawnFish(species, position) {
+    const model = this.models.get(species.id);
+    if (!model) return null;
+
+    const { depth, speed: speedRange, fight } = species;
+    const fish = model.clone();
+    fish.position.copy(position);
+    fish.rotation.y = Math.random() * Math.PI * 2;
+
+    // Every fish has its own size: the model scale matches the mean length
+    const { length, weight } = SpeciesCatalog.rollSize(species);
+    const meanWeight = SpeciesCatalog.getWeight(species, species.length.mean);
+    fish.scale.setScalar((species.scale * length) / species.length.mean);
+
+    // Apply enhanced shader material
+    fish.traverse((child) => {
+      if (child.isMesh) {
+        child.castShadow = true;
+        child.receiveShadow = true;
+        child.material = this.createFishMaterial(species.color);
+      }
+    });
 
-      // Apply enhanced shader material
-      fish.traverse((child) => {
-        if (child.isMesh) {
-          child.castShadow = true;
-          child.receiveShadow = true;
-          child.material = this.createFishMaterial(config.color);
-        }
-      });
+    // Set movement parameters
+    const speed =
+      Math.random() * (speedRange.max - speedRange.min) + speedRange.min;
+    fish.userData = {
+      species,
+      length,
+      weight,
+      speed,
+      // Heavier fish pull harder
+      strength: fight.strength * Math.sqrt(weight / meanWeight),
+      stamina: fight.stamina,
+      catchState: CATCH_STATES.SWIMMING,
+      isGlowing: false,
+      originalY: position.y,
+    };
+    fish.userData.brain = new FishBrain(fish, {
+      minDepth: depth.min,
+      maxDepth: depth.max,
+      maxSpeed: speed,
+    });
 
-      // Set movement parameters
-      fish.userData = {
-        speed:
-          Math.random() * (config.speed.max - config.speed.min) +
-          config.speed.min,
-        radius: 0.8 + Math.random() * 1.5,
-        centerX: x,
-        centerZ: z,
-        baseY: y,
-        angle: Math.random() * Math.PI * 2,
-        verticalOffset: Math.random() * 0.05,
-        isRed: config.color === FISH_CONFIG.RED.color,
-        isGlowing: false,
-        originalY: y,
-      };
-
-      this.scene.add(fish);
-      this.fishes.push(fish);
-    }
+    this.scene.add(fish);
+    this.fishes.push(fish);
+    return fish;
   }
 
   createFishMaterial(color) {
@@ -125,9 +190,36 @@ export class FishManager {
     });
   }
 
-  update(time, linePosition) {
+  /**
+   * Updates every fish: steering brains for swimming fish, reeling for the
+   * hooked one and physics-driven flopping for fish out of the water.
+   * @param {number} time - Current time in seconds
+   * @param {THREE.Vector3} linePosition - Current lure position
+   * @param {boolean} isLureInWater - Whether fish can see the lure
+   */
+  update(time, linePosition, isLureInWater = false) {
+    const delta =
+      this.lastUpdateTime === null
+        ? 0
+        : Math.min(time - this.lastUpdateTime, 0.1);
+    this.lastUpdateTime = time;
+
+    const lurePosition = isLureInWater ? linePosition : null;
+    const schools = this.getSchools();
+    const interest = new Map();
+
     this.fishes.forEach((fish) => {
-      if (!fish.userData || fish.userData.isOutOfWater) return;
+      if (!fish.userData) return;
+      const { catchState } = fish.userData;
+      if (catchState === CATCH_STATES.RELEASING) {
+        this.updateRelease(fish, time);
+        return;
+      }
+      if (!this.isInWater(fish)) {
+        this.updateFishOutOfWater(fish, time);
+        this.updateMarker(fish, time);
+        return;
+      }
 
       // Update shader uniforms
       fish.traverse((child) => {
@@ -136,45 +228,87 @@ export class FishManager {
         }
       });
 
-      // Only update swimming fish
-      if (!fish.userData.isCaught && !fish.userData.isOnGround) {
-        // Update fish position with smooth movement
-        fish.userData.angle += fish.userData.speed;
-
-        const newX =
-          fish.userData.centerX +
-          Math.cos(fish.userData.angle) * fish.userData.radius;
-        const newZ =
-          fish.userData.centerZ +
-          Math.sin(fish.userData.angle) * fish.userData.radius;
-        const newY =
-          fish.userData.baseY +
-          Math.sin(fish.userData.angle * 2) * fish.userData.verticalOffset;
-
-        // Ensure fish stays at proper depth
-        const constrainedY = Math.max(
-          fish.userData.isRed
-            ? FISH_CONFIG.RED.minDepth
-            : FISH_CONFIG.REGULAR.minDepth,
-          Math.min(
-            newY,
-            fish.userData.isRed
-              ? FISH_CONFIG.RED.maxDepth
-              : FISH_CONFIG.REGULAR.maxDepth,
-          ),
-        );
-
-        fish.position.set(newX, constrainedY, newZ);
-
-        // Smooth rotation towards movement direction
-        const targetRotation = Math.atan2(
-          newX - fish.position.x,
-          newZ - fish.position.z,
-        );
-        fish.rotation.y = targetRotation + Math.PI / 2;
-      } else if (fish.userData.isBeingReeled && linePosition) {
-        // Update position for fish being reeled in
-        this.updateFishPosition(fish, linePosition);
+      // Only update swimming fish; a hooked fish is driven by its FishFight
+      if (catchState === CATCH_STATES.SWIMMING) {
+        const { species, brain } = fish.userData;
+        if (!interest.has(species.id)) {
+          interest.set(species.id, this.getLureInterest(species));
+        }
+        brain.update(delta, {
+          neighbors: schools.get(species.id),
+          lurePosition,
+          interest: interest.get(species.id),
+        });
+      }
+    });
+  }
+
+  /**
+   * Groups the brains of swimming fish by species for schooling.
+   * @returns {Map<string, FishBrain[]>} Brains by species id
+   */
+  getSchools() {
+    const schools = new Map();
+    this.fishes.forEach((fish) => {
+      const { brain, species, catchState } = fish.userData;
+      if (!brain || catchState !== CATCH_STATES.SWIMMING) return;
+      if (!schools.has(species.id)) schools.set(species.id, []);
+      schools.get(species.id).push(brain);
+    });
+    return schools;
+  }
+
+  /**
+   * Sets the current day phase, which changes how eager each species is to
+   * approach the lure.
+   * @param {string} dayPhase - One of DAY_PHASES
+   */
+  setDayPhase(dayPhase) {
+    this.dayPhase = dayPhase;
+  }
+
+  /**
+   * Sets the bait or lure on the line and whether it is being retrieved.
+   * @param {object} tackle - Active tackle (one of TACKLE)
+   * @param {boolean} isMoving - Whether the lure is moving
+   */
+  setLure(tackle, isMoving) {
+    this.lure.tackle = tackle;
+    this.lure.isMoving = isMoving;
+  }
+
+  /**
+   * How eager a species is to approach the lure: its activity at the
+   * current day phase, its taste for the bait and how the lure is moving.
+   * @param {object} species - Catalog species
+   * @returns {number} Interest factor for the brains
+   */
+  getLureInterest(species) {
+    const activity = SpeciesCatalog.getActivity(species, this.dayPhase);
+    const { tackle, isMoving } = this.lure;
+    if (!tackle) return activity;
+
+    const attraction = isMoving
+      ? tackle.attraction.moving
+      : tackle.attraction.still;
+    return (
+      activity *
+      SpeciesCatalog.getBaitPreference(species, tackle.id) *
+      attraction
+    );
+  }
+
+  /**
+   * Scares the swimming fish close to a disturbance, e.g. the lure splash.
+   * @param {THREE.Vector3} position - Position of the disturbance
+   * @param {number} radius - Radius within which fish flee
+   */
+  scareFish(position, radius = SCARE_RADIUS) {
+    this.fishes.forEach((fish) => {
+      const { brain, catchState } = fish.userData;
+      if (!brain || catchState !== CATCH_STATES.SWIMMING) return;
+      if (fish.position.distanceTo(position) < radius) {
+        brain.scare(position);
       }
     });
   }
@@ -185,7 +319,7 @@ export class FishManager {
 
   getFishes() {
     // Only return active fish (those still in the water)
-    return this.fishes.filter((fish) => !fish.userData.isOutOfWater);
+    return this.fishes.filter((fish) => this.isInWater(fish));
   }
 
   getAllFishes() {
@@ -194,92 +328,187 @@ export class FishManager {
   }
 
   getCaughtFish() {
-    return this.fishes.find((fish) => fish.userData.isCaught);
+    return this.fishes.find(
+      (fish) => fish.userData.catchState === CATCH_STATES.HOOKED,
+    );
   }
 
-  checkForNearbyFish(linePosition) {
-    if (!linePosition) return null;
+  getCollectedFishes() {
+    return this.fishes.filter(
+      (fish) => fish.userData.catchState === CATCH_STATES.COLLECTED,
+    );
+  }
 
-    // Get the nearest fish that isn't already on ground
-    let nearestFish = null;
-    let nearestDistance = Infinity;
+  /**
+   * @param {THREE.Object3D} fish - Fish to check
+   * @returns {boolean} Whether the fish is in the lake, swimming or hooked
+   */
+  isInWater(fish) {
+    const { catchState } = fish.userData;
+    return (
+      catchState === CATCH_STATES.SWIMMING || catchState === CATCH_STATES.HOOKED
+    );
+  }
 
-    this.fishes.forEach((fish) => {
-      if (!fish.userData.isOnGround) {
-        const distance = fish.position.distanceTo(linePosition);
-        if (distance < nearestDistance) {
-          nearestDistance = distance;
-          nearestFish = fish;
-        }
-      }
-    });
+  /**
+   * Advances the bite sequence on the lure: a fish that reached the lure
+   * nibbles a few times and then strikes, opening the hook-set window.
+   * @param {number} time - Current time in seconds
+   * @param {THREE.Vector3|null} lurePosition - Lure position, null when the
+   *   lure is not in the water
+   * @returns {{type: string, fish: THREE.Object3D}|null} Bite event, if any;
+   *   also published on the event bus
+   */
+  updateBite(time, lurePosition) {
+    const bite = this.advanceBite(time, lurePosition);
+    if (bite) {
+      this.events?.emit(GAME_EVENTS.BITE, {
+        stage: bite.type,
+        fish: bite.fish,
+      });
+    }
+    return bite;
+  }
 
-    // If we found a fish, mark it as caught
-    if (nearestFish && !nearestFish.userData.isCaught) {
-      nearestFish.userData.isCaught = true;
-      nearestFish.userData.isBeingReeled = true;
+  /**
+   * Steps the bite sequence (see updateBite) without publishing it.
+   */
+  advanceBite(time, lurePosition) {
+    if (!this.bite) {
+      if (lurePosition) this.startBite(time);
+      return null;
+    }
 
-      // Add some resistance/struggle behavior
-      nearestFish.userData.strugglePhase = 0;
-      nearestFish.userData.struggleIntensity = 0.5 + Math.random() * 0.5;
-      nearestFish.userData.lastStruggleTime = performance.now();
+    const { fish } = this.bite;
+    const { brain } = fish.userData;
 
-      this.updateFishPosition(nearestFish, linePosition);
+    // Lure retrieved or the fish lost interest before striking
+    if (!lurePosition || brain.state !== FISH_STATES.NIBBLE) {
+      this.bite = null;
+      return null;
     }
 
-    return nearestFish;
-  }
+    if (this.bite.isStriking) {
+      if (time < this.bite.windowEndTime) return null;
 
-  updateFishPosition(fish, targetPosition) {
-    if (!fish.userData.isBeingReeled) return;
+      // Hook not set in time: the fish spits the lure and swims away
+      brain.scare(lurePosition);
+      this.bite = null;
+      return { type: BITE_EVENTS.MISSED, fish };
+    }
 
-    const currentTime = performance.now();
-    const timeDelta = (currentTime - fish.userData.lastStruggleTime) / 1000;
+    if (time < this.bite.nextNibbleTime) return null;
 
-    // Update struggle phase
-    fish.userData.strugglePhase +=
-      timeDelta * (1 + fish.userData.struggleIntensity);
-    fish.userData.lastStruggleTime = currentTime;
+    this.bite.nibblesLeft--;
+    if (this.bite.nibblesLeft > 0) {
+      this.bite.nextNibbleTime = time + this.getNibbleInterval();
+      return { type: BITE_EVENTS.NIBBLE, fish };
+    }
 
-    // Calculate struggle offset
-    const struggleOffset = new THREE.Vector3(
-      Math.sin(fish.userData.strugglePhase * 5) * 0.2,
-      Math.sin(fish.userData.strugglePhase * 3) * 0.1,
-      Math.cos(fish.userData.strugglePhase * 4) * 0.2,
-    ).multiplyScalar(fish.userData.struggleIntensity);
+    this.bite.isStriking = true;
+    this.bite.windowEndTime = time + HOOK_SET_WINDOW;
+    return { type: BITE_EVENTS.STRIKE, fish };
+  }
 
-    // Calculate target with struggle
-    const targetWithStruggle = targetPosition.clone().add(struggleOffset);
+  /**
+   * Starts a bite sequence with the first fish nibbling at the lure.
+   * @param {number} time - Current time in seconds
+   */
+  startBite(time) {
+    const fish = this.fishes.find(
+      ({ userData }) =>
+        userData.brain?.state === FISH_STATES.NIBBLE &&
+        userData.catchState === CATCH_STATES.SWIMMING,
+    );
+    if (!fish) return;
 
-    // Smoothly move fish towards target with variable speed
-    const lerpFactor = 0.1 * (1 - fish.userData.struggleIntensity * 0.5);
-    fish.position.lerp(targetWithStruggle, lerpFactor);
+    // Keep the fish at the lure until the bite sequence ends
+    fish.userData.brain.setState(FISH_STATES.NIBBLE, Infinity);
+    this.bite = {
+      fish,
+      nibblesLeft:
+        NIBBLES_MIN +
+        Math.floor(Math.random() * (NIBBLES_MAX - NIBBLES_MIN + 1)),
+      nextNibbleTime: time + this.getNibbleInterval(),
+      isStriking: false,
+      windowEndTime: 0,
+    };
+  }
 
-    // Update fish rotation to face movement direction
-    const direction = new THREE.Vector3().subVectors(
-      targetWithStruggle,
-      fish.position,
+  getNibbleInterval() {
+    return (
+      NIBBLE_INTERVAL_MIN +
+      Math.random() * (NIBBLE_INTERVAL_MAX - NIBBLE_INTERVAL_MIN)
     );
-    if (direction.length() > 0.01) {
-      const targetRotation = Math.atan2(direction.x, direction.z);
-      fish.rotation.y = targetRotation;
+  }
+
+  /**
+   * Tries to set the hook. Succeeds only inside the strike window; setting
+   * it while the fish is still nibbling spooks it.
+   * @param {THREE.Vector3} linePosition - Current lure position
+   * @returns {{type: string, fish: THREE.Object3D}|null} Hook-set result, or
+   *   null when no fish was at the lure
+   */
+  setHook(linePosition) {
+    if (!this.bite) return null;
+
+    const { fish, isStriking } = this.bite;
+    this.bite = null;
+
+    if (!isStriking) {
+      fish.userData.brain.scare(linePosition);
+      this.events?.emit(GAME_EVENTS.BITE, { stage: BITE_EVENTS.EARLY, fish });
+      return { type: BITE_EVENTS.EARLY, fish };
     }
 
-    // Gradually reduce struggle intensity
-    fish.userData.struggleIntensity *= 0.995;
+    this.hookFish(fish);
+    this.events?.emit(GAME_EVENTS.HOOKED, { fish });
+    return { type: BITE_EVENTS.HOOKED, fish };
+  }
+
+  /**
+   * Marks a fish as hooked; from now on the fight moves it.
+   * @param {THREE.Object3D} fish - Fish that took the lure
+   */
+  hookFish(fish) {
+    fish.userData.catchState = CATCH_STATES.HOOKED;
+    fish.userData.hookDepth = WATER_LEVEL - fish.position.y;
+    fish.userData.hookDayPhase = this.dayPhase;
   }
 
+  /**
+   * Frees a hooked fish (e.g. after the line snaps) and makes it flee.
+   * @param {THREE.Object3D} fish - Hooked fish
+   * @param {THREE.Vector3} threatPosition - Position to flee from
+   */
+  releaseFish(fish, threatPosition) {
+    fish.userData.catchState = CATCH_STATES.SWIMMING;
+    fish.userData.brain?.scare(threatPosition);
+  }
+
+  /**
+   * Lifts a landed fish out of the water and throws it onto the shore.
+   * @param {THREE.Object3D} fish - Landed fish
+   * @param {THREE.Vector3} targetPosition - Intended landing position
+   * @returns {object|null} Catch record of the fish
+   */
   throwFish(fish, targetPosition) {
-    if (!fish) return;
+    if (!fish) return null;
+
+    fish.userData.catchRecord = this.createCatchRecord(fish);
+    this.events?.emit(GAME_EVENTS.FISH_LANDED, {
+      fish,
+      record: fish.userData.catchRecord,
+    });
 
-    // Remove fish from caught state
-    this.caughtFish = null;
-    fish.userData.isCaught = false;
-    fish.userData.isBeingReeled = false;
+    // Out of the water until it rests on the shore
+    fish.userData.catchState = CATCH_STATES.THROWN;
+    fish.userData.hasTouchedDown = false;
 
-    // Mark fish as caught and out of water
-    fish.userData.isOutOfWater = true;
-    fish.userData.isActive = false;
+    if (this.physics) {
+      this.throwFishWithPhysics(fish, targetPosition);
+      return fish.userData.catchRecord;
+    }
 
     // Calculate throw trajectory
     const startPosition = fish.position.clone();
@@ -320,21 +549,197 @@ export class FishManager {
         // Animation complete
         fish.position.copy(endPosition);
         fish.rotation.set(Math.PI / 2, 0, Math.random() * Math.PI * 2); // Fish lies on its side
-
-        // Create a marker for the caught fish
-        this.createCaughtFishMarker(fish);
+        this.onFishTouchdown(fish);
+        this.onFishLanded(fish, currentTime * 0.001);
       }
     };
 
     // Start animation
     animate();
+    return fish.userData.catchRecord;
+  }
+
+  /**
+   * Describes a catch for the catch card and the records.
+   * @param {THREE.Object3D} fish - Landed fish
+   * @returns {object} Species, length (cm), weight (g), depth where it was
+   *   hooked (m), day phase and date of the catch
+   */
+  createCatchRecord(fish) {
+    const { species, length, weight, hookDepth, hookDayPhase } = fish.userData;
+    return {
+      speciesId: species.id,
+      speciesName: species.name,
+      length,
+      weight,
+      depth: hookDepth ?? WATER_LEVEL - fish.position.y,
+      dayPhase: hookDayPhase ?? this.dayPhase,
+      date: Date.now(),
+    };
+  }
+
+  /**
+   * Throws a fish as an Ammo.js rigid body. The launch velocity is solved so
+   * that the ballistic flight reaches the target after FISH_THROW_TIME;
+   * from there the fish bounces off rocks and terrain until it rests.
+   * @param {THREE.Object3D} fish - Fish to throw
+   * @param {THREE.Vector3} targetPosition - Intended landing position
+   */
+  throwFishWithPhysics(fish, targetPosition) {
+    const body = this.createFishBody(fish);
+    const velocity = targetPosition
+      .clone()
+      .sub(fish.position)
+      .divideScalar(FISH_THROW_TIME)
+      .addScaledVector(GRAVITY, -0.5 * FISH_THROW_TIME);
+
+    this.physics.setLinearVelocity(body, velocity);
+    this.physics.setAngularVelocity(
+      body,
+      new THREE.Vector3(
+        Math.random() * 6 - 3,
+        Math.random() * 6 - 3,
+        Math.random() * 6 - 3,
+      ),
+    );
+
+    fish.userData.body = body;
+    fish.userData.throwTime = performance.now() * 0.001;
+  }
+
+  /**
+   * Creates a dynamic box body fitted to the fish model bounds.
+   * @param {THREE.Object3D} fish - Fish to create the body for
+   * @returns {object} Ammo rigid body
+   */
+  createFishBody(fish) {
+    // Measure the model in its unrotated pose so the box fits its local axes
+    const rotation = fish.quaternion.clone();
+    fish.quaternion.identity();
+    fish.updateMatrixWorld(true);
+    const bounds = new THREE.Box3().setFromObject(fish);
+    fish.quaternion.copy(rotation);
+    fish.updateMatrixWorld(true);
+
+    const size = bounds
+      .getSize(new THREE.Vector3())
+      .max(new THREE.Vector3(0.02, 0.02, 0.02));
+    const offset = bounds.getCenter(new THREE.Vector3()).sub(fish.position);
+
+    return this.physics.addRigidBody(
+      fish,
+      this.physics.createBoxShape(size, offset),
+      FISH_MASS,
+      {
+        friction: 0.6,
+        restitution: 0.4,
+        linearDamping: 0.05,
+        angularDamping: 0.3,
+        ccdRadius: Math.min(size.x, size.y, size.z) / 2,
+      },
+    );
+  }
+
+  /**
+   * Updates fish that have been thrown out of the water: detects when the
+   * rigid body comes to rest and drives the flopping impulses on the ground.
+   * @param {THREE.Object3D} fish - Fish out of the water
+   * @param {number} time - Current time in seconds
+   */
+  updateFishOutOfWater(fish, time) {
+    const { body } = fish.userData;
+    if (!body) return;
+
+    const isThrown = fish.userData.catchState === CATCH_STATES.THROWN;
+    if (this.isFishOutOfBounds(fish)) {
+      this.placeFishOnFloor(fish);
+      if (isThrown) {
+        if (!fish.userData.hasTouchedDown) this.onFishTouchdown(fish);
+        this.onFishLanded(fish, time);
+      }
+      return;
+    }
+
+    if (isThrown) {
+      const flightTime = performance.now() * 0.001 - fish.userData.throwTime;
+      // The throw is solved to come down after FISH_THROW_TIME
+      if (!fish.userData.hasTouchedDown && flightTime >= FISH_THROW_TIME) {
+        this.onFishTouchdown(fish);
+      }
+      // A fish that never settles is landed anyway so it can be collected
+      if (
+        (flightTime > 0.3 && this.physics.isResting(body)) ||
+        flightTime > FISH_MAX_THROW_TIME
+      ) {
+        this.onFishLanded(fish, time);
+      }
+      return;
+    }
+
+    if (fish.userData.flopsLeft > 0 && time >= fish.userData.nextFlopTime) {
+      // Decreasing flop intensity
+      const intensity = fish.userData.flopsLeft / fish.userData.maxFlops;
+      this.physics.applyImpulse(
+        body,
+        new THREE.Vector3(0, FISH_MASS * FLOP_SPEED * intensity, 0),
+        new THREE.Vector3(
+          (Math.random() - 0.5) * 0.02 * intensity,
+          (Math.random() - 0.5) * 0.04 * intensity,
+          (Math.random() - 0.5) * 0.02 * intensity,
+        ),
+      );
+      fish.userData.flopsLeft--;
+      fish.userData.nextFlopTime = time + 0.4 + Math.random() * 0.3;
+    }
+  }
+
+  /**
+   * @param {number} x - World X position
+   * @param {number} z - World Z position
+   * @returns {number} Height of the lake bed or the ground below the point
+   */
+  static getFloorLevel(x, z) {
+    return Math.hypot(x, z) < LAKE_RADIUS ? LAKE_BED_LEVEL : GROUND_LEVEL;
+  }
+
+  /**
+   * Whether a fish out of the water slipped through the floor or left the
+   * terrain.
+   * @param {THREE.Object3D} fish - Fish out of the water
+   * @returns {boolean}
+   */
+  isFishOutOfBounds(fish) {
+    const { x, y, z } = fish.position;
+    return (
+      Math.hypot(x, z) > TERRAIN_RADIUS ||
+      y < FishManager.getFloorLevel(x, z) - FISH_FALL_MARGIN
+    );
+  }
+
+  /**
+   * Puts a fish that fell out of bounds back on the floor, with a fresh body
+   * at rest.
+   * @param {THREE.Object3D} fish - Fish out of the water
+   */
+  placeFishOnFloor(fish) {
+    const { position } = fish;
+    const distance = Math.hypot(position.x, position.z);
+    const maxDistance = TERRAIN_RADIUS - 1;
+    if (distance > maxDistance) {
+      position.x *= maxDistance / distance;
+      position.z *= maxDistance / distance;
+    }
+    position.y = FishManager.getFloorLevel(position.x, position.z) + 0.05;
+
+    this.physics.removeRigidBody(fish.userData.body);
+    fish.userData.body = this.createFishBody(fish);
   }
 
   createCaughtFishMarker(fish) {
     // Create a simple marker geometry
     const markerGeometry = new THREE.CylinderGeometry(0.1, 0, 0.3, 4);
     const markerMaterial = new THREE.MeshBasicMaterial({
-      color: fish.userData.isRed ? 0xff0000 : 0x00ff00,
+      color: fish.userData.species.color,
       transparent: true,
       opacity: 0.6,
     });
@@ -344,46 +749,175 @@ export class FishManager {
     marker.position.y += 0.5; // Float above the ground
     marker.rotation.x = Math.PI; // Point downwards
 
-    // Add some animation
-    const animate = () => {
-      marker.position.y =
-        fish.position.y + 0.5 + Math.sin(performance.now() * 0.002) * 0.1;
-      marker.rotation.y += 0.02;
-      requestAnimationFrame(animate);
-    };
-    animate();
-
     this.scene.add(marker);
     fish.userData.marker = marker;
   }
 
-  onFishLanded(fish) {
-    // Stop fish movement
-    fish.userData.isOnGround = true;
-
-    // Rotate fish to lay on its side with some randomness
-    fish.rotation.z = Math.PI / 2 + (Math.random() * 0.4 - 0.2);
-    fish.rotation.x = Math.random() * 0.3 - 0.15;
-
-    // More dynamic flopping animation
-    let flopCount = 0;
-    const maxFlops = 3 + Math.floor(Math.random() * 3);
-    const flopInterval = setInterval(() => {
-      if (flopCount >= maxFlops) {
-        clearInterval(flopInterval);
-        return;
+  /**
+   * Bobs and spins the marker above a landed fish; the targeted fish gets a
+   * bigger, opaque marker.
+   * @param {THREE.Object3D} fish - Fish out of the water
+   * @param {number} time - Current time in seconds
+   */
+  updateMarker(fish, time) {
+    const { marker, isTargeted } = fish.userData;
+    if (!marker) return;
+
+    marker.position.set(
+      fish.position.x,
+      fish.position.y + 0.5 + Math.sin(time * 2) * 0.1,
+      fish.position.z,
+    );
+    marker.rotation.y += isTargeted ? 0.06 : 0.02;
+    marker.scale.setScalar(isTargeted ? 1.5 : 1);
+    marker.material.opacity = isTargeted ? 1 : 0.6;
+  }
+
+  removeMarker(fish) {
+    const { marker } = fish.userData;
+    if (!marker) return;
+
+    this.scene.remove(marker);
+    marker.geometry.dispose();
+    marker.material.dispose();
+    fish.userData.marker = null;
+  }
+
+  /**
+   * Finds the landed fish the player is next to or pointing at.
+   * @param {THREE.Ray} ray - Pointing ray (controller or camera)
+   * @returns {THREE.Object3D|null} Closest landed fish that can be handled
+   */
+  findLandedFish(ray) {
+    let closest = null;
+    let closestDistance = Infinity;
+
+    this.fishes.forEach((fish) => {
+      if (fish.userData.catchState !== CATCH_STATES.LANDED) return;
+
+      const distance = ray.origin.distanceTo(fish.position);
+      const isInReach =
+        Math.hypot(
+          fish.position.x - ray.origin.x,
+          fish.position.z - ray.origin.z,
+        ) < LANDED_FISH_REACH;
+      const isPointed =
+        distance < POINT_RANGE &&
+        ray.distanceToPoint(fish.position) < POINT_TOLERANCE;
+
+      if ((isInReach || isPointed) && distance < closestDistance) {
+        closest = fish;
+        closestDistance = distance;
       }
+    });
+
+    return closest;
+  }
 
-      // Randomized flopping animation
-      const flopIntensity = 1 - flopCount / maxFlops; // Decreasing intensity
-      fish.rotation.y += (Math.PI / 4) * flopIntensity;
-      fish.position.y += 0.1 * flopIntensity;
-      setTimeout(() => {
-        fish.position.y = landingPosition.y;
-      }, 100);
+  /**
+   * Keeps a landed fish: it goes to the creel and leaves the scene.
+   * @param {THREE.Object3D} fish - Landed fish
+   * @returns {object} Catch record of the fish
+   */
+  keepFish(fish) {
+    this.removeMarker(fish);
+    this.collectFish(fish);
+    return fish.userData.catchRecord ?? this.createCatchRecord(fish);
+  }
+
+  /**
+   * Throws a landed fish back into the lake, where it swims away and joins
+   * the population again.
+   * @param {THREE.Object3D} fish - Landed fish
+   */
+  releaseLandedFish(fish) {
+    this.removeMarker(fish);
+    if (fish.userData.body) {
+      this.physics.removeRigidBody(fish.userData.body);
+      fish.userData.body = null;
+    }
 
-      flopCount++;
-    }, 200 + Math.random() * 100);
+    // Arc from the shore to the water in front of the fish
+    const direction = new THREE.Vector3(fish.position.x, 0, fish.position.z);
+    if (direction.lengthSq() < 1e-6) direction.set(0, 0, 1);
+    direction.normalize();
+    const target = direction
+      .clone()
+      .multiplyScalar(LAKE_RADIUS - RELEASE_DISTANCE)
+      .setY(fish.userData.species.depth.max);
+    const midPoint = fish.position.clone().lerp(target, 0.5);
+    midPoint.y += 1;
+
+    fish.userData.catchState = CATCH_STATES.RELEASING;
+    fish.userData.isTargeted = false;
+    fish.userData.release = {
+      curve: new THREE.QuadraticBezierCurve3(
+        fish.position.clone(),
+        midPoint,
+        target,
+      ),
+      startTime: null,
+    };
+  }
+
+  /**
+   * Moves a released fish along its arc and lets it swim off once it is
+   * back in the water.
+   * @param {THREE.Object3D} fish - Fish being released
+   * @param {number} time - Current time in seconds
+   */
+  updateRelease(fish, time) {
+    const { release, brain } = fish.userData;
+    release.startTime ??= time;
+    const progress = Math.min((time - release.startTime) / RELEASE_TIME, 1);
+
+    fish.position.copy(release.curve.getPoint(progress));
+    fish.rotation.z += 0.15;
+    if (progress < 1) return;
+
+    fish.userData.release = null;
+    fish.userData.catchState = CATCH_STATES.SWIMMING;
+    fish.userData.catchRecord = null;
+    fish.rotation.set(0, 0, 0);
+
+    // Flee from the shore it was thrown from
+    brain.velocity.set(0, 0, 0);
+    brain.scare(release.curve.v0);
+  }
+
+  /**
+   * Publishes where a thrown fish first comes down.
+   * @param {THREE.Object3D} fish - Thrown fish
+   */
+  onFishTouchdown(fish) {
+    fish.userData.hasTouchedDown = true;
+    const { x, z } = fish.position;
+    this.events?.emit(GAME_EVENTS.FISH_TOUCHDOWN, {
+      fish,
+      position: fish.position.clone(),
+      isInWater: Math.hypot(x, z) < LAKE_RADIUS,
+    });
+  }
+
+  onFishLanded(fish, time) {
+    // Stop fish movement
+    fish.userData.catchState = CATCH_STATES.LANDED;
+
+    // A few flops of decreasing intensity, driven by physics impulses
+    fish.userData.maxFlops = 3 + Math.floor(Math.random() * 3);
+    fish.userData.flopsLeft = fish.userData.maxFlops;
+    fish.userData.nextFlopTime = time + 0.2;
+
+    // Create a marker for the caught fish
+    this.createCaughtFishMarker(fish);
+  }
+
+  /**
+   * Marks a landed fish as collected so the population despawns it.
+   * @param {THREE.Object3D} fish - Fish on the ground
+   */
+  collectFish(fish) {
+    fish.userData.catchState = CATCH_STATES.COLLECTED;
   }
 
   removeFish(fish) {
@@ -391,6 +925,11 @@ export class FishManager {
     if (index > -1) {
       this.fishes.splice(index, 1);
       this.scene.remove(fish);
+      this.removeMarker(fish);
+      if (fish.userData.body) {
+        this.physics.removeRigidBody(fish.userData.body);
+        fish.userData.body = null;
+      }
     }
   }
 }
@@ -0,0 +1,164 @@
+import * as THREE from 'three';
+import { LAKE_RADIUS } from './Environment.js';
+
+export const SPAWN_ZONES = {
+  SHALLOWS: 'shallows',
+  DEEP: 'deep',
+  ROCKS: 'rocks',
+};
+
+const SHORE_MARGIN = 0.8;
+const ROCK_ZONE_WIDTH = 1;
+const DEEP_ZONE_RADIUS = LAKE_RADIUS * 0.4;
+const SHALLOWS_ZONE_RADIUS = LAKE_RADIUS * 0.6;
+const ZONE_DEPTH_SHARE = 0.6;
+const RESPAWN_JITTER = 0.5;
+
+/**
+ * FishPopulation keeps the lake stocked during long sessions.
+ * Key technical features include:
+ * - Per-species carrying capacity (the species population) refilled over
+ *   time with a randomised respawn delay
+ * - Spawn zones (shallows, deep centre and the rocky shore) that set where
+ *   and at which part of the depth band each species appears
+ * - Despawn of landed fish once they are collected
+ */
+export class FishPopulation {
+  /**
+   * @param {FishManager} fishManager - Owner of the fish instances
+   * @param {Environment} environment - Optional environment, for the rocks
+   */
+  constructor(fishManager, environment = null) {
+    this.fishManager = fishManager;
+    this.environment = environment;
+    this.nextSpawnTimes = new Map();
+  }
+
+  /**
+   * Fills every species up to its carrying capacity.
+   */
+  populate() {
+    this.getSpecies().forEach((species) => {
+      const missing = species.population - this.countInWater(species);
+      for (let i = 0; i < missing; i++) this.spawn(species);
+    });
+  }
+
+  /**
+   * Despawns collected fish and respawns missing ones over time.
+   * @param {number} time - Current time in seconds
+   */
+  update(time) {
+    this.despawnCollected();
+
+    this.getSpecies().forEach((species) => {
+      if (this.countInWater(species) >= species.population) {
+        this.nextSpawnTimes.delete(species.id);
+        return;
+      }
+
+      // Schedule the next arrival when a fish goes missing
+      if (!this.nextSpawnTimes.has(species.id)) {
+        this.nextSpawnTimes.set(
+          species.id,
+          time +
+            species.respawnTime *
+              (1 - RESPAWN_JITTER + Math.random() * RESPAWN_JITTER * 2),
+        );
+      } else if (time >= this.nextSpawnTimes.get(species.id)) {
+        this.nextSpawnTimes.delete(species.id);
+        this.spawn(species);
+      }
+    });
+  }
+
+  /**
+   * Removes collected fish from the scene.
+   */
+  despawnCollected() {
+    this.fishManager
+      .getCollectedFishes()
+      .forEach((fish) => this.fishManager.removeFish(fish));
+  }
+
+  /**
+   * Spawns a fish of a species in one of its zones.
+   * @param {object} species - Catalog species
+   * @returns {THREE.Object3D|null} New fish, null if its model is not loaded
+   */
+  spawn(species) {
+    const zones = species.spawnZones;
+    const zone = zones[Math.floor(Math.random() * zones.length)];
+    return this.fishManager.spawnFish(
+      species,
+      this.getSpawnPosition(zone, species.depth),
+    );
+  }
+
+  /**
+   * Picks a random position in a spawn zone.
+   * @param {string} zone - One of SPAWN_ZONES
+   * @param {{min: number, max: number}} depth - Species depth band
+   * @returns {THREE.Vector3}
+   */
+  getSpawnPosition(zone, depth) {
+    const maxRadius = LAKE_RADIUS - SHORE_MARGIN;
+    let angle = Math.random() * Math.PI * 2;
+    let radius;
+    let depthRange = [depth.min, depth.max];
+    const zoneDepth = (depth.max - depth.min) * ZONE_DEPTH_SHARE;
+
+    switch (zone) {
+      case SPAWN_ZONES.SHALLOWS:
+        radius = THREE.MathUtils.lerp(
+          SHALLOWS_ZONE_RADIUS,
+          maxRadius,
+          Math.random(),
+        );
+        depthRange = [depth.max - zoneDepth, depth.max];
+        break;
+
+      case SPAWN_ZONES.DEEP:
+        radius = Math.sqrt(Math.random()) * DEEP_ZONE_RADIUS;
+        depthRange = [depth.min, depth.min + zoneDepth];
+        break;
+
+      case SPAWN_ZONES.ROCKS: {
+        // Along the shore, facing one of the rocks around the lake
+        const rocks = this.environment?.rocks ?? [];
+        if (rocks.length > 0) {
+          const rock = rocks[Math.floor(Math.random() * rocks.length)];
+          angle =
+            Math.atan2(rock.position.z, rock.position.x) +
+            (Math.random() - 0.5) * 0.3;
+        }
+        radius = maxRadius - Math.random() * ROCK_ZONE_WIDTH;
+        break;
+      }
+
+      default:
+        radius = Math.sqrt(Math.random()) * maxRadius;
+    }
+
+    return new THREE.Vector3(
+      Math.cos(angle) * radius,
+      THREE.MathUtils.lerp(depthRange[0], depthRange[1], Math.random()),
+      Math.sin(angle) * radius,
+    );
+  }
+
+  getSpecies() {
+    return this.fishManager.catalog?.getAll() ?? [];
+  }
+
+  /**
+   * Counts the fish of a species still in the lake, hooked ones included.
+   * @param {object} species - Catalog species
+   * @returns {number}
+   */
+  countInWater(species) {
+    return this.fishManager
+      .getFishes()
+      .filter((fish) => fish.userData.species === species).length;
+  }
+}
@@ -0,0 +1,271 @@
+import * as THREE from 'three';
+import { WATER_LEVEL, GROUND_LEVEL, LAKE_RADIUS } from './Environment.js';
+
+const SEGMENT_COUNT = 24;
+const FIXED_STEP = 1 / 120;
+const MAX_SUBSTEPS = 8;
+const CONSTRAINT_ITERATIONS = 12;
+const GRAVITY = new THREE.Vector3(0, -9.81, 0);
+const AIR_DRAG = 0.02;
+const WATER_DRAG = 0.35;
+const SURFACE_FRICTION = 0.5;
+
+// Scratch vectors reused by the solver to avoid per-step allocations
+const _velocity = new THREE.Vector3();
+const _delta = new THREE.Vector3();
+
+/**
+ * FishingLine simulates the fishing line as a segmented rope.
+ * Key technical features include:
+ * - Verlet integration of mass points with a fixed time step
+ * - Iterative distance constraints between consecutive points
+ * - Kinematic anchors that follow the reel, guides and rod tip
+ * - Medium-dependent drag (air vs. water) and water/ground collision
+ * - Optional pinning of the lure to an external target (e.g. a hooked fish)
+ */
+export class FishingLine {
+  /**
+   * @param {THREE.Scene} scene - The Three.js scene to add the line to
+   * @param {number} anchorCount - Number of kinematic points driven by the rod
+   * @param {number} length - Initial free line length from rod tip to lure
+   */
+  constructor(scene, anchorCount, length) {
+    this.scene = scene;
+    this.anchorCount = anchorCount;
+    this.length = length;
+    this.accumulator = 0;
+
+    const pointCount = anchorCount + SEGMENT_COUNT;
+    this.positions = [];
+    this.previous = [];
+    for (let i = 0; i < pointCount; i++) {
+      this.positions.push(new THREE.Vector3());
+      this.previous.push(new THREE.Vector3());
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      'position',
+      new THREE.BufferAttribute(new Float32Array(pointCount * 3), 3),
+    );
+    const material = new THREE.LineBasicMaterial({
+      color: 0xffffff,
+      transparent: true,
+      opacity: 0.6,
+    });
+
+    this.mesh = new THREE.Line(geometry, material);
+    this.mesh.frustumCulled = false;
+    this.scene.add(this.mesh);
+  }
+
+  /**
+   * Index of the point that carries the lure.
+   * @returns {number}
+   */
+  get lureIndex() {
+    return this.positions.length - 1;
+  }
+
+  /**
+   * Current lure position in world space.
+   * @returns {THREE.Vector3}
+   */
+  get lurePosition() {
+    return this.positions[this.lureIndex];
+  }
+
+  /**
+   * Places every point at the given anchors, hanging the free segments
+   * straight down from the last anchor. Used on creation and hard resets.
+   * @param {THREE.Vector3[]} anchors - World positions of the kinematic points
+   */
+  reset(anchors) {
+    const tip = anchors[anchors.length - 1];
+    const segmentLength = this.length / SEGMENT_COUNT;
+
+    this.positions.forEach((point, i) => {
+      if (i < this.anchorCount) {
+        point.copy(anchors[i]);
+      } else {
+        const offset = (i - this.anchorCount + 1) * segmentLength;
+        point.set(tip.x, tip.y - offset, tip.z);
+      }
+      this.previous[i].copy(point);
+    });
+    this.accumulator = 0;
+    this.updateGeometry();
+  }
+
+  /**
+   * Gives the lure (and, progressively less, the rest of the free line) an
+   * initial velocity, e.g. when casting.
+   * @param {THREE.Vector3} velocity - Lure velocity in m/s
+   */
+  launch(velocity) {
+    for (let i = this.anchorCount; i < this.positions.length; i++) {
+      const weight = (i - this.anchorCount + 1) / SEGMENT_COUNT;
+      this.previous[i]
+        .copy(this.positions[i])
+        .addScaledVector(velocity, -FIXED_STEP * weight);
+    }
+  }
+
+  /**
+   * Whether the lure is resting on (or under) the water surface.
+   * @returns {boolean}
+   */
+  isLureInWater() {
+    return (
+      this.isOverWater(this.lurePosition) &&
+      this.lurePosition.y <= WATER_LEVEL + 0.01
+    );
+  }
+
+  /**
+   * Distance from the last anchor (rod tip) to the lure.
+   * @returns {number}
+   */
+  getTipToLureDistance() {
+    return this.positions[this.anchorCount - 1].distanceTo(this.lurePosition);
+  }
+
+  /**
+   * Finds the point on the line at a given distance from the lure, measured
+   * along the simulated segments.
+   * @param {number} distance - Distance along the line from the lure
+   * @param {THREE.Vector3} target - Vector to write the point to
+   * @returns {THREE.Vector3}
+   */
+  getPointFromLure(distance, target = new THREE.Vector3()) {
+    let remaining = distance;
+    for (let i = this.lureIndex; i > 0; i--) {
+      const from = this.positions[i];
+      const to = this.positions[i - 1];
+      const segmentLength = from.distanceTo(to);
+      if (segmentLength >= remaining) {
+        return target.lerpVectors(from, to, remaining / segmentLength);
+      }
+      remaining -= segmentLength;
+    }
+    return target.copy(this.positions[0]);
+  }
+
+  isOverWater(point) {
+    return Math.hypot(point.x, point.z) < LAKE_RADIUS;
+  }
+
+  /**
+   * Advances the simulation using a fixed time step.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   * @param {THREE.Vector3[]} anchors - World positions of the kinematic points
+   * @param {THREE.Vector3|null} lureTarget - Optional position the lure is pinned to
+   */
+  update(delta, anchors, lureTarget = null) {
+    this.accumulator = Math.min(
+      this.accumulator + delta,
+      FIXED_STEP * MAX_SUBSTEPS,
+    );
+
+    while (this.accumulator >= FIXED_STEP) {
+      this.step(FIXED_STEP, anchors, lureTarget);
+      this.accumulator -= FIXED_STEP;
+    }
+
+    this.updateGeometry();
+  }
+
+  /**
+   * Single Verlet integration step followed by constraint relaxation.
+   */
+  step(dt, anchors, lureTarget) {
+    for (let i = 0; i < this.positions.length; i++) {
+      const point = this.positions[i];
+      const previous = this.previous[i];
+
+      if (i < this.anchorCount) {
+        previous.copy(point);
+        point.copy(anchors[i]);
+        continue;
+      }
+
+      const inWater = this.isOverWater(point) && point.y <= WATER_LEVEL + 0.001;
+      const drag = inWater ? WATER_DRAG : AIR_DRAG;
+
+      _velocity.subVectors(point, previous).multiplyScalar(1 - drag);
+      previous.copy(point);
+      point.add(_velocity).addScaledVector(GRAVITY, dt * dt);
+    }
+
+    if (lureTarget) {
+      this.positions[this.lureIndex].copy(lureTarget);
+    }
+
+    const segmentLength = this.length / SEGMENT_COUNT;
+    for (let k = 0; k < CONSTRAINT_ITERATIONS; k++) {
+      for (let i = this.anchorCount - 1; i < this.positions.length - 1; i++) {
+        this.satisfyConstraint(
+          i,
+          i + 1,
+          segmentLength,
+          lureTarget !== null && i + 1 === this.lureIndex,
+        );
+      }
+      this.collide(lureTarget);
+    }
+  }
+
+  /**
+   * Moves a pair of points so their distance matches the rest length.
+   * Anchors and pinned points are treated as having infinite mass.
+   */
+  satisfyConstraint(a, b, restLength, isPinned) {
+    const pointA = this.positions[a];
+    const pointB = this.positions[b];
+    const delta = _delta.subVectors(pointB, pointA);
+    const distance = delta.length();
+    if (distance === 0) return;
+
+    const error = (distance - restLength) / distance;
+    const weightA = a < this.anchorCount ? 0 : 1;
+    const weightB = isPinned ? 0 : 1;
+    const total = weightA + weightB;
+    if (total === 0) return;
+
+    pointA.addScaledVector(delta, (error * weightA) / total);
+    pointB.addScaledVector(delta, (-error * weightB) / total);
+  }
+
+  /**
+   * Keeps free points above the water plane inside the lake and above the
+   * ground outside it, applying surface friction on contact.
+   */
+  collide(lureTarget) {
+    for (let i = this.anchorCount; i < this.positions.length; i++) {
+      if (lureTarget && i === this.lureIndex) continue;
+
+      const point = this.positions[i];
+      const floor = this.isOverWater(point) ? WATER_LEVEL : GROUND_LEVEL;
+      if (point.y < floor) {
+        const previous = this.previous[i];
+        point.y = floor;
+        previous.x += (point.x - previous.x) * SURFACE_FRICTION;
+        previous.z += (point.z - previous.z) * SURFACE_FRICTION;
+      }
+    }
+  }
+
+  updateGeometry() {
+    const attribute = this.mesh.geometry.attributes.position;
+    this.positions.forEach((point, i) => {
+      attribute.setXYZ(i, point.x, point.y, point.z);
+    });
+    attribute.needsUpdate = true;
+  }
+
+  dispose() {
+    this.scene.remove(this.mesh);
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+  }
+}
@@ -1,36 +1,206 @@
 import * as THREE from 'three';
+import { FishingLine } from './FishingLine.js';
+import {
+  Bobber,
+  BOBBER_DEPTH_MIN,
+  BOBBER_DEPTH_MAX,
+  BOBBER_DEPTH_STEP,
+  DEFAULT_BOBBER_DEPTH,
+} from './Bobber.js';
+import { Lure, TACKLE, DEFAULT_TACKLE_ID } from './Lure.js';
+import { RodStateMachine, ROD_STATES } from './RodStateMachine.js';
+import { GAME_EVENTS } from './EventBus.js';
+import { BITE_EVENTS } from './FishManager.js';
+import { WATER_LEVEL, GROUND_LEVEL, LAKE_RADIUS } from './Environment.js';
+import { DEFAULT_DRAG, DRAG_MIN, DRAG_MAX, DRAG_STEP } from './FishFight.js';
 
 const GRAB_RADIUS = 0.8;
 const CAST_POWER_MAX = 5;
+const CAST_SPEED_PER_POWER = 2;
+const CAST_CHARGE_RATE = CAST_POWER_MAX / 1.5;
+const CAST_VR_VELOCITY_SCALE = 1.5;
+const CAST_MIN_ELEVATION = 0.2;
+const LURE_AIR_DRAG = 0.05;
+const LURE_RADIUS = 0.02;
+const LURE_MASS = 0.02;
+const FISH_LANDING_MARGIN = 1;
+const NIBBLE_DIP_SPEED = 0.2;
+const BITE_DIP_SPEED = 0.6;
+const BITE_PULL_FORCE = 1.2;
+const HOOK_SET_JERK_SPEED = 2.5;
+const TIP_VELOCITY_SMOOTHING = 0.5;
+const GRAVITY = new THREE.Vector3(0, -9.81, 0);
+const GUIDE_POSITIONS = [0.5, 0.8, 1.1, 1.4];
+const ROD_TIP_HEIGHT = 1.5;
+const IDLE_LINE_LENGTH = 0.6;
+const MAX_LINE_LENGTH = 30;
+const LINE_RETRIEVE_SPEED = 4;
+const MIDDLE_SECTION_BASE = 0.4;
+const TOP_SECTION_BASE = 1.0;
+const MAX_ROD_BEND = 1.1;
+const ROD_BEND_SMOOTHING = 10;
+const PUMP_ANGLE = 0.6;
+const PUMP_SPEED = 3;
+const TENSION_HAPTIC_INTERVAL = 100;
+const SPOOL_RADIUS = 0.03;
+const GEAR_RATIO = 5.2;
+const LINE_PER_TURN = GEAR_RATIO * 2 * Math.PI * SPOOL_RADIUS;
+const CRANK_KEY_SPEED = 0.8;
+const CRANK_REACH = 0.25;
+const RETRIEVE_SPEED_SMOOTHING = 8;
+const RETRIEVING_SPEED = 0.05;
 
 /**
  * FishingRod class implements an interactive fishing rod system with physics-based line simulation.
  * Key technical features include:
- * - Real-time physics simulation for fishing line using custom spring dynamics
+ * - Real-time Verlet rope simulation for the fishing line (see FishingLine)
  * - Interactive VR and non-VR controls with grab detection
  * - Dynamic material system with PBR (Physically Based Rendering)
  * - Procedural animation for casting and reeling mechanics
  * - Collision detection for fish interaction
+ * - Optional Ammo.js rigid body for the lure while it flies after a cast
+ * - Floating bobber above the hook that signals bites (see Bobber)
+ * - Rod bend, tension gauge and haptics driven by the line tension in a fight
+ * - Spooled line length, retrieved by cranking the reel at its gear ratio
+ * - Interchangeable bait or lure on the hook with its own sink rate and
+ *   retrieval action (see Lure)
+ * - Single rod state (idle, holding, charging, casting, waiting, hooked,
+ *   fighting, landing) with transition events (see RodStateMachine)
+ * - Publishes casts and lure landings on the event bus and reacts to the
+ *   bites, hook-sets and line breaks published there
  */
 export class FishingRod {
   /**
    * @param {THREE.Scene} scene - The Three.js scene to add the fishing rod to
+   * @param {PhysicsWorld} physics - Optional physics world for the lure
+   * @param {Environment} environment - Optional environment for water height
+   * @param {EventBus} events - Optional gameplay event bus
    */
-  constructor(scene) {
+  constructor(scene, physics = null, environment = null, events = null) {
     this.scene = scene;
+    this.physics = physics;
+    this.environment = environment;
+    this.events = events;
     this.rod = null;
     this.reel = null;
     this.handle = null;
     this.line = null;
+    this.bobber = null;
+    this.lure = null;
+    this.tackle = TACKLE[DEFAULT_TACKLE_ID];
+    this.hookDepth = 0;
+    this.retrieveSpeed = 0;
     this.pointer = null;
     this.grabSphere = null;
-    this.isGrabbed = false;
-    this.isCasting = false;
+    this.powerMeter = null;
+    this.controller = null;
+    this.state = new RodStateMachine();
+    this.state.addEventListener('change', (event) => this.onStateChange(event));
     this.castPower = 0;
+    this.lureFlight = null;
+    this.tipPosition = new THREE.Vector3();
+    this.tipVelocity = new THREE.Vector3();
     this.lineEndPoint = new THREE.Vector3();
-    this.hasFishBite = false;
+    this.hookPosition = new THREE.Vector3();
+    this.hookedFish = null;
     this.fishBiteTime = 0;
+    this.drag = DEFAULT_DRAG;
+    this.bobberDepth = DEFAULT_BOBBER_DEPTH;
+    this.isReeling = false;
+    this.isPumping = false;
+    this.pumpAngle = 0;
+    this.lineTension = 0;
+    this.rodBend = 0;
+    this.lastHapticTime = 0;
+    this.rodSections = null;
+    this.spool = null;
+    this.crankArm = null;
+    this.crankController = null;
+    this.crankAngle = null;
+    this.pendingCrankTurns = 0;
+    this.lineOut = IDLE_LINE_LENGTH;
+    this.spoolLineOut = IDLE_LINE_LENGTH;
+    this.lastUpdateTime = null;
     this.textures = null;
+    this.subscribeToEvents();
+  }
+
+  /**
+   * Bite feedback, the hook-set and line breaks arrive on the event bus.
+   */
+  subscribeToEvents() {
+    if (!this.events) return;
+
+    this.events.on(GAME_EVENTS.BITE, ({ stage }) => {
+      switch (stage) {
+        case BITE_EVENTS.NIBBLE:
+          this.showNibble();
+          break;
+        case BITE_EVENTS.STRIKE:
+          this.showStrike();
+          break;
+        case BITE_EVENTS.MISSED:
+        case BITE_EVENTS.EARLY:
+          this.resetFishBite();
+          break;
+      }
+    });
+    this.events.on(GAME_EVENTS.HOOKED, ({ fish }) => this.showFishBite(fish));
+    this.events.on(GAME_EVENTS.LINE_SNAPPED, () => {
+      this.vibrate(1, 200);
+      this.endCasting();
+    });
+  }
+
+  get isGrabbed() {
+    return this.state.isHeld;
+  }
+
+  get isCharging() {
+    return this.state.is(ROD_STATES.CHARGING);
+  }
+
+  /**
+   * Whether the line is out, from the cast until it is reeled back in.
+   * @returns {boolean}
+   */
+  get isCasting() {
+    return this.state.isLineOut;
+  }
+
+  get hasFishBite() {
+    return this.state.hasFish;
+  }
+
+  /**
+   * Clears whatever the previous state left behind, so a single transition
+   * leaves the rod consistent.
+   * @param {{from: string, to: string}} event - State change event
+   */
+  onStateChange({ to }) {
+    if (!this.state.hasFish) {
+      this.hookedFish = null;
+      this.lineTension = 0;
+      this.bobber?.setPullForce(0);
+    }
+    if (!this.state.isLineOut) {
+      this.clearLureFlight();
+      this.castPower = 0;
+    }
+
+    switch (to) {
+      case ROD_STATES.IDLE:
+        this.controller = null;
+        if (this.rod && this.rod.parent !== this.scene) {
+          this.scene.attach(this.rod);
+        }
+        break;
+      case ROD_STATES.HOOKED:
+        this.fishBiteTime = performance.now();
+        this.bobber?.setPullForce(BITE_PULL_FORCE);
+        this.vibrate(0.8, 100);
+        break;
+    }
   }
 
   /**
@@ -45,7 +215,10 @@ export class FishingRod {
       this.createReel();
       this.createHandle();
       this.createLine();
+      this.createBobber();
+      this.lure = new Lure(this.scene, this.tackle);
       this.createPointer();
+      this.createPowerMeter();
       this.createGrabSphere();
       return this.rod;
     } catch (error) {
@@ -208,6 +381,7 @@ export class FishingRod {
    * - Realistic rod tapering
    * - Proper weight distribution
    * - Enhanced visual detail
+   * - Bending under line tension (middle and top sections pivot at joints)
    */
   createRod() {
     const rodGroup = new THREE.Group();
@@ -219,25 +393,33 @@ export class FishingRod {
     bottomSegment.position.y = 0.2;
     rodGroup.add(bottomSegment);
 
-    // Middle segment
+    // Middle segment, pivoting at the joint with the bottom one
+    const middleSection = new THREE.Group();
+    middleSection.position.y = MIDDLE_SECTION_BASE;
+    rodGroup.add(middleSection);
+
     const middleGeometry = new THREE.CylinderGeometry(0.015, 0.02, 0.6, 12);
     const middleSegment = new THREE.Mesh(middleGeometry, woodMaterial.clone());
-    middleSegment.position.y = 0.7;
-    rodGroup.add(middleSegment);
+    middleSegment.position.y = 0.7 - MIDDLE_SECTION_BASE;
+    middleSection.add(middleSegment);
+
+    // Top segment (thinnest), pivoting at the joint with the middle one
+    const topSection = new THREE.Group();
+    topSection.position.y = TOP_SECTION_BASE - MIDDLE_SECTION_BASE;
+    middleSection.add(topSection);
 
-    // Top segment (thinnest)
     const topGeometry = new THREE.CylinderGeometry(0.01, 0.015, 0.5, 12);
     const topSegment = new THREE.Mesh(topGeometry, woodMaterial.clone());
-    topSegment.position.y = 1.25;
-    rodGroup.add(topSegment);
+    topSegment.position.y = 1.25 - TOP_SECTION_BASE;
+    topSection.add(topSegment);
+
+    this.rodSections = { middle: middleSection, top: topSection };
 
     // Add line guides with proper spacing
-    const guidePositions = [0.5, 0.8, 1.1, 1.4];
-    guidePositions.forEach((y) => {
+    GUIDE_POSITIONS.forEach((y) => {
       const guide = this.createGuide();
-      guide.position.y = y;
+      this.attachToRodSection(guide, y);
       guide.scale.setScalar(0.8 - y / 2);
-      rodGroup.add(guide);
     });
 
     this.rod = rodGroup;
@@ -247,6 +429,26 @@ export class FishingRod {
     this.scene.add(this.rod);
   }
 
+  /**
+   * Adds an object to the rod section that covers the given height, so it
+   * follows the rod bend.
+   * @param {THREE.Object3D} object - Object to attach
+   * @param {number} y - Height along the straight rod
+   */
+  attachToRodSection(object, y) {
+    const { middle, top } = this.rodSections;
+    if (y >= TOP_SECTION_BASE) {
+      object.position.y = y - TOP_SECTION_BASE;
+      top.add(object);
+    } else if (y >= MIDDLE_SECTION_BASE) {
+      object.position.y = y - MIDDLE_SECTION_BASE;
+      middle.add(object);
+    } else {
+      object.position.y = y;
+      middle.parent.add(object);
+    }
+  }
+
   /**
    * Creates fishing line guides with detailed geometry.
    * Uses compound objects for enhanced visual detail.
@@ -290,12 +492,32 @@ export class FishingRod {
     reelBody.rotation.z = Math.PI / 2;
     reelGroup.add(reelBody);
 
-    // Spool with dynamic line capacity
-    const spoolGeometry = new THREE.CylinderGeometry(0.03, 0.03, 0.05, 16);
+    // Spool with dynamic line capacity; it turns as line goes out or in
+    const spoolGeometry = new THREE.CylinderGeometry(
+      SPOOL_RADIUS,
+      SPOOL_RADIUS,
+      0.05,
+      16,
+    );
     const spool = new THREE.Mesh(spoolGeometry, metalMaterial.clone());
     spool.rotation.z = Math.PI / 2;
     spool.position.x = 0.07;
     reelGroup.add(spool);
+    this.spool = spool;
+
+    // Crank arm with a knob on the opposite side of the body
+    const crankArm = new THREE.Group();
+    crankArm.position.x = -0.035;
+    const armGeometry = new THREE.BoxGeometry(0.006, 0.07, 0.008);
+    armGeometry.translate(0, 0.03, 0);
+    crankArm.add(new THREE.Mesh(armGeometry, metalMaterial));
+    const knobGeometry = new THREE.CylinderGeometry(0.008, 0.008, 0.025, 8);
+    const knob = new THREE.Mesh(knobGeometry, metalMaterial);
+    knob.rotation.z = Math.PI / 2;
+    knob.position.set(-0.015, 0.06, 0);
+    crankArm.add(knob);
+    reelGroup.add(crankArm);
+    this.crankArm = crankArm;
 
     this.reel = reelGroup;
     this.reel.position.set(0, 0.4, 0.04);
@@ -329,26 +551,105 @@ export class FishingRod {
   }
 
   /**
-   * Creates the fishing line with physics-based simulation.
-   * Implements a custom line system using:
-   * - BufferGeometry for performance
-   * - Dynamic vertex updates for physics
-   * - Transparent materials for realism
+   * Creates the fishing line as a segmented rope simulation.
+   * The line runs in world space from the reel spool, through every guide
+   * and the rod tip, down to the lure.
    */
   createLine() {
-    const lineGeometry = new THREE.BufferGeometry();
-    const lineMaterial = new THREE.LineBasicMaterial({
-      color: 0xffffff,
-      transparent: true,
-      opacity: 0.6,
-    });
+    // The spool anchor sits on the reel; guide and tip anchors ride on the
+    // bending rod sections
+    const spoolAnchor = new THREE.Object3D();
+    spoolAnchor.position.set(0.07, 0.4, 0.04);
+    this.rod.add(spoolAnchor);
+
+    this.lineAnchors = [
+      spoolAnchor,
+      ...[...GUIDE_POSITIONS, ROD_TIP_HEIGHT].map((y) => {
+        const anchor = new THREE.Object3D();
+        this.attachToRodSection(anchor, y);
+        return anchor;
+      }),
+    ];
+    this.lineAnchorsWorld = this.lineAnchors.map(() => new THREE.Vector3());
+
+    this.line = new FishingLine(
+      this.scene,
+      this.lineAnchors.length,
+      IDLE_LINE_LENGTH,
+    );
+    this.line.reset(this.getLineAnchors());
+    this.lineEndPoint.copy(this.line.lurePosition);
+  }
+
+  /**
+   * Creates the bobber that floats on the line above the hook.
+   */
+  createBobber() {
+    this.bobber = new Bobber(this.scene, this.bobberDepth);
+    this.bobber.attachTo(
+      this.line.getPointFromLure(this.bobber.depth, new THREE.Vector3()),
+    );
+  }
+
+  /**
+   * Puts another bait or lure on the hook. Only possible with the line in.
+   * @param {string} tackleId - Key of TACKLE
+   * @returns {boolean} Whether the tackle was changed
+   */
+  setTackle(tackleId) {
+    const tackle = TACKLE[tackleId];
+    if (!tackle || this.isCasting || this.hasFishBite) return false;
+
+    this.tackle = tackle;
+    this.lure?.setTackle(tackle);
+    return true;
+  }
 
-    const rodTip = new THREE.Vector3(0, 1.5, 0);
-    const waterPoint = new THREE.Vector3(0, -2, 0);
-    lineGeometry.setFromPoints([rodTip, waterPoint]);
+  /**
+   * Whether the line is being retrieved, which gives lures their action.
+   * @returns {boolean}
+   */
+  isRetrieving() {
+    return this.retrieveSpeed > RETRIEVING_SPEED;
+  }
+
+  /**
+   * Sets how deep the hook hangs below the bobber.
+   * @param {number} depth - Distance in meters
+   * @returns {number} New depth in meters
+   */
+  setBobberDepth(depth) {
+    this.bobberDepth = THREE.MathUtils.clamp(
+      depth,
+      BOBBER_DEPTH_MIN,
+      BOBBER_DEPTH_MAX,
+    );
+    this.bobber?.setDepth(this.bobberDepth);
+    return this.bobberDepth;
+  }
+
+  /**
+   * Moves the hook deeper or shallower below the bobber.
+   * @param {number} steps - Number of steps deeper (positive) or
+   *   shallower (negative)
+   * @returns {number} New depth in meters
+   */
+  adjustBobberDepth(steps) {
+    // Rounded so repeated steps do not drift off the 10 cm marks
+    const depth = this.bobberDepth + steps * BOBBER_DEPTH_STEP;
+    return this.setBobberDepth(Math.round(depth * 100) / 100);
+  }
 
-    this.line = new THREE.Line(lineGeometry, lineMaterial);
-    this.rod.add(this.line);
+  /**
+   * Computes the world positions of the reel, guides and rod tip.
+   * @returns {THREE.Vector3[]} Kinematic anchor points for the line
+   */
+  getLineAnchors() {
+    this.rod.updateMatrixWorld(true);
+    this.lineAnchors.forEach((anchor, i) => {
+      anchor.getWorldPosition(this.lineAnchorsWorld[i]);
+    });
+    return this.lineAnchorsWorld;
   }
 
   /**
@@ -365,6 +666,56 @@ export class FishingRod {
     this.rod.add(this.pointer);
   }
 
+  /**
+   * Creates an in-world casting power meter next to the handle.
+   * Visible in both VR and desktop modes while a cast is being charged.
+   */
+  createPowerMeter() {
+    const meterGroup = new THREE.Group();
+
+    const frameGeometry = new THREE.BoxGeometry(0.03, 0.32, 0.01);
+    const frameMaterial = new THREE.MeshBasicMaterial({
+      color: 0x000000,
+      transparent: true,
+      opacity: 0.5,
+    });
+    meterGroup.add(new THREE.Mesh(frameGeometry, frameMaterial));
+
+    // Fill grows upwards from the bottom of the frame
+    const fillGeometry = new THREE.BoxGeometry(0.02, 0.3, 0.012);
+    fillGeometry.translate(0, 0.15, 0);
+    const fillMaterial = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
+    const fill = new THREE.Mesh(fillGeometry, fillMaterial);
+    fill.name = 'powerFill';
+    fill.position.y = -0.15;
+    fill.scale.y = 0.001;
+    meterGroup.add(fill);
+
+    this.powerMeter = meterGroup;
+    this.powerMeter.position.set(0.08, 0.6, 0);
+    this.powerMeter.visible = false;
+    this.rod.add(this.powerMeter);
+  }
+
+  /**
+   * Updates the power meter fill and color from the current cast power.
+   * While fighting a fish the same meter works as the line tension gauge.
+   */
+  updatePowerMeter() {
+    if (!this.powerMeter) return;
+
+    const isFighting = this.hasFishBite && !this.isCharging;
+    this.powerMeter.visible = this.isCharging || isFighting;
+    if (!this.powerMeter.visible) return;
+
+    const ratio = isFighting
+      ? Math.min(this.lineTension, 1)
+      : this.getCastPowerRatio();
+    const fill = this.powerMeter.getObjectByName('powerFill');
+    fill.scale.y = Math.max(ratio, 0.001);
+    fill.material.color.setHSL((1 - ratio) * 0.33, 1, 0.5);
+  }
+
   /**
    * Creates a grab detection sphere for interaction.
    * Uses transparent material for debug visualization.
@@ -401,7 +752,8 @@ export class FishingRod {
       const distance = controllerPosition.distanceTo(rodPosition);
 
       if (distance <= GRAB_RADIUS) {
-        this.isGrabbed = true;
+        if (!this.isGrabbed) this.state.transition(ROD_STATES.HOLDING);
+        this.controller = controller;
         this.rod.parent = controller;
         this.rod.position.set(0, 0, -0.3);
         this.rod.rotation.set(0, 0, 0);
@@ -410,7 +762,8 @@ export class FishingRod {
       return false;
     } else {
       // Non-VR Mode (Keyboard/Mouse) interaction
-      this.isGrabbed = true;
+      if (!this.isGrabbed) this.state.transition(ROD_STATES.HOLDING);
+      this.controller = null;
 
       if (this.rod.parent !== this.scene) {
         this.scene.attach(this.rod);
@@ -443,8 +796,6 @@ export class FishingRod {
   release() {
     if (!this.isGrabbed) return;
 
-    this.isGrabbed = false;
-
     const rodPosition = new THREE.Vector3();
     this.rod.getWorldPosition(rodPosition);
 
@@ -458,122 +809,251 @@ export class FishingRod {
       .add(throwDirection.multiplyScalar(5 + Math.random() * 3));
     landingPosition.y = 0;
 
-    if (this.rod.parent !== this.scene) {
-      this.scene.attach(this.rod);
+    // Keep thrown fish on the shore instead of back in the lake
+    const landingRadius = Math.hypot(landingPosition.x, landingPosition.z);
+    if (landingRadius < LAKE_RADIUS + FISH_LANDING_MARGIN) {
+      const scale = (LAKE_RADIUS + FISH_LANDING_MARGIN) / (landingRadius || 1);
+      landingPosition.x *= scale;
+      landingPosition.z *= scale;
     }
 
-    this.resetFishBite();
+    // Dropping the rod reels the line in and frees a hooked fish
+    this.state.transition(ROD_STATES.IDLE);
 
     return landingPosition;
   }
 
+  /**
+   * Starts charging a cast while the cast button is held.
+   * On desktop the power builds up over time; in VR it follows the rod tip
+   * speed so the release velocity comes from the actual swing.
+   * @returns {boolean} Whether charging started successfully
+   */
+  startCharging() {
+    if (!this.state.is(ROD_STATES.HOLDING)) return false;
+
+    this.castPower = 0;
+    return this.state.transition(ROD_STATES.CHARGING);
+  }
+
+  /**
+   * Releases a charged cast. In VR the lure leaves with the rod tip
+   * velocity; otherwise it is thrown along the rod with the charged power.
+   * @param {number} powerScale - Fraction of the charged power released,
+   *   e.g. from the speed of a touch flick; ignored in VR
+   * @returns {boolean} Whether a cast was released
+   */
+  releaseCast(powerScale = 1) {
+    if (!this.isCharging) return false;
+
+    if (this.controller) {
+      const velocity = this.tipVelocity
+        .clone()
+        .multiplyScalar(CAST_VR_VELOCITY_SCALE)
+        .clampLength(0, CAST_POWER_MAX * CAST_SPEED_PER_POWER);
+      return this.startCasting(
+        velocity.length() / CAST_SPEED_PER_POWER,
+        velocity,
+      );
+    }
+
+    return this.startCasting(this.castPower * powerScale);
+  }
+
   /**
    * Initiates casting mechanics with power calculation.
+   * The lure follows a ballistic flight until it lands on the water or
+   * the ground, and that landing point becomes the line end point.
    * @param {number} power - Casting power (0-5)
+   * @param {THREE.Vector3} velocity - Optional release velocity of the lure
    * @returns {boolean} Whether casting started successfully
    */
-  startCasting(power = 0) {
-    if (!this.isGrabbed) return false;
+  startCasting(power = 0, velocity = null) {
+    if (!this.state.transition(ROD_STATES.CASTING)) return false;
 
-    this.isCasting = true;
     this.castPower = Math.min(power, CAST_POWER_MAX);
     this.castStartTime = performance.now() * 0.001;
+
+    if (!velocity) {
+      // Throw the lure forward and slightly upwards from the rod
+      const rodQuaternion = new THREE.Quaternion();
+      this.rod.getWorldQuaternion(rodQuaternion);
+      velocity = new THREE.Vector3(0, 0.5, -1)
+        .normalize()
+        .applyQuaternion(rodQuaternion)
+        .multiplyScalar(this.castPower * CAST_SPEED_PER_POWER);
+    }
+
+    // Keep a minimum elevation so a flat swing still carries the lure
+    if (velocity.lengthSq() > 0) {
+      const speed = velocity.length();
+      velocity.y = Math.max(velocity.y, speed * CAST_MIN_ELEVATION);
+      velocity.setLength(speed);
+    }
+
+    if (this.line) {
+      const position = this.line.lurePosition.clone();
+      this.lureFlight = { position, velocity: velocity.clone(), body: null };
+
+      if (this.physics) {
+        this.lureFlight.body = this.physics.addRigidBody(
+          null,
+          this.physics.createSphereShape(LURE_RADIUS),
+          LURE_MASS,
+          {
+            position,
+            restitution: 0.3,
+            rollingFriction: 0.1,
+            linearDamping: LURE_AIR_DRAG,
+            ccdRadius: LURE_RADIUS,
+          },
+        );
+        this.physics.setLinearVelocity(this.lureFlight.body, velocity);
+      }
+      this.line.launch(velocity);
+    }
+
+    this.events?.emit(GAME_EVENTS.CAST, {
+      power: this.castPower,
+      velocity: velocity.clone(),
+    });
     return true;
   }
 
   /**
-   * Ends casting and finalizes power calculation.
+   * Ends casting and retrieves the line back to the rod.
    */
   endCasting() {
     if (!this.isCasting) return;
 
-    this.isCasting = false;
-    console.log(`Ending cast with final power: ${this.castPower.toFixed(2)}`);
-    this.castPower = 0;
+    this.state.transition(ROD_STATES.HOLDING);
   }
 
   /**
-   * Updates fishing line end point with physics simulation.
-   * @param {THREE.Vector3} point - New end point
+   * Stops tracking the lure flight and frees its rigid body.
    */
-  updateLineEnd(point) {
-    this.lineEndPoint.copy(point);
-    if (this.line) {
-      const positions = this.line.geometry.attributes.position.array;
-      positions[3] = point.x;
-      positions[4] = point.y;
-      positions[5] = point.z;
-      this.line.geometry.attributes.position.needsUpdate = true;
+  clearLureFlight() {
+    if (this.lureFlight?.body) {
+      this.physics.removeRigidBody(this.lureFlight.body);
+    }
+    this.lureFlight = null;
+  }
+
+  /**
+   * Current cast power as a fraction of the maximum power.
+   * @returns {number} Value between 0 and 1
+   */
+  getCastPowerRatio() {
+    return this.castPower / CAST_POWER_MAX;
+  }
+
+  /**
+   * Whether the cast lure has landed and is resting in the lake.
+   * @returns {boolean}
+   */
+  isLureInWater() {
+    return this.isCasting && !this.lureFlight && !!this.line?.isLureInWater();
+  }
+
+  /**
+   * Follows the ballistic flight of a cast lure and detects landing.
+   * The flight is simulated by the lure rigid body when a physics world is
+   * available (so it can bounce off rocks and terrain) and integrated
+   * analytically otherwise.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  updateLureFlight(delta) {
+    const { position, velocity, body } = this.lureFlight;
+
+    if (body) {
+      this.physics.getPosition(body, position);
+    } else {
+      velocity.addScaledVector(GRAVITY, delta);
+      velocity.multiplyScalar(Math.exp(-LURE_AIR_DRAG * delta));
+      position.addScaledVector(velocity, delta);
+    }
+
+    const isOverWater = Math.hypot(position.x, position.z) < LAKE_RADIUS;
+    const floor = isOverWater ? WATER_LEVEL : GROUND_LEVEL;
+    const isResting = !isOverWater && body && this.physics.isResting(body);
+    if (position.y <= floor || isResting) {
+      position.y = Math.max(position.y, floor);
+      this.clearLureFlight();
+      this.lineEndPoint.copy(position);
+      this.state.transition(ROD_STATES.WAITING);
+      this.events?.emit(GAME_EVENTS.LURE_LANDED, {
+        position: position.clone(),
+        isInWater: isOverWater,
+      });
+    }
+
+    return position;
+  }
+
+  /**
+   * Tracks the rod tip world position and a smoothed tip velocity, used to
+   * derive the cast velocity from the controller motion in VR.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  updateTipVelocity(delta) {
+    const tip = new THREE.Vector3(0, ROD_TIP_HEIGHT, 0);
+    this.rod.updateMatrixWorld(true);
+    tip.applyMatrix4(this.rod.matrixWorld);
+
+    if (delta > 0) {
+      const velocity = tip.clone().sub(this.tipPosition).divideScalar(delta);
+      this.tipVelocity.lerp(velocity, TIP_VELOCITY_SMOOTHING);
+    }
+    this.tipPosition.copy(tip);
+  }
+
+  /**
+   * Builds up cast power while charging.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  updateCharge(delta) {
+    if (this.controller) {
+      const speed = this.tipVelocity.length() * CAST_VR_VELOCITY_SCALE;
+      this.castPower = Math.min(speed / CAST_SPEED_PER_POWER, CAST_POWER_MAX);
+    } else {
+      this.castPower = Math.min(
+        this.castPower + CAST_CHARGE_RATE * delta,
+        CAST_POWER_MAX,
+      );
     }
   }
 
   /**
-   * Updates rod and line physics simulation.
-   * Implements different behaviors for:
-   * - Casting physics
-   * - Fish bite mechanics
-   * - Idle state animation
+   * Updates the rod and runs the line simulation every frame, whatever the
+   * rod state. Only the line out and the lure constraint change:
+   * - Hooked fish: the lure is pinned to the fish and the line kept taut
+   * - Casting: line pays out freely while the lure is in flight and is
+   *   retrieved by cranking the reel afterwards
+   * - Otherwise: line is retrieved back to its idle length
    * @param {number} time - Current time for animation
    */
   update(time) {
-    if (!this.isGrabbed) return;
+    const delta =
+      this.lastUpdateTime === null
+        ? 0
+        : Math.min(Math.max(time - this.lastUpdateTime, 0), 0.1);
+    this.lastUpdateTime = time;
+
+    this.updatePump(delta);
+    this.updateTipVelocity(delta);
+    if (this.isCharging) {
+      this.updateCharge(delta);
+    }
+    this.updatePowerMeter();
+    this.updateRodBend(delta);
+    this.updateReel(delta);
 
     if (this.line) {
-      const positions = this.line.geometry.attributes.position.array;
-      const startPoint = new THREE.Vector3(0, 0, 0);
-
-      if (this.isCasting) {
-        // Casting physics simulation
-        const castTime = time - this.castStartTime;
-        const castDistance = this.castPower * 5;
-        const gravity = -9.81;
-        const y = (castTime * castTime * gravity) / 2;
-        const endPoint = new THREE.Vector3(0, y, -castDistance);
-
-        this.updateLineEnd(endPoint);
-      } else if (this.hasFishBite) {
-        // Fish bite tension simulation
-        const rodTip = new THREE.Vector3();
-        this.rod.localToWorld(rodTip.set(0, 1.5, 0));
-
-        const fish = this.scene.getObjectByName('caughtFish');
-        if (fish) {
-          const fishPos = fish.position.clone();
-
-          const direction = fishPos.clone().sub(rodTip);
-          const distance = direction.length();
-          const tension = Math.min(1, distance / 5);
-
-          const tensionPoint = rodTip.clone().lerp(fishPos, tension);
-
-          const midPoint = new THREE.Vector3().lerpVectors(
-            rodTip,
-            fishPos,
-            0.5,
-          );
-          midPoint.y -= distance * 0.2 * (1 - tension);
-
-          const curve = new THREE.QuadraticBezierCurve3(
-            rodTip,
-            midPoint,
-            fishPos,
-          );
-          const points = curve.getPoints(20);
-          this.line.geometry.setFromPoints(points);
-
-          this.lineEndPoint.copy(fishPos);
-        }
-      } else {
-        // Idle state with gentle swaying
-        const endPoint = new THREE.Vector3(0, -2, 0);
-
-        endPoint.y += Math.sin(time * 2) * 0.1;
-        endPoint.x += Math.sin(time * 1.5) * 0.05;
-        endPoint.z += Math.cos(time * 1.5) * 0.05;
-
-        this.updateLineEnd(endPoint);
-      }
+      this.updateLine(delta);
     }
+    this.updateSpool();
+
+    if (!this.isGrabbed) return;
 
     // Update casting pointer and water intersection
     if (this.pointer && this.scene.water) {
@@ -590,16 +1070,320 @@ export class FishingRod {
         this.pointer.visible = true;
         const distance = rodTip.distanceTo(intersects[0].point);
         this.pointer.scale.z = distance;
-
-        if (!this.isCasting) {
-          this.updateLineEnd(intersects[0].point);
-        }
       } else {
         this.pointer.visible = false;
       }
     }
   }
 
+  /**
+   * Applies the line out for the current rod state and steps the rope
+   * simulation.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  updateLine(delta) {
+    const tipToLure = this.line.getTipToLureDistance();
+    let lureTarget = null;
+
+    this.updateBobber(delta);
+
+    if (this.hasFishBite && this.hookedFish) {
+      // The fought fish keeps the line taut; the fight sets the line out
+      lureTarget = this.hookedFish.position;
+      this.line.length = Math.min(tipToLure, MAX_LINE_LENGTH);
+    } else if (this.isCasting) {
+      if (this.lureFlight) {
+        // The flying lure pulls line off the spool
+        lureTarget = this.updateLureFlight(delta);
+        this.lineOut = Math.min(
+          Math.max(this.lineOut, tipToLure * 1.02),
+          MAX_LINE_LENGTH,
+        );
+      } else if (this.bobber?.isFloating) {
+        // The hook hangs below the floating bobber
+        this.constrainBobber();
+        this.updateHookDepth(delta);
+        lureTarget = this.bobber.getHookPosition(
+          this.hookPosition,
+          this.hookDepth,
+        );
+      }
+      this.line.length = this.lineOut;
+
+      if (!this.lureFlight && this.lineOut <= IDLE_LINE_LENGTH) {
+        this.endCasting();
+      }
+    } else {
+      this.lineOut = Math.max(
+        IDLE_LINE_LENGTH,
+        this.lineOut - LINE_RETRIEVE_SPEED * delta,
+      );
+      this.line.length = this.lineOut;
+    }
+
+    this.line.update(delta, this.getLineAnchors(), lureTarget);
+    this.lineEndPoint.copy(this.line.lurePosition);
+    this.lure?.update(delta, this.lineEndPoint, this.retrieveSpeed);
+
+    if (this.bobber && !this.bobber.isFloating) {
+      this.bobber.attachTo(
+        this.line.getPointFromLure(this.bobber.depth, this.hookPosition),
+      );
+    }
+  }
+
+  /**
+   * Sinks the hook below the bobber at the sink rate of the tackle; while
+   * retrieving, lures rise towards the surface or dive.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  updateHookDepth(delta) {
+    const { sinkRate, retrieveLift } = this.tackle;
+    const change = sinkRate - this.retrieveSpeed * retrieveLift;
+    this.hookDepth = THREE.MathUtils.clamp(
+      this.hookDepth + change * delta,
+      0,
+      this.bobber.depth,
+    );
+  }
+
+  /**
+   * Drags the floating bobber towards the rod when the hook is further from
+   * the rod tip than the line out allows. Reaching the shore ends the cast.
+   */
+  constrainBobber() {
+    const hook = this.bobber.getHookPosition(this.hookPosition, this.hookDepth);
+    const excess = hook.distanceTo(this.tipPosition) - this.lineOut;
+    if (excess <= 0) return;
+
+    const toTip = new THREE.Vector3()
+      .subVectors(this.tipPosition, hook)
+      .setY(0);
+    const horizontal = toTip.length();
+    if (horizontal > 1e-3) {
+      this.bobber.position.addScaledVector(
+        toTip,
+        Math.min(excess, horizontal) / horizontal,
+      );
+    }
+
+    const position = this.bobber.position;
+    if (Math.hypot(position.x, position.z) >= LAKE_RADIUS) {
+      this.endCasting();
+    }
+  }
+
+  /**
+   * Retrieves line with the turns cranked since the previous frame, from
+   * the scroll wheel, the reel key or the VR crank motion.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  updateReel(delta) {
+    let turns = this.pendingCrankTurns + this.getControllerCrankTurns();
+    if (this.isReeling) turns += CRANK_KEY_SPEED * delta;
+    this.pendingCrankTurns = 0;
+
+    const previousLineOut = this.lineOut;
+    if (this.isCasting && turns > 0) {
+      this.lineOut = Math.max(
+        IDLE_LINE_LENGTH,
+        this.lineOut - turns * LINE_PER_TURN,
+      );
+    }
+
+    // Smoothed, since wheel and controller turns arrive in bursts
+    if (delta > 0) {
+      const speed = (previousLineOut - this.lineOut) / delta;
+      this.retrieveSpeed +=
+        (speed - this.retrieveSpeed) *
+        Math.min(1, delta * RETRIEVE_SPEED_SMOOTHING);
+    }
+  }
+
+  /**
+   * Queues crank turns, e.g. from the mouse wheel.
+   * @param {number} turns - Handle turns (backwards turns are ignored)
+   */
+  crank(turns) {
+    this.pendingCrankTurns += Math.max(0, turns);
+  }
+
+  /**
+   * Sets the VR controller whose circular motion around the reel cranks it.
+   * @param {THREE.Object3D} controller - Controller of the free hand
+   */
+  setCrankController(controller) {
+    this.crankController = controller;
+    this.crankAngle = null;
+  }
+
+  /**
+   * Measures the crank turns made by circling the free hand controller
+   * around the reel axis. Only winding counts (anti-reverse).
+   * @returns {number} Handle turns since the previous frame
+   */
+  getControllerCrankTurns() {
+    const controller = this.crankController;
+    if (!controller?.visible || !this.controller || !this.reel) {
+      this.crankAngle = null;
+      return 0;
+    }
+
+    const local = this.reel.worldToLocal(
+      controller.getWorldPosition(new THREE.Vector3()),
+    );
+    local.x = 0;
+    const radius = local.length();
+    if (radius > CRANK_REACH || radius < 0.02) {
+      this.crankAngle = null;
+      return 0;
+    }
+
+    const angle = Math.atan2(local.y, local.z);
+    let turns = 0;
+    if (this.crankAngle !== null) {
+      const change = angle - this.crankAngle;
+      turns = Math.max(0, Math.atan2(Math.sin(change), Math.cos(change)));
+      turns /= 2 * Math.PI;
+    }
+    this.crankAngle = angle;
+    return turns;
+  }
+
+  /**
+   * Turns the spool with the line going out or in, and the crank arm
+   * at the gear ratio while retrieving.
+   */
+  updateSpool() {
+    if (!this.spool) return;
+
+    const angle = (this.spoolLineOut - this.lineOut) / SPOOL_RADIUS;
+    this.spool.rotation.x += angle;
+    if (angle > 0 && this.crankArm) {
+      this.crankArm.rotation.x += angle / GEAR_RATIO;
+    }
+    this.spoolLineOut = this.lineOut;
+  }
+
+  /**
+   * Switches the bobber between riding on the line and floating on the
+   * water once a cast lure has landed in the lake, and integrates its
+   * buoyancy while floating.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  updateBobber(delta) {
+    if (!this.bobber) return;
+
+    const isInWater =
+      this.isCasting &&
+      !this.lureFlight &&
+      (this.bobber.isFloating || this.line.isLureInWater());
+    if (!isInWater) {
+      this.bobber.isFloating = false;
+      return;
+    }
+
+    const position = this.bobber.isFloating
+      ? this.bobber.position
+      : this.line.lurePosition;
+    const waterHeight = this.environment
+      ? this.environment.getWaterHeight(position.x, position.z)
+      : WATER_LEVEL;
+
+    if (!this.bobber.isFloating) {
+      this.bobber.startFloating(
+        new THREE.Vector3(position.x, waterHeight, position.z),
+      );
+      // The hook lands on the surface and sinks from there
+      this.hookDepth = 0;
+    }
+
+    this.bobber.update(
+      delta,
+      waterHeight,
+      this.hasFishBite ? this.hookedFish?.position : null,
+    );
+  }
+
+  /**
+   * Lifts the rod back while pumping and lowers it again afterwards.
+   * The angle is applied incrementally so it combines with whatever
+   * drives the rod (camera in desktop mode, controller in VR).
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  updatePump(delta) {
+    const target = this.isPumping && this.hasFishBite ? PUMP_ANGLE : 0;
+    const step = THREE.MathUtils.clamp(
+      target - this.pumpAngle,
+      -PUMP_SPEED * delta,
+      PUMP_SPEED * delta,
+    );
+    if (step === 0) return;
+
+    this.rod.rotateX(step);
+    this.pumpAngle += step;
+  }
+
+  /**
+   * Bends the middle and top rod sections towards the lure in proportion
+   * to the line tension.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  updateRodBend(delta) {
+    if (!this.rodSections) return;
+
+    const target = Math.min(this.lineTension, 1.2) * MAX_ROD_BEND;
+    this.rodBend +=
+      (target - this.rodBend) * (1 - Math.exp(-ROD_BEND_SMOOTHING * delta));
+
+    const { middle, top } = this.rodSections;
+    if (this.rodBend < 1e-3) {
+      middle.quaternion.identity();
+      top.quaternion.identity();
+      return;
+    }
+
+    // Bend in the plane containing the rod axis and the line direction
+    this.rod.updateMatrixWorld(true);
+    const lure = this.rod.worldToLocal(this.lineEndPoint.clone());
+    const axis = new THREE.Vector3(lure.z, 0, -lure.x);
+    if (axis.lengthSq() < 1e-6) return;
+    axis.normalize();
+
+    middle.quaternion.setFromAxisAngle(axis, this.rodBend * 0.35);
+    top.quaternion.setFromAxisAngle(axis, this.rodBend * 0.65);
+  }
+
+  /**
+   * Sets the line tension used for the rod bend, the tension gauge and the
+   * controller haptics.
+   * @param {number} ratio - Tension as a fraction of the line break strength
+   */
+  setLineTension(ratio) {
+    this.lineTension = ratio;
+
+    const now = performance.now();
+    if (ratio > 0.05 && now - this.lastHapticTime > TENSION_HAPTIC_INTERVAL) {
+      this.vibrate(Math.min(ratio, 1), TENSION_HAPTIC_INTERVAL);
+      this.lastHapticTime = now;
+    }
+  }
+
+  /**
+   * Changes the reel drag setting.
+   * @param {number} steps - Number of steps to tighten (positive) or
+   *   loosen (negative) the drag
+   * @returns {number} New drag in newtons
+   */
+  adjustDrag(steps) {
+    this.drag = THREE.MathUtils.clamp(
+      this.drag + steps * DRAG_STEP,
+      DRAG_MIN,
+      DRAG_MAX,
+    );
+    return this.drag;
+  }
+
   /**
    * Implements visual feedback for rod interaction.
    * @param {boolean} isHighlighted - Whether to highlight the rod
@@ -624,50 +1408,76 @@ export class FishingRod {
   }
 
   /**
-   * Implements fish bite visual and haptic feedback.
-   * Features include:
-   * - Line color change
-   * - Line tension animation
-   * - VR controller vibration
+   * Small bobber twitch and short haptic pulse for a fish nibbling the lure.
    */
-  showFishBite() {
-    this.hasFishBite = true;
-    this.fishBiteTime = performance.now();
-
-    if (this.line) {
-      this.line.material.color.setHex(0xff0000);
-      this.line.material.opacity = 1.0;
-
-      const originalLineLength =
-        this.line.geometry.attributes.position.array[5];
-      const animateLine = () => {
-        if (!this.hasFishBite) return;
+  showNibble() {
+    this.bobber?.dip(NIBBLE_DIP_SPEED);
+    this.vibrate(0.3, 40);
+  }
 
-        const time = performance.now();
-        const tension = Math.sin(time * 0.01) * 0.2;
-        const positions = this.line.geometry.attributes.position.array;
-        positions[5] = originalLineLength + tension;
-        this.line.geometry.attributes.position.needsUpdate = true;
+  /**
+   * Fish strike feedback: the bobber is dragged under and the controller
+   * vibrates, signalling that the hook must be set now.
+   */
+  showStrike() {
+    if (this.bobber) {
+      this.bobber.dip(BITE_DIP_SPEED);
+      this.bobber.setPullForce(BITE_PULL_FORCE);
+    }
+    this.vibrate(1, 150);
+  }
 
-        requestAnimationFrame(animateLine);
-      };
+  /**
+   * Implements hooked fish feedback once the hook has been set.
+   * Features include:
+   * - Bobber pulled under the water surface
+   * - Lure pinned to the hooked fish by the line simulation
+   * - VR controller vibration
+   * @param {THREE.Object3D} fish - Optional fish that took the lure
+   */
+  showFishBite(fish = null) {
+    if (!this.state.transition(ROD_STATES.HOOKED)) return;
+    if (fish) this.hookedFish = fish;
+  }
 
-      animateLine();
+  /**
+   * Whether the rod tip is being jerked upwards fast enough to set the hook.
+   * @returns {boolean}
+   */
+  isJerking() {
+    return this.tipVelocity.y > HOOK_SET_JERK_SPEED;
+  }
 
-      if (this.rod.parent && this.rod.parent.vibrate) {
-        this.rod.parent.vibrate(100);
-      }
-    }
+  /**
+   * Pulses the haptic actuator of the controller holding the rod.
+   * @param {number} intensity - Pulse intensity (0-1)
+   * @param {number} duration - Pulse duration in milliseconds
+   */
+  vibrate(intensity, duration) {
+    const gamepad = this.controller?.userData?.inputSource?.gamepad;
+    gamepad?.hapticActuators?.[0]?.pulse(intensity, duration);
   }
 
   /**
-   * Resets fish bite state and visual effects.
+   * Resets fish bite state and visual effects. A hooked fish is gone, but
+   * the line stays out.
    */
   resetFishBite() {
-    this.hasFishBite = false;
-    if (this.line) {
-      this.line.material.color.setHex(0xffffff);
-      this.line.material.opacity = 0.6;
-    }
+    this.bobber?.setPullForce(0);
+    if (this.hasFishBite) this.state.transition(ROD_STATES.WAITING);
+  }
+
+  /**
+   * Drops the rod back on its stand in a single state transition: the
+   * line is reeled in, any fish is freed and the fight controls released.
+   */
+  reset() {
+    this.state.reset();
+    this.isReeling = false;
+    this.isPumping = false;
+    this.pumpAngle = 0;
+
+    this.rod.position.set(0, 1, -0.5);
+    this.rod.rotation.set(Math.PI / 4, 0, 0);
   }
 }
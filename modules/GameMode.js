@@ -0,0 +1,306 @@
+import { DAY_PHASES } from './celestials/CelestialManager.js';
+
+export const GAME_MODES = {
+  FREE: 'free',
+  TOURNAMENT: 'tournament',
+  CHALLENGE: 'challenge',
+};
+
+export const GAME_MODE_NAMES = {
+  [GAME_MODES.FREE]: 'Pesca libre',
+  [GAME_MODES.TOURNAMENT]: 'Torneo',
+  [GAME_MODES.CHALLENGE]: 'Desafío',
+};
+
+// Tournament length in seconds
+export const TOURNAMENT_DURATION = 300;
+
+/**
+ * Challenge missions. Per challenge:
+ * - speciesId / minWeight: which landed fish count (any when omitted)
+ * - count: how many of them are needed
+ * - deadlinePhase: the round is lost when the day reaches this phase
+ * - timeLimit: the round is lost after this many seconds
+ */
+export const CHALLENGES = [
+  {
+    id: 'red-before-dusk',
+    name: 'Rojos antes del atardecer',
+    description: 'Captura 3 Peces Rojos antes del atardecer',
+    speciesId: 'red',
+    count: 3,
+    deadlinePhase: DAY_PHASES.DUSK,
+  },
+  {
+    id: 'kilo-fish',
+    name: 'Pieza de kilo',
+    description: 'Captura un pez de más de 1 kg en 4 minutos',
+    minWeight: 1000,
+    count: 1,
+    timeLimit: 240,
+  },
+  {
+    id: 'blue-before-dawn',
+    name: 'Azules nocturnos',
+    description: 'Captura 5 Peces Azules antes del amanecer',
+    speciesId: 'blue',
+    count: 5,
+    deadlinePhase: DAY_PHASES.DAWN,
+  },
+];
+
+export const ROUND_RESULTS = {
+  FINISHED: 'finished',
+  WON: 'won',
+  LOST: 'lost',
+};
+
+/**
+ * GameMode runs one round of a game mode.
+ * Key technical features include:
+ * - Free fishing without score or end
+ * - Timed tournament ranked by the total weight of the kept fish
+ * - Challenge missions with a catch target and a time or day phase deadline
+ * - Objective lines for the HUD and an end of round summary
+ */
+export class GameMode {
+  /**
+   * @param {string} id - One of GAME_MODES
+   * @param {object} challenge - One of CHALLENGES, for challenge rounds
+   */
+  constructor(id, challenge = null) {
+    if (!Object.values(GAME_MODES).includes(id)) {
+      throw new Error(`Unknown game mode: ${id}`);
+    }
+    if (id === GAME_MODES.CHALLENGE && !challenge) {
+      throw new Error('A challenge round needs a challenge');
+    }
+
+    this.id = id;
+    this.challenge = challenge;
+    this.startTime = null;
+    this.elapsed = 0;
+    this.dayPhase = null;
+    this.result = null;
+    this.catches = [];
+    this.kept = [];
+  }
+
+  get name() {
+    return this.challenge?.name ?? GAME_MODE_NAMES[this.id];
+  }
+
+  get hasScore() {
+    return this.id !== GAME_MODES.FREE;
+  }
+
+  get isOver() {
+    return this.result !== null;
+  }
+
+  /**
+   * Round length in seconds, or null when it has no time limit.
+   * @returns {number|null}
+   */
+  get timeLimit() {
+    if (this.id === GAME_MODES.TOURNAMENT) return TOURNAMENT_DURATION;
+    return this.challenge?.timeLimit ?? null;
+  }
+
+  /**
+   * @param {number} time - Current time in seconds
+   */
+  start(time) {
+    this.startTime = time;
+    this.elapsed = 0;
+  }
+
+  /**
+   * Advances the round clock and checks its deadlines.
+   * @param {number} time - Current time in seconds
+   * @param {string} dayPhase - Current phase of the day (one of DAY_PHASES)
+   * @returns {boolean} Whether the round ended in this update
+   */
+  update(time, dayPhase) {
+    if (this.isOver || this.startTime === null) return false;
+
+    this.elapsed = Math.min(time - this.startTime, this.timeLimit ?? Infinity);
+
+    // The phase deadline is met when the day moves into it, so a round
+    // started during that phase has until the next one
+    const { deadlinePhase } = this.challenge ?? {};
+    const reachedDeadline =
+      deadlinePhase &&
+      dayPhase === deadlinePhase &&
+      this.dayPhase !== null &&
+      this.dayPhase !== deadlinePhase;
+    this.dayPhase = dayPhase;
+
+    if (this.timeLimit !== null && this.elapsed >= this.timeLimit) {
+      this.end(
+        this.id === GAME_MODES.TOURNAMENT
+          ? ROUND_RESULTS.FINISHED
+          : ROUND_RESULTS.LOST,
+      );
+      return true;
+    }
+    if (reachedDeadline) {
+      this.end(ROUND_RESULTS.LOST);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Counts a landed fish.
+   * @param {object} record - Catch record from FishManager
+   * @returns {boolean} Whether the catch ended the round
+   */
+  onCatch(record) {
+    if (this.isOver) return false;
+
+    this.catches.push(record);
+    if (this.challenge && this.getProgress() >= this.challenge.count) {
+      this.end(ROUND_RESULTS.WON);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Counts a fish put in the creel.
+   * @param {object} record - Catch record of the kept fish
+   */
+  onKeep(record) {
+    if (!this.isOver) this.kept.push(record);
+  }
+
+  /**
+   * @param {string} result - One of ROUND_RESULTS
+   */
+  end(result) {
+    if (!this.isOver) this.result = result;
+  }
+
+  /**
+   * @returns {number|null} Seconds left, or null without a time limit
+   */
+  getRemainingTime() {
+    if (this.timeLimit === null) return null;
+    return Math.max(this.timeLimit - this.elapsed, 0);
+  }
+
+  /**
+   * @returns {number} Total weight of the fish kept this round in grams
+   */
+  getKeptWeight() {
+    return this.kept.reduce((total, record) => total + record.weight, 0);
+  }
+
+  /**
+   * Whether a landed fish counts towards the challenge.
+   * @param {object} record - Catch record
+   * @returns {boolean}
+   */
+  matchesChallenge(record) {
+    const { speciesId, minWeight = 0 } = this.challenge ?? {};
+    return (
+      (!speciesId || record.speciesId === speciesId) &&
+      record.weight >= minWeight
+    );
+  }
+
+  /**
+   * @returns {number} Landed fish that count towards the challenge
+   */
+  getProgress() {
+    return this.catches.filter((record) => this.matchesChallenge(record))
+      .length;
+  }
+
+  /**
+   * Objective lines for the HUD.
+   * @returns {string[]}
+   */
+  getObjectiveLines() {
+    const lines = [];
+    const remaining = this.getRemainingTime();
+    if (remaining !== null) {
+      lines.push(`Tiempo: ${GameMode.formatTime(remaining)}`);
+    }
+
+    switch (this.id) {
+      case GAME_MODES.FREE:
+        lines.push(`Capturas: ${this.catches.length}`);
+        break;
+      case GAME_MODES.TOURNAMENT:
+        lines.push(
+          `Nasa: ${this.kept.length} peces · ${GameMode.formatWeight(this.getKeptWeight())}`,
+        );
+        break;
+      case GAME_MODES.CHALLENGE:
+        lines.push(this.challenge.description);
+        lines.push(`Progreso: ${this.getProgress()}/${this.challenge.count}`);
+        break;
+    }
+    return lines;
+  }
+
+  /**
+   * Summary of a finished round.
+   * @returns {{title: string, lines: string[]}}
+   */
+  getSummary() {
+    const biggest = this.catches.reduce(
+      (best, record) => (!best || record.weight > best.weight ? record : best),
+      null,
+    );
+    const lines = [
+      `Duración: ${GameMode.formatTime(this.elapsed)}`,
+      `Capturas: ${this.catches.length}`,
+    ];
+    if (biggest) {
+      lines.push(
+        `Mayor pieza: ${biggest.speciesName} de ${GameMode.formatWeight(biggest.weight)}`,
+      );
+    }
+
+    switch (this.id) {
+      case GAME_MODES.TOURNAMENT:
+        lines.push(
+          `Peso en la nasa: ${GameMode.formatWeight(this.getKeptWeight())} (${this.kept.length} peces)`,
+        );
+        return { title: '🏁 FIN DEL TORNEO', lines };
+      case GAME_MODES.CHALLENGE:
+        lines.push(`Progreso: ${this.getProgress()}/${this.challenge.count}`);
+        return {
+          title:
+            this.result === ROUND_RESULTS.WON
+              ? '🏆 ¡DESAFÍO SUPERADO!'
+              : '❌ DESAFÍO FALLIDO',
+          lines,
+        };
+      default:
+        return { title: '🎣 FIN DE LA JORNADA', lines };
+    }
+  }
+
+  /**
+   * @param {number} seconds - Duration
+   * @returns {string} m:ss
+   */
+  static formatTime(seconds) {
+    const total = Math.ceil(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * @param {number} grams - Weight
+   * @returns {string} Grams below a kilo, kilos with two decimals above
+   */
+  static formatWeight(grams) {
+    return grams >= 1000
+      ? `${(grams / 1000).toFixed(2)} kg`
+      : `${Math.round(grams)} g`;
+  }
+}
@@ -0,0 +1,166 @@
+import * as THREE from 'three';
+
+const FINGER_TIPS = [
+  'index-finger-tip',
+  'middle-finger-tip',
+  'ring-finger-tip',
+  'pinky-finger-tip',
+];
+// Average fingertip to wrist distance (m) that closes and opens a fist;
+// the gap keeps the grip from flickering
+const FIST_CLOSE_DISTANCE = 0.09;
+const FIST_OPEN_DISTANCE = 0.11;
+// Wrist speed (m/s) that starts a throw, and fraction of the peak speed
+// the hand slows down to when the throw is released
+const THROW_START_SPEED = 1.2;
+const THROW_RELEASE_RATIO = 0.6;
+const VELOCITY_SMOOTHING = 0.5;
+
+// Scratch vectors reused every frame
+const _wristPosition = new THREE.Vector3();
+const _tipPosition = new THREE.Vector3();
+
+/**
+ * HandTracker turns the joints of a WebXR tracked hand into gestures.
+ * Key technical features include:
+ * - Grab while pinching (thumb and index tips together) or making a fist
+ * - Throw detection from the wrist speed: a throw starts above a speed and
+ *   is released once the hand slows down from its peak
+ * - Gesture events through THREE.EventDispatcher: grabstart, grabend,
+ *   throwstart and throwend
+ * - Wrist and index fingertip joints to hold and crank the rod with
+ */
+export class HandTracker extends THREE.EventDispatcher {
+  /**
+   * @param {THREE.Group} hand - Hand space from renderer.xr.getHand()
+   */
+  constructor(hand) {
+    super();
+    this.hand = hand;
+    this.isConnected = false;
+    this.isGripping = false;
+    this.isGrabbing = false;
+    this.isThrowing = false;
+    this.peakSpeed = 0;
+    this.velocity = new THREE.Vector3();
+    this.lastWristPosition = null;
+
+    // The hand space also hears about controllers connecting
+    this.hand.addEventListener('connected', (event) => {
+      this.isConnected = Boolean(event.data.hand);
+    });
+    this.hand.addEventListener('disconnected', () => {
+      this.isConnected = false;
+      this.reset();
+    });
+  }
+
+  get wrist() {
+    return this.hand.joints.wrist ?? null;
+  }
+
+  get indexTip() {
+    return this.hand.joints['index-finger-tip'] ?? null;
+  }
+
+  get isPinching() {
+    return this.hand.inputState.pinching;
+  }
+
+  /**
+   * Ends the gestures in progress, e.g. when tracking is lost.
+   */
+  reset() {
+    this.lastWristPosition = null;
+    this.velocity.set(0, 0, 0);
+    this.isGripping = false;
+    if (this.isThrowing) {
+      this.isThrowing = false;
+      this.dispatchEvent({ type: 'throwend' });
+    }
+    if (this.isGrabbing) {
+      this.isGrabbing = false;
+      this.dispatchEvent({ type: 'grabend' });
+    }
+  }
+
+  /**
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  update(delta) {
+    if (!this.isConnected || !this.wrist?.visible) {
+      this.lastWristPosition = null;
+      return;
+    }
+
+    this.updateGrip();
+    this.updateVelocity(delta);
+
+    const isGrabbing = this.isPinching || this.isGripping;
+    if (isGrabbing !== this.isGrabbing) {
+      this.isGrabbing = isGrabbing;
+      this.dispatchEvent({ type: isGrabbing ? 'grabstart' : 'grabend' });
+    }
+
+    this.updateThrow();
+  }
+
+  /**
+   * A fist brings the fingertips close to the wrist.
+   */
+  updateGrip() {
+    const wrist = this.wrist.getWorldPosition(_wristPosition);
+    const tips = FINGER_TIPS.map((name) => this.hand.joints[name]).filter(
+      (joint) => joint?.visible,
+    );
+    if (tips.length === 0) return;
+
+    const distance =
+      tips.reduce(
+        (total, joint) =>
+          total + joint.getWorldPosition(_tipPosition).distanceTo(wrist),
+        0,
+      ) / tips.length;
+    this.isGripping =
+      distance < (this.isGripping ? FIST_OPEN_DISTANCE : FIST_CLOSE_DISTANCE);
+  }
+
+  /**
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  updateVelocity(delta) {
+    const position = this.wrist.getWorldPosition(_wristPosition);
+    if (this.lastWristPosition && delta > 0) {
+      const velocity = position
+        .clone()
+        .sub(this.lastWristPosition)
+        .divideScalar(delta);
+      this.velocity.lerp(velocity, VELOCITY_SMOOTHING);
+    }
+    this.lastWristPosition = (
+      this.lastWristPosition ?? new THREE.Vector3()
+    ).copy(position);
+  }
+
+  /**
+   * A throw is a fast swing of a grabbing hand; it is released when the
+   * swing slows down or the hand opens.
+   */
+  updateThrow() {
+    const speed = this.velocity.length();
+    if (!this.isThrowing) {
+      if (this.isGrabbing && speed > THROW_START_SPEED) {
+        this.isThrowing = true;
+        this.peakSpeed = speed;
+        this.dispatchEvent({ type: 'throwstart' });
+      }
+      return;
+    }
+
+    this.peakSpeed = Math.max(this.peakSpeed, speed);
+    if (!this.isGrabbing || speed < this.peakSpeed * THROW_RELEASE_RATIO) {
+      this.isThrowing = false;
+      this.dispatchEvent({ type: 'throwend' });
+    }
+  }
+}
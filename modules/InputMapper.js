@@ -0,0 +1,523 @@
+import * as THREE from 'three';
+
+export const INPUT_ACTIONS = {
+  GRAB: 'grab',
+  CAST: 'cast',
+  REEL: 'reel',
+  SET_HOOK: 'setHook',
+  PUMP: 'pump',
+  DRAG_LOOSEN: 'dragLoosen',
+  DRAG_TIGHTEN: 'dragTighten',
+  DEPTH_SHALLOWER: 'depthShallower',
+  DEPTH_DEEPER: 'depthDeeper',
+  KEEP_FISH: 'keepFish',
+  RELEASE_FISH: 'releaseFish',
+  TACKLE_MENU: 'tackleMenu',
+  TACKLE_1: 'tackle1',
+  TACKLE_2: 'tackle2',
+  TACKLE_3: 'tackle3',
+  TACKLE_4: 'tackle4',
+  NEXT_TACKLE: 'nextTackle',
+  BOAT: 'boat',
+  MODE_MENU: 'modeMenu',
+  RESET: 'reset',
+  DEBUG: 'debug',
+  MOVE_FORWARD: 'moveForward',
+  MOVE_BACKWARD: 'moveBackward',
+  TURN_LEFT: 'turnLeft',
+  TURN_RIGHT: 'turnRight',
+};
+
+// KeyboardEvent.code values of each action
+export const DEFAULT_KEY_BINDINGS = {
+  [INPUT_ACTIONS.GRAB]: ['KeyE'],
+  [INPUT_ACTIONS.CAST]: ['Space'],
+  [INPUT_ACTIONS.REEL]: ['KeyC'],
+  [INPUT_ACTIONS.SET_HOOK]: ['KeyF'],
+  [INPUT_ACTIONS.PUMP]: ['KeyX'],
+  [INPUT_ACTIONS.DRAG_LOOSEN]: ['Minus', 'NumpadSubtract'],
+  [INPUT_ACTIONS.DRAG_TIGHTEN]: ['Equal', 'NumpadAdd'],
+  [INPUT_ACTIONS.DEPTH_SHALLOWER]: ['BracketLeft'],
+  [INPUT_ACTIONS.DEPTH_DEEPER]: ['BracketRight'],
+  [INPUT_ACTIONS.KEEP_FISH]: ['KeyG'],
+  [INPUT_ACTIONS.RELEASE_FISH]: ['KeyL'],
+  [INPUT_ACTIONS.TACKLE_MENU]: ['KeyT'],
+  [INPUT_ACTIONS.TACKLE_1]: ['Digit1'],
+  [INPUT_ACTIONS.TACKLE_2]: ['Digit2'],
+  [INPUT_ACTIONS.TACKLE_3]: ['Digit3'],
+  [INPUT_ACTIONS.TACKLE_4]: ['Digit4'],
+  [INPUT_ACTIONS.NEXT_TACKLE]: ['KeyN'],
+  [INPUT_ACTIONS.BOAT]: ['KeyB'],
+  [INPUT_ACTIONS.MODE_MENU]: ['KeyM'],
+  [INPUT_ACTIONS.RESET]: ['KeyR'],
+  [INPUT_ACTIONS.DEBUG]: ['KeyQ'],
+  [INPUT_ACTIONS.MOVE_FORWARD]: ['KeyW', 'ArrowUp'],
+  [INPUT_ACTIONS.MOVE_BACKWARD]: ['KeyS', 'ArrowDown'],
+  [INPUT_ACTIONS.TURN_LEFT]: ['KeyA', 'ArrowLeft'],
+  [INPUT_ACTIONS.TURN_RIGHT]: ['KeyD', 'ArrowRight'],
+};
+
+// Button indices of each action on a gamepad with the standard mapping;
+// the sticks always walk and look
+export const DEFAULT_GAMEPAD_BINDINGS = {
+  [INPUT_ACTIONS.GRAB]: [3],
+  [INPUT_ACTIONS.CAST]: [7],
+  [INPUT_ACTIONS.REEL]: [6],
+  [INPUT_ACTIONS.SET_HOOK]: [2],
+  [INPUT_ACTIONS.PUMP]: [5],
+  [INPUT_ACTIONS.DRAG_LOOSEN]: [13],
+  [INPUT_ACTIONS.DRAG_TIGHTEN]: [12],
+  [INPUT_ACTIONS.DEPTH_SHALLOWER]: [10],
+  [INPUT_ACTIONS.DEPTH_DEEPER]: [11],
+  [INPUT_ACTIONS.KEEP_FISH]: [0],
+  [INPUT_ACTIONS.RELEASE_FISH]: [1],
+  [INPUT_ACTIONS.TACKLE_MENU]: [4],
+  [INPUT_ACTIONS.TACKLE_1]: [],
+  [INPUT_ACTIONS.TACKLE_2]: [],
+  [INPUT_ACTIONS.TACKLE_3]: [],
+  [INPUT_ACTIONS.TACKLE_4]: [],
+  [INPUT_ACTIONS.NEXT_TACKLE]: [15],
+  [INPUT_ACTIONS.BOAT]: [14],
+  [INPUT_ACTIONS.MODE_MENU]: [9],
+  [INPUT_ACTIONS.RESET]: [8],
+  [INPUT_ACTIONS.DEBUG]: [],
+  [INPUT_ACTIONS.MOVE_FORWARD]: [],
+  [INPUT_ACTIONS.MOVE_BACKWARD]: [],
+  [INPUT_ACTIONS.TURN_LEFT]: [],
+  [INPUT_ACTIONS.TURN_RIGHT]: [],
+};
+
+// Names of the standard mapping buttons, by index
+const BUTTON_NAMES = [
+  'A',
+  'B',
+  'X',
+  'Y',
+  'LB',
+  'RB',
+  'LT',
+  'RT',
+  'Select',
+  'Start',
+  'L3',
+  'R3',
+  '↑',
+  '↓',
+  '←',
+  '→',
+];
+const KEY_NAMES = {
+  Space: 'Espacio',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Minus: '-',
+  Equal: '+',
+  NumpadSubtract: 'Num -',
+  NumpadAdd: 'Num +',
+  BracketLeft: '[',
+  BracketRight: ']',
+};
+// Key that cancels a rebinding
+const CANCEL_KEY = 'Escape';
+// Stick deflection ignored around the centre
+const STICK_DEADZONE = 0.15;
+// Pressure from which an analog trigger counts as pressed
+const BUTTON_THRESHOLD = 0.5;
+
+/**
+ * @param {object} bindings - Lists of inputs by action
+ * @returns {object} Copy that does not share the lists
+ */
+const copyBindings = (bindings) =>
+  Object.fromEntries(
+    Object.entries(bindings).map(([action, inputs]) => [action, [...inputs]]),
+  );
+
+/**
+ * InputMapper turns keyboard keys and gamepad buttons into game actions,
+ * so the game never checks a key code itself.
+ * Key technical features include:
+ * - Action bindings for the keyboard and for standard mapping gamepads,
+ *   with the historical keys as defaults
+ * - actiondown and actionup events through THREE.EventDispatcher, with the
+ *   keyboard auto-repeat flagged on actiondown
+ * - Gamepad API polling once a frame: button edges and the stick axes to
+ *   walk and look around
+ * - Rebinding that captures the next key or gamepad button pressed
+ * - Virtual inputs for on-screen controls: held actions, a movement stick
+ *   and accumulated look deltas
+ */
+export class InputMapper extends THREE.EventDispatcher {
+  /**
+   * @param {object} bindings - keys and gamepad bindings by action;
+   *   missing ones use the defaults
+   */
+  constructor(bindings = {}) {
+    super();
+    this.setBindings(bindings);
+    this.pressedKeys = new Set();
+    this.pressedButtons = new Set();
+    // Buttons captured by a rebinding, ignored until released
+    this.capturedButtons = new Set();
+    // Actions held by on-screen controls, which have no key or button
+    this.pressedVirtual = new Set();
+    this.virtualStick = { x: 0, y: 0 };
+    this.lookDelta = { x: 0, y: 0 };
+    this.rebinding = null;
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onKeyUp = this.onKeyUp.bind(this);
+    this.onBlur = this.onBlur.bind(this);
+    document.addEventListener('keydown', this.onKeyDown);
+    document.addEventListener('keyup', this.onKeyUp);
+    window.addEventListener('blur', this.onBlur);
+  }
+
+  /**
+   * @param {object} bindings - keys and gamepad bindings by action;
+   *   missing ones use the defaults
+   */
+  setBindings({ keys = {}, gamepad = {} } = {}) {
+    this.keyBindings = copyBindings({ ...DEFAULT_KEY_BINDINGS, ...keys });
+    this.gamepadBindings = copyBindings({
+      ...DEFAULT_GAMEPAD_BINDINGS,
+      ...gamepad,
+    });
+  }
+
+  /**
+   * @returns {{keys: object, gamepad: object}} Copy of the bindings
+   */
+  getBindings() {
+    return {
+      keys: copyBindings(this.keyBindings),
+      gamepad: copyBindings(this.gamepadBindings),
+    };
+  }
+
+  /**
+   * @param {string} code - KeyboardEvent.code
+   * @returns {string} Short name of the key
+   */
+  static getKeyName(code) {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    return code.replace(/^(Key|Digit)/, '');
+  }
+
+  /**
+   * @param {number} index - Standard mapping button index
+   * @returns {string} Name of the gamepad button
+   */
+  static getButtonName(index) {
+    return BUTTON_NAMES[index] ?? `B${index}`;
+  }
+
+  /**
+   * @param {string} action - One of INPUT_ACTIONS
+   * @returns {string} First key of the action, for short hints
+   */
+  getKeyName(action) {
+    const [code] = this.keyBindings[action];
+    return code ? InputMapper.getKeyName(code) : '—';
+  }
+
+  /**
+   * @param {string} action - One of INPUT_ACTIONS
+   * @returns {string} Every key and gamepad button of the action
+   */
+  getBindingLabel(action) {
+    const inputs = [
+      ...this.keyBindings[action].map((code) => InputMapper.getKeyName(code)),
+      ...this.gamepadBindings[action].map(
+        (index) => `🎮 ${InputMapper.getButtonName(index)}`,
+      ),
+    ];
+    return inputs.length ? inputs.join(' / ') : '—';
+  }
+
+  /**
+   * @param {string} action - One of INPUT_ACTIONS
+   * @returns {boolean} Whether a key, button or on-screen control of the
+   *   action is held
+   */
+  isActionPressed(action) {
+    return (
+      this.pressedVirtual.has(action) ||
+      this.keyBindings[action].some((code) => this.pressedKeys.has(code)) ||
+      this.gamepadBindings[action].some((index) =>
+        this.pressedButtons.has(index),
+      )
+    );
+  }
+
+  /**
+   * Binds the next key or gamepad button pressed to an action, in place
+   * of its previous keys or buttons; any other action using it loses it.
+   * Escape cancels.
+   * @param {string} action - One of INPUT_ACTIONS
+   * @param {Function} onDone - Called with whether the action was rebound
+   */
+  rebind(action, onDone) {
+    this.cancelRebind();
+    this.rebinding = { action, onDone };
+  }
+
+  cancelRebind() {
+    const rebinding = this.rebinding;
+    this.rebinding = null;
+    rebinding?.onDone(false);
+  }
+
+  /**
+   * @param {object} bindings - Key or gamepad bindings to change
+   * @param {string} action - One of INPUT_ACTIONS
+   * @param {string|number} input - Key code or button index
+   */
+  assign(bindings, action, input) {
+    Object.keys(bindings).forEach((other) => {
+      bindings[other] = bindings[other].filter((bound) => bound !== input);
+    });
+    bindings[action] = [input];
+
+    const { onDone } = this.rebinding;
+    this.rebinding = null;
+    onDone(true);
+  }
+
+  /**
+   * Sends actiondown for the actions of a key or button just pressed.
+   * @param {string[]} actions - Actions of the input
+   * @param {Function} press - Marks the input as held
+   * @param {boolean} isRepeat - Keyboard auto-repeat
+   */
+  pressActions(actions, press, isRepeat = false) {
+    const wasPressed = actions.map((action) => this.isActionPressed(action));
+    press();
+    actions.forEach((action, index) =>
+      this.dispatchEvent({
+        type: 'actiondown',
+        action,
+        isRepeat: isRepeat || wasPressed[index],
+      }),
+    );
+  }
+
+  /**
+   * Sends actionup for the actions no other key or button still holds.
+   * @param {string[]} actions - Actions of the input
+   * @param {Function} release - Marks the input as released
+   * @param {number} strength - How hard the input was released, from 0 to
+   *   1; keys and buttons always release at full strength
+   */
+  releaseActions(actions, release, strength = 1) {
+    release();
+    actions
+      .filter((action) => !this.isActionPressed(action))
+      .forEach((action) =>
+        this.dispatchEvent({ type: 'actionup', action, strength }),
+      );
+  }
+
+  /**
+   * Holds an action from an on-screen control.
+   * @param {string} action - One of INPUT_ACTIONS
+   */
+  pressVirtual(action) {
+    if (this.pressedVirtual.has(action)) return;
+    this.pressActions([action], () => this.pressedVirtual.add(action));
+  }
+
+  /**
+   * @param {string} action - One of INPUT_ACTIONS
+   * @param {number} strength - How hard the control was released, e.g. the
+   *   speed of a flick, from 0 to 1
+   */
+  releaseVirtual(action, strength = 1) {
+    if (!this.pressedVirtual.has(action)) return;
+    this.releaseActions(
+      [action],
+      () => this.pressedVirtual.delete(action),
+      strength,
+    );
+  }
+
+  /**
+   * @param {number} x - On-screen stick deflection, positive to the right
+   * @param {number} y - On-screen stick deflection, positive down
+   */
+  setVirtualStick(x, y) {
+    this.virtualStick = { x, y };
+  }
+
+  /**
+   * Accumulates a look gesture until the next frame reads it.
+   * @param {number} x - Pixels swiped to the right
+   * @param {number} y - Pixels swiped down
+   */
+  addLookDelta(x, y) {
+    this.lookDelta.x += x;
+    this.lookDelta.y += y;
+  }
+
+  /**
+   * @returns {{x: number, y: number}} Pixels swiped since the previous call
+   */
+  consumeLookDelta() {
+    const delta = this.lookDelta;
+    this.lookDelta = { x: 0, y: 0 };
+    return delta;
+  }
+
+  getKeyActions(code) {
+    return Object.keys(this.keyBindings).filter((action) =>
+      this.keyBindings[action].includes(code),
+    );
+  }
+
+  getButtonActions(index) {
+    return Object.keys(this.gamepadBindings).filter((action) =>
+      this.gamepadBindings[action].includes(index),
+    );
+  }
+
+  onKeyDown(event) {
+    if (this.rebinding) {
+      event.preventDefault();
+      if (event.code === CANCEL_KEY) {
+        this.cancelRebind();
+      } else {
+        this.assign(this.keyBindings, this.rebinding.action, event.code);
+      }
+      return;
+    }
+
+    this.pressActions(
+      this.getKeyActions(event.code),
+      () => this.pressedKeys.add(event.code),
+      event.repeat,
+    );
+  }
+
+  onKeyUp(event) {
+    if (!this.pressedKeys.has(event.code)) return;
+    this.releaseActions(this.getKeyActions(event.code), () =>
+      this.pressedKeys.delete(event.code),
+    );
+  }
+
+  /**
+   * Releases everything when the window loses focus, since the key ups
+   * are not received then.
+   */
+  onBlur() {
+    [...this.pressedKeys].forEach((code) =>
+      this.onKeyUp({ code, type: 'keyup' }),
+    );
+  }
+
+  /**
+   * @returns {Gamepad[]} Connected gamepads
+   */
+  getGamepads() {
+    return [...(navigator.getGamepads?.() ?? [])].filter(Boolean);
+  }
+
+  /**
+   * @param {number} x - Horizontal stick axis
+   * @param {number} y - Vertical stick axis
+   * @returns {{x: number, y: number}} Axes with the deadzone removed
+   */
+  static applyDeadzone(x, y) {
+    const length = Math.hypot(x, y);
+    if (length < STICK_DEADZONE) return { x: 0, y: 0 };
+    const scale =
+      Math.min(1, (length - STICK_DEADZONE) / (1 - STICK_DEADZONE)) / length;
+    return { x: x * scale, y: y * scale };
+  }
+
+  /**
+   * @param {number} xAxis - Index of the horizontal axis
+   * @param {number} yAxis - Index of the vertical axis
+   * @returns {{x: number, y: number}} Largest deflection of the stick on
+   *   any gamepad, positive to the right and down
+   */
+  getStick(xAxis, yAxis) {
+    return this.getGamepads()
+      .map(({ axes }) =>
+        InputMapper.applyDeadzone(axes[xAxis] ?? 0, axes[yAxis] ?? 0),
+      )
+      .reduce(
+        (largest, stick) =>
+          Math.hypot(stick.x, stick.y) > Math.hypot(largest.x, largest.y)
+            ? stick
+            : largest,
+        { x: 0, y: 0 },
+      );
+  }
+
+  /**
+   * @returns {{x: number, y: number}} Left stick or on-screen stick, to
+   *   walk and turn
+   */
+  getMoveAxes() {
+    const stick = this.getStick(0, 1);
+    return Math.hypot(this.virtualStick.x, this.virtualStick.y) >
+      Math.hypot(stick.x, stick.y)
+      ? { ...this.virtualStick }
+      : stick;
+  }
+
+  /**
+   * @returns {{x: number, y: number}} Right stick, to look around
+   */
+  getLookAxes() {
+    return this.getStick(2, 3);
+  }
+
+  /**
+   * Polls the gamepads and sends the actions of the buttons that changed.
+   */
+  update() {
+    const pressed = new Set();
+    this.getGamepads().forEach(({ buttons }) =>
+      buttons.forEach((button, index) => {
+        if (button.pressed || button.value > BUTTON_THRESHOLD) {
+          pressed.add(index);
+        }
+      }),
+    );
+
+    this.capturedButtons.forEach((index) => {
+      if (!pressed.has(index)) this.capturedButtons.delete(index);
+    });
+
+    pressed.forEach((index) => {
+      if (this.pressedButtons.has(index) || this.capturedButtons.has(index)) {
+        return;
+      }
+      if (this.rebinding) {
+        this.capturedButtons.add(index);
+        this.assign(this.gamepadBindings, this.rebinding.action, index);
+        return;
+      }
+      this.pressActions(this.getButtonActions(index), () =>
+        this.pressedButtons.add(index),
+      );
+    });
+    [...this.pressedButtons]
+      .filter((index) => !pressed.has(index))
+      .forEach((index) =>
+        this.releaseActions(this.getButtonActions(index), () =>
+          this.pressedButtons.delete(index),
+        ),
+      );
+  }
+
+  dispose() {
+    document.removeEventListener('keydown', this.onKeyDown);
+    document.removeEventListener('keyup', this.onKeyUp);
+    window.removeEventListener('blur', this.onBlur);
+  }
+}
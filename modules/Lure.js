@@ -0,0 +1,261 @@
+import * as THREE from 'three';
+
+/**
+ * Tackle box contents. Per tackle:
+ * - sinkRate: how fast the hook sinks below the bobber (m/s)
+ * - retrieveLift: depth change per meter of line retrieved; positive rises
+ *   towards the surface, negative dives
+ * - attraction: interest multipliers for a still and a moving lure, applied
+ *   on top of the species bait preferences
+ */
+export const TACKLE = {
+  worm: {
+    id: 'worm',
+    name: 'Lombriz',
+    action: 'wriggle',
+    sinkRate: 0.15,
+    retrieveLift: 0.3,
+    attraction: { still: 1, moving: 0.6 },
+  },
+  spinner: {
+    id: 'spinner',
+    name: 'Cucharilla',
+    action: 'spin',
+    sinkRate: 0.4,
+    retrieveLift: 0.6,
+    attraction: { still: 0.3, moving: 1.2 },
+  },
+  fly: {
+    id: 'fly',
+    name: 'Mosca',
+    action: 'skate',
+    sinkRate: 0,
+    retrieveLift: 1,
+    attraction: { still: 0.9, moving: 0.7 },
+  },
+  crankbait: {
+    id: 'crankbait',
+    name: 'Pez artificial',
+    action: 'wobble',
+    sinkRate: 0.05,
+    retrieveLift: -0.4,
+    attraction: { still: 0.2, moving: 1.3 },
+  },
+};
+
+export const DEFAULT_TACKLE_ID = 'worm';
+
+const MOVING_SPEED = 0.05;
+const SPIN_RATE = 40;
+const WOBBLE_RATE = 18;
+const WRIGGLE_RATE = 6;
+
+/**
+ * Lure class implements the bait or lure at the end of the line.
+ * Key technical features include:
+ * - Procedural model per tackle (worm, spinner, fly, crankbait)
+ * - Retrieval actions: wriggling, spinning blade, skating and wobbling,
+ *   faster as the line comes in
+ * - Orientation along the retrieval direction
+ */
+export class Lure {
+  /**
+   * @param {THREE.Scene} scene - The Three.js scene to add the lure to
+   * @param {object} tackle - Initial tackle (one of TACKLE)
+   */
+  constructor(scene, tackle = TACKLE[DEFAULT_TACKLE_ID]) {
+    this.scene = scene;
+    this.tackle = null;
+    this.mesh = null;
+    this.animated = null;
+    this.phase = 0;
+    this.previousPosition = null;
+    this.setTackle(tackle);
+  }
+
+  /**
+   * Swaps the model for another tackle.
+   * @param {object} tackle - One of TACKLE
+   */
+  setTackle(tackle) {
+    const position = this.mesh?.position.clone();
+    this.disposeMesh();
+
+    this.tackle = tackle;
+    this.mesh = this.createMesh(tackle);
+    if (position) this.mesh.position.copy(position);
+    this.mesh.traverse((child) => {
+      if (child.isMesh) child.castShadow = true;
+    });
+    this.scene.add(this.mesh);
+  }
+
+  /**
+   * Builds the model of a tackle. The part moved by the retrieval action is
+   * kept in this.animated.
+   * @param {object} tackle - One of TACKLE
+   * @returns {THREE.Group}
+   */
+  createMesh(tackle) {
+    // The outer group faces the travel direction, the model inside it moves
+    const group = new THREE.Group();
+    const model = new THREE.Group();
+    group.add(model);
+    this.animated = model;
+
+    switch (tackle.action) {
+      case 'wriggle': {
+        // Worm threaded on the hook: a curled tube
+        const curve = new THREE.CatmullRomCurve3([
+          new THREE.Vector3(0, 0, -0.03),
+          new THREE.Vector3(0.01, -0.01, -0.01),
+          new THREE.Vector3(-0.01, -0.015, 0.01),
+          new THREE.Vector3(0, -0.005, 0.03),
+        ]);
+        const worm = new THREE.Mesh(
+          new THREE.TubeGeometry(curve, 12, 0.004, 6),
+          new THREE.MeshStandardMaterial({ color: 0xc9676f, roughness: 0.6 }),
+        );
+        model.add(worm);
+        this.animated = worm;
+        break;
+      }
+
+      case 'spin': {
+        const metal = new THREE.MeshStandardMaterial({
+          color: 0xdddddd,
+          metalness: 0.9,
+          roughness: 0.2,
+        });
+        const body = new THREE.Mesh(
+          new THREE.CylinderGeometry(0.004, 0.004, 0.03, 8),
+          metal,
+        );
+        body.rotation.x = Math.PI / 2;
+        model.add(body);
+
+        // Blade rotating around the lure axis
+        const bladeAxis = new THREE.Group();
+        const blade = new THREE.Mesh(
+          new THREE.CircleGeometry(0.01, 12),
+          metal.clone(),
+        );
+        blade.material.side = THREE.DoubleSide;
+        blade.scale.set(0.6, 1, 1);
+        blade.position.y = 0.008;
+        bladeAxis.add(blade);
+        bladeAxis.position.z = -0.015;
+        model.add(bladeAxis);
+        this.animated = bladeAxis;
+        break;
+      }
+
+      case 'skate': {
+        // Dry fly: small body with a hackle collar
+        const body = new THREE.Mesh(
+          new THREE.CylinderGeometry(0.002, 0.003, 0.015, 6),
+          new THREE.MeshStandardMaterial({ color: 0x5a3b1c }),
+        );
+        body.rotation.x = Math.PI / 2;
+        model.add(body);
+        const hackle = new THREE.Mesh(
+          new THREE.ConeGeometry(0.008, 0.006, 10, 1, true),
+          new THREE.MeshStandardMaterial({
+            color: 0xd8c39a,
+            side: THREE.DoubleSide,
+          }),
+        );
+        hackle.rotation.x = -Math.PI / 2;
+        hackle.position.z = -0.007;
+        model.add(hackle);
+        break;
+      }
+
+      case 'wobble': {
+        // Crankbait: painted body with a diving lip
+        const body = new THREE.Mesh(
+          new THREE.SphereGeometry(0.008, 12, 8),
+          new THREE.MeshStandardMaterial({ color: 0x3fa34d, roughness: 0.3 }),
+        );
+        body.scale.set(1, 1.2, 3);
+        model.add(body);
+        const lip = new THREE.Mesh(
+          new THREE.PlaneGeometry(0.012, 0.01),
+          new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.6,
+            side: THREE.DoubleSide,
+          }),
+        );
+        lip.position.set(0, -0.004, -0.026);
+        lip.rotation.x = -Math.PI / 3;
+        model.add(lip);
+        break;
+      }
+    }
+
+    return group;
+  }
+
+  /**
+   * Follows the end of the line and plays the retrieval action.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   * @param {THREE.Vector3} position - End of the line
+   * @param {number} retrieveSpeed - Line retrieval speed in m/s
+   */
+  update(delta, position, retrieveSpeed) {
+    // Face the direction the lure is travelling in
+    if (this.previousPosition && delta > 0) {
+      const travel = position.clone().sub(this.previousPosition);
+      if (travel.lengthSq() > 1e-8) {
+        this.mesh.lookAt(this.mesh.position.clone().sub(travel));
+      }
+    }
+    this.previousPosition = (this.previousPosition ?? new THREE.Vector3()).copy(
+      position,
+    );
+    this.mesh.position.copy(position);
+
+    const isMoving = retrieveSpeed > MOVING_SPEED;
+    const speed = isMoving ? retrieveSpeed : 0;
+
+    switch (this.tackle.action) {
+      case 'wriggle':
+        // A live worm wriggles even when still
+        this.phase += delta * WRIGGLE_RATE * (1 + speed);
+        this.animated.rotation.z = Math.sin(this.phase) * 0.4;
+        break;
+      case 'spin':
+        this.animated.rotation.z += delta * SPIN_RATE * speed;
+        break;
+      case 'skate':
+        this.phase += delta * WOBBLE_RATE * speed;
+        this.animated.rotation.z = Math.sin(this.phase) * 0.2;
+        break;
+      case 'wobble':
+        this.phase += delta * WOBBLE_RATE * speed;
+        this.animated.rotation.z =
+          Math.sin(this.phase) * 0.5 * Math.min(speed, 1);
+        break;
+    }
+  }
+
+  disposeMesh() {
+    if (!this.mesh) return;
+
+    this.scene.remove(this.mesh);
+    this.mesh.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+    this.mesh = null;
+    this.animated = null;
+  }
+
+  dispose() {
+    this.disposeMesh();
+  }
+}
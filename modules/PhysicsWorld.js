@@ -0,0 +1,337 @@
+import * as THREE from 'three';
+
+const GRAVITY = -9.81;
+const FIXED_STEP = 1 / 60;
+const MAX_SUBSTEPS = 10;
+const REST_SPEED = 0.05;
+
+/**
+ * PhysicsWorld wraps an Ammo.js (Bullet) rigid body simulation.
+ * Key technical features include:
+ * - Ownership of a btDiscreteDynamicsWorld with fixed time step stepping
+ * - Helpers to build box, sphere, convex hull and ring slab shapes
+ * - Automatic synchronization of dynamic bodies with their Three.js objects
+ * - Explicit memory management of Ammo objects (Ammo.destroy)
+ */
+export class PhysicsWorld {
+  /**
+   * @param {object} ammo - Initialized Ammo.js module instance
+   */
+  constructor(ammo) {
+    this.ammo = ammo;
+    this.bodies = [];
+
+    this.collisionConfiguration = new ammo.btDefaultCollisionConfiguration();
+    this.dispatcher = new ammo.btCollisionDispatcher(
+      this.collisionConfiguration,
+    );
+    this.broadphase = new ammo.btDbvtBroadphase();
+    this.solver = new ammo.btSequentialImpulseConstraintSolver();
+    this.world = new ammo.btDiscreteDynamicsWorld(
+      this.dispatcher,
+      this.broadphase,
+      this.solver,
+      this.collisionConfiguration,
+    );
+    this.world.setGravity(new ammo.btVector3(0, GRAVITY, 0));
+
+    // Scratch objects reused to avoid allocating inside the Ammo heap
+    this.tempTransform = new ammo.btTransform();
+    this.tempVector = new ammo.btVector3(0, 0, 0);
+  }
+
+  /**
+   * Creates a box shape, optionally offset from the body origin.
+   * @param {THREE.Vector3} size - Full box dimensions
+   * @param {THREE.Vector3} offset - Optional center offset in body space
+   * @returns {object} Ammo collision shape
+   */
+  createBoxShape(size, offset = null) {
+    const halfExtents = new this.ammo.btVector3(
+      size.x / 2,
+      size.y / 2,
+      size.z / 2,
+    );
+    const box = new this.ammo.btBoxShape(halfExtents);
+    this.ammo.destroy(halfExtents);
+    if (!offset) return box;
+
+    const compound = new this.ammo.btCompoundShape();
+    const transform = new this.ammo.btTransform();
+    transform.setIdentity();
+    this.tempVector.setValue(offset.x, offset.y, offset.z);
+    transform.setOrigin(this.tempVector);
+    compound.addChildShape(transform, box);
+    compound.userData = { childShape: box };
+    this.ammo.destroy(transform);
+    return compound;
+  }
+
+  /**
+   * @param {number} radius - Sphere radius
+   * @returns {object} Ammo collision shape
+   */
+  createSphereShape(radius) {
+    return new this.ammo.btSphereShape(radius);
+  }
+
+  /**
+   * Creates a convex hull from a mesh geometry, scaled like the mesh.
+   * @param {THREE.Mesh} mesh - Source mesh
+   * @returns {object} Ammo collision shape
+   */
+  createConvexHullShape(mesh) {
+    const shape = new this.ammo.btConvexHullShape();
+    const positions = mesh.geometry.attributes.position;
+
+    for (let i = 0; i < positions.count; i++) {
+      this.tempVector.setValue(
+        positions.getX(i),
+        positions.getY(i),
+        positions.getZ(i),
+      );
+      shape.addPoint(this.tempVector, i === positions.count - 1);
+    }
+
+    this.tempVector.setValue(mesh.scale.x, mesh.scale.y, mesh.scale.z);
+    shape.setLocalScaling(this.tempVector);
+    return shape;
+  }
+
+  /**
+   * Creates a flat ring slab whose top face lies at y = 0 of the body, made
+   * of boxes laid around the ring. Unlike a triangle mesh it has real
+   * thickness, so fast bodies cannot slip through the ground.
+   * @param {number} innerRadius - Inner radius of the ring
+   * @param {number} outerRadius - Outer radius of the ring
+   * @param {number} thickness - Slab thickness below the top face
+   * @param {number} segments - Number of boxes around the ring
+   * @returns {object} Ammo collision shape
+   */
+  createRingShape(innerRadius, outerRadius, thickness, segments) {
+    // Boxes as wide as the outer chord leave no gaps at the rim and, being
+    // straight, never reach inside the inner radius
+    const width = 2 * outerRadius * Math.tan(Math.PI / segments);
+    this.tempVector.setValue(
+      (outerRadius - innerRadius) / 2,
+      thickness / 2,
+      width / 2,
+    );
+    const box = new this.ammo.btBoxShape(this.tempVector);
+    const compound = new this.ammo.btCompoundShape();
+    const transform = new this.ammo.btTransform();
+    const rotation = new this.ammo.btQuaternion(0, 0, 0, 1);
+    const center = (innerRadius + outerRadius) / 2;
+
+    for (let i = 0; i < segments; i++) {
+      const angle = (i / segments) * Math.PI * 2;
+      transform.setIdentity();
+      this.tempVector.setValue(
+        Math.cos(angle) * center,
+        -thickness / 2,
+        -Math.sin(angle) * center,
+      );
+      transform.setOrigin(this.tempVector);
+      rotation.setValue(0, Math.sin(angle / 2), 0, Math.cos(angle / 2));
+      transform.setRotation(rotation);
+      compound.addChildShape(transform, box);
+    }
+
+    compound.userData = { childShape: box };
+    this.ammo.destroy(rotation);
+    this.ammo.destroy(transform);
+    return compound;
+  }
+
+  /**
+   * Adds a rigid body to the world.
+   * Bodies with mass 0 are static; dynamic bodies linked to an object keep
+   * that object's position and rotation in sync after every step.
+   * @param {THREE.Object3D|null} object - Object driven by the body
+   * @param {object} shape - Ammo collision shape
+   * @param {number} mass - Body mass in kg (0 for static)
+   * @param {object} options - Optional position, quaternion, friction,
+   *   restitution, rollingFriction, linearDamping, angularDamping and
+   *   ccdRadius (enables continuous collision detection)
+   * @returns {object} Ammo rigid body
+   */
+  addRigidBody(object, shape, mass, options = {}) {
+    const position =
+      options.position ?? object?.position ?? new THREE.Vector3();
+    const quaternion =
+      options.quaternion ?? object?.quaternion ?? new THREE.Quaternion();
+
+    const origin = new this.ammo.btVector3(position.x, position.y, position.z);
+    const rotation = new this.ammo.btQuaternion(
+      quaternion.x,
+      quaternion.y,
+      quaternion.z,
+      quaternion.w,
+    );
+    const transform = new this.ammo.btTransform();
+    transform.setIdentity();
+    transform.setOrigin(origin);
+    transform.setRotation(rotation);
+
+    const motionState = new this.ammo.btDefaultMotionState(transform);
+    const localInertia = new this.ammo.btVector3(0, 0, 0);
+    if (mass > 0) shape.calculateLocalInertia(mass, localInertia);
+
+    const info = new this.ammo.btRigidBodyConstructionInfo(
+      mass,
+      motionState,
+      shape,
+      localInertia,
+    );
+    const body = new this.ammo.btRigidBody(info);
+    [info, localInertia, transform, rotation, origin].forEach((item) =>
+      this.ammo.destroy(item),
+    );
+
+    body.setFriction(options.friction ?? 0.8);
+    body.setRestitution(options.restitution ?? 0.2);
+    if (options.rollingFriction !== undefined) {
+      body.setRollingFriction(options.rollingFriction);
+    }
+    body.setDamping(options.linearDamping ?? 0, options.angularDamping ?? 0);
+    if (options.ccdRadius) {
+      body.setCcdMotionThreshold(options.ccdRadius);
+      body.setCcdSweptSphereRadius(options.ccdRadius * 0.5);
+    }
+
+    this.world.addRigidBody(body);
+    this.bodies.push({ body, object, shape, motionState, mass });
+    return body;
+  }
+
+  /**
+   * Removes a rigid body from the world and frees its Ammo memory.
+   * @param {object} body - Ammo rigid body returned by addRigidBody
+   */
+  removeRigidBody(body) {
+    const index = this.bodies.findIndex((entry) => entry.body === body);
+    if (index === -1) return;
+
+    const { shape, motionState } = this.bodies[index];
+    this.bodies.splice(index, 1);
+    this.world.removeRigidBody(body);
+
+    this.ammo.destroy(body);
+    this.ammo.destroy(motionState);
+    this.ammo.destroy(shape);
+    if (shape.userData?.childShape) {
+      this.ammo.destroy(shape.userData.childShape);
+    }
+  }
+
+  /**
+   * @param {object} body - Ammo rigid body
+   * @param {THREE.Vector3} velocity - Linear velocity in m/s
+   */
+  setLinearVelocity(body, velocity) {
+    this.tempVector.setValue(velocity.x, velocity.y, velocity.z);
+    body.setLinearVelocity(this.tempVector);
+    body.activate();
+  }
+
+  /**
+   * @param {object} body - Ammo rigid body
+   * @param {THREE.Vector3} velocity - Angular velocity in rad/s
+   */
+  setAngularVelocity(body, velocity) {
+    this.tempVector.setValue(velocity.x, velocity.y, velocity.z);
+    body.setAngularVelocity(this.tempVector);
+    body.activate();
+  }
+
+  /**
+   * Applies a linear and optional angular impulse at the center of mass.
+   * @param {object} body - Ammo rigid body
+   * @param {THREE.Vector3} impulse - Linear impulse in N·s
+   * @param {THREE.Vector3} torque - Optional angular impulse
+   */
+  applyImpulse(body, impulse, torque = null) {
+    body.activate();
+    this.tempVector.setValue(impulse.x, impulse.y, impulse.z);
+    body.applyCentralImpulse(this.tempVector);
+    if (torque) {
+      this.tempVector.setValue(torque.x, torque.y, torque.z);
+      body.applyTorqueImpulse(this.tempVector);
+    }
+  }
+
+  /**
+   * @param {object} body - Ammo rigid body
+   * @param {THREE.Vector3} target - Vector to write the velocity to
+   * @returns {THREE.Vector3} Linear velocity in m/s
+   */
+  getLinearVelocity(body, target = new THREE.Vector3()) {
+    const velocity = body.getLinearVelocity();
+    return target.set(velocity.x(), velocity.y(), velocity.z());
+  }
+
+  /**
+   * @param {object} body - Ammo rigid body
+   * @param {THREE.Vector3} target - Vector to write the position to
+   * @returns {THREE.Vector3} Body position in world space
+   */
+  getPosition(body, target = new THREE.Vector3()) {
+    body.getMotionState().getWorldTransform(this.tempTransform);
+    const origin = this.tempTransform.getOrigin();
+    return target.set(origin.x(), origin.y(), origin.z());
+  }
+
+  /**
+   * Whether a body has come to rest (sleeping or nearly still).
+   * @param {object} body - Ammo rigid body
+   * @returns {boolean}
+   */
+  isResting(body) {
+    if (!body.isActive()) return true;
+    const velocity = body.getLinearVelocity();
+    const angular = body.getAngularVelocity();
+    return (
+      Math.hypot(velocity.x(), velocity.y(), velocity.z()) < REST_SPEED &&
+      Math.hypot(angular.x(), angular.y(), angular.z()) < REST_SPEED * 10
+    );
+  }
+
+  /**
+   * Steps the simulation and copies dynamic body transforms to their objects.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  update(delta) {
+    if (delta <= 0) return;
+
+    this.world.stepSimulation(delta, MAX_SUBSTEPS, FIXED_STEP);
+
+    this.bodies.forEach(({ body, object, motionState, mass }) => {
+      if (!object || mass === 0) return;
+
+      motionState.getWorldTransform(this.tempTransform);
+      const origin = this.tempTransform.getOrigin();
+      const rotation = this.tempTransform.getRotation();
+      object.position.set(origin.x(), origin.y(), origin.z());
+      object.quaternion.set(
+        rotation.x(),
+        rotation.y(),
+        rotation.z(),
+        rotation.w(),
+      );
+    });
+  }
+
+  /**
+   * Removes every body and frees the world and its solver components.
+   */
+  dispose() {
+    [...this.bodies].forEach(({ body }) => this.removeRigidBody(body));
+    this.ammo.destroy(this.world);
+    this.ammo.destroy(this.solver);
+    this.ammo.destroy(this.broadphase);
+    this.ammo.destroy(this.dispatcher);
+    this.ammo.destroy(this.collisionConfiguration);
+    this.ammo.destroy(this.tempTransform);
+    this.ammo.destroy(this.tempVector);
+  }
+}
@@ -0,0 +1,410 @@
+import { Creel } from './Creel.js';
+import { DEFAULT_DRAG, DRAG_MIN, DRAG_MAX } from './FishFight.js';
+import { DEFAULT_TACKLE_ID } from './Lure.js';
+import {
+  BOBBER_DEPTH_MIN,
+  BOBBER_DEPTH_MAX,
+  DEFAULT_BOBBER_DEPTH,
+} from './Bobber.js';
+import { DEFAULT_VOLUMES } from './audio/AudioManager.js';
+import {
+  DEFAULT_KEY_BINDINGS,
+  DEFAULT_GAMEPAD_BINDINGS,
+} from './InputMapper.js';
+
+export const PROFILE_VERSION = 1;
+export const PROFILE_STORAGE_KEY = 'lake-fishing-profile';
+
+// Lifetime score needed to unlock each bait or lure
+export const TACKLE_UNLOCK_SCORES = {
+  worm: 0,
+  spinner: 150,
+  fly: 400,
+  crankbait: 800,
+};
+
+// Milliseconds the exported file URL stays valid for the download
+const EXPORT_URL_LIFETIME = 1000;
+
+// Range of the mouse sensitivity slider
+const MOUSE_SENSITIVITY_MIN = 0.2;
+const MOUSE_SENSITIVITY_MAX = 3;
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * @param {*} value - Stored number
+ * @param {number} fallback - Default used when it is not a finite number
+ * @param {number} min - Lowest valid value
+ * @param {number} max - Highest valid value
+ * @returns {number}
+ */
+const toNumber = (value, fallback, min = 0, max = Infinity) =>
+  Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+
+/**
+ * Keeps the stored bindings of the known actions that are lists of valid
+ * inputs; the other actions get their defaults.
+ * @param {*} bindings - Stored keys or gamepad bindings by action
+ * @param {object} defaults - Default bindings by action
+ * @param {Function} isInput - Whether a stored input is valid
+ * @returns {object}
+ */
+const toBindings = (bindings, defaults, isInput) =>
+  Object.fromEntries(
+    Object.entries(defaults).map(([action, inputs]) => {
+      const stored = isPlainObject(bindings) ? bindings[action] : undefined;
+      return [
+        action,
+        Array.isArray(stored) && stored.every(isInput)
+          ? [...stored]
+          : [...inputs],
+      ];
+    }),
+  );
+
+/**
+ * Upgrades stored profiles one version at a time: MIGRATIONS[n] turns a
+ * version n profile into a version n + 1 one. Version 1 is the first saved
+ * schema, so there is nothing to upgrade yet.
+ */
+const MIGRATIONS = {};
+
+/**
+ * PlayerProfile keeps the player progression between sessions.
+ * Key technical features include:
+ * - Lifetime score, catches per species and personal best sizes
+ * - Creel contents and tackle unlocked by lifetime score
+ * - Best tournament weight and completed challenges
+ * - Settings (drag, last tackle, debug display, audio volumes, VR wrist
+ *   panel)
+ * - Versioned localStorage schema with step-by-step migrations
+ * - Export and import as a JSON file to move it between browsers
+ */
+export class PlayerProfile {
+  /**
+   * @param {Storage} storage - Where the profile is saved; localStorage by
+   *   default, null to keep it in memory only
+   */
+  constructor(storage = globalThis.localStorage ?? null) {
+    this.storage = storage;
+    this.data = PlayerProfile.createDefault();
+    this.creel = new Creel(this.data.creel);
+  }
+
+  static createDefault() {
+    return {
+      version: PROFILE_VERSION,
+      lifetimeScore: 0,
+      catches: {},
+      personalBests: {},
+      unlockedTackle: [DEFAULT_TACKLE_ID],
+      creel: [],
+      bestTournamentWeight: 0,
+      completedChallenges: [],
+      settings: {
+        drag: DEFAULT_DRAG,
+        tackle: DEFAULT_TACKLE_ID,
+        bobberDepth: DEFAULT_BOBBER_DEPTH,
+        debugMode: true,
+        volumes: { ...DEFAULT_VOLUMES },
+        vrHud: true,
+        vrVignette: true,
+        mouseSensitivity: 1,
+        invertY: false,
+        inputBindings: {
+          keys: { ...DEFAULT_KEY_BINDINGS },
+          gamepad: { ...DEFAULT_GAMEPAD_BINDINGS },
+        },
+      },
+    };
+  }
+
+  /**
+   * Upgrades a stored profile to the current schema. Every field is
+   * checked against the type of its default: a missing or invalid one gets
+   * the default, and unknown fields, audio buses and input actions are
+   * dropped, so a hand-edited file cannot break the game.
+   * @param {object} data - Parsed profile
+   * @returns {object} Current version profile
+   */
+  static migrate(data) {
+    if (!isPlainObject(data)) {
+      throw new Error('Profile data must be an object');
+    }
+
+    let profile = data;
+    if (!Number.isInteger(profile.version)) {
+      throw new Error('Profile version is missing');
+    }
+    if (profile.version > PROFILE_VERSION) {
+      throw new Error(`Unsupported profile version: ${profile.version}`);
+    }
+    while (profile.version < PROFILE_VERSION) {
+      const migration = MIGRATIONS[profile.version];
+      if (!migration) {
+        throw new Error(`Unsupported profile version: ${profile.version}`);
+      }
+      profile = migration(profile);
+    }
+
+    const defaults = PlayerProfile.createDefault();
+    const catches = isPlainObject(profile.catches) ? profile.catches : {};
+    const personalBests = isPlainObject(profile.personalBests)
+      ? profile.personalBests
+      : {};
+    const asArray = (value) => (Array.isArray(value) ? value : []);
+
+    return {
+      version: PROFILE_VERSION,
+      lifetimeScore: toNumber(profile.lifetimeScore, defaults.lifetimeScore),
+      catches: Object.fromEntries(
+        Object.entries(catches).filter(([, count]) => Number.isInteger(count)),
+      ),
+      personalBests: Object.fromEntries(
+        Object.entries(personalBests).filter(
+          ([, best]) => isPlainObject(best) && Number.isFinite(best.weight),
+        ),
+      ),
+      unlockedTackle: [
+        ...new Set([
+          ...defaults.unlockedTackle,
+          ...asArray(profile.unlockedTackle).filter((id) =>
+            Object.hasOwn(TACKLE_UNLOCK_SCORES, id),
+          ),
+        ]),
+      ],
+      creel: asArray(profile.creel).filter(
+        (record) =>
+          isPlainObject(record) &&
+          typeof record.speciesId === 'string' &&
+          Number.isFinite(record.weight),
+      ),
+      bestTournamentWeight: toNumber(
+        profile.bestTournamentWeight,
+        defaults.bestTournamentWeight,
+      ),
+      completedChallenges: asArray(profile.completedChallenges).filter(
+        (id) => typeof id === 'string',
+      ),
+      settings: PlayerProfile.migrateSettings(
+        profile.settings,
+        defaults.settings,
+      ),
+    };
+  }
+
+  /**
+   * @param {*} settings - Stored settings
+   * @param {object} defaults - Default settings
+   * @returns {object} Settings with a valid value of the right type each
+   */
+  static migrateSettings(settings, defaults) {
+    const stored = isPlainObject(settings) ? settings : {};
+    const toBoolean = (key) =>
+      typeof stored[key] === 'boolean' ? stored[key] : defaults[key];
+    const volumes = isPlainObject(stored.volumes) ? stored.volumes : {};
+    const bindings = isPlainObject(stored.inputBindings)
+      ? stored.inputBindings
+      : {};
+
+    return {
+      drag: toNumber(stored.drag, defaults.drag, DRAG_MIN, DRAG_MAX),
+      tackle: Object.hasOwn(TACKLE_UNLOCK_SCORES, stored.tackle)
+        ? stored.tackle
+        : defaults.tackle,
+      bobberDepth: toNumber(
+        stored.bobberDepth,
+        defaults.bobberDepth,
+        BOBBER_DEPTH_MIN,
+        BOBBER_DEPTH_MAX,
+      ),
+      debugMode: toBoolean('debugMode'),
+      volumes: Object.fromEntries(
+        Object.entries(defaults.volumes).map(([bus, volume]) => [
+          bus,
+          toNumber(volumes[bus], volume, 0, 1),
+        ]),
+      ),
+      vrHud: toBoolean('vrHud'),
+      vrVignette: toBoolean('vrVignette'),
+      mouseSensitivity: toNumber(
+        stored.mouseSensitivity,
+        defaults.mouseSensitivity,
+        MOUSE_SENSITIVITY_MIN,
+        MOUSE_SENSITIVITY_MAX,
+      ),
+      invertY: toBoolean('invertY'),
+      inputBindings: {
+        keys: toBindings(
+          bindings.keys,
+          defaults.inputBindings.keys,
+          (code) => typeof code === 'string',
+        ),
+        gamepad: toBindings(
+          bindings.gamepad,
+          defaults.inputBindings.gamepad,
+          (index) => Number.isInteger(index) && index >= 0,
+        ),
+      },
+    };
+  }
+
+  /**
+   * Loads the saved profile. A missing or unreadable one leaves the default
+   * profile in place.
+   */
+  load() {
+    try {
+      const json = this.storage?.getItem(PROFILE_STORAGE_KEY);
+      if (json) this.setData(PlayerProfile.migrate(JSON.parse(json)));
+    } catch (error) {
+      console.warn('Could not load the player profile:', error);
+    }
+    return this;
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(PROFILE_STORAGE_KEY, this.toJSON());
+    } catch (error) {
+      console.warn('Could not save the player profile:', error);
+    }
+  }
+
+  setData(data) {
+    this.data = data;
+    this.creel = new Creel(data.creel);
+  }
+
+  toJSON() {
+    return JSON.stringify({ ...this.data, creel: this.creel.records }, null, 2);
+  }
+
+  /**
+   * Adds points to the lifetime score and unlocks the tackle it reaches.
+   * @param {number} points - Points scored
+   * @returns {string[]} Ids of the newly unlocked tackle
+   */
+  addScore(points) {
+    this.data.lifetimeScore += points;
+
+    const unlocked = Object.entries(TACKLE_UNLOCK_SCORES)
+      .filter(
+        ([id, score]) =>
+          this.data.lifetimeScore >= score && !this.isTackleUnlocked(id),
+      )
+      .map(([id]) => id);
+    this.data.unlockedTackle.push(...unlocked);
+
+    this.save();
+    return unlocked;
+  }
+
+  /**
+   * Counts a landed fish and updates the personal best of its species.
+   * @param {object} record - Catch record from FishManager
+   * @returns {boolean} Whether the fish is a new personal best
+   */
+  recordCatch(record) {
+    const { speciesId } = record;
+    this.data.catches[speciesId] = (this.data.catches[speciesId] ?? 0) + 1;
+
+    const best = this.data.personalBests[speciesId];
+    const isPersonalBest = !best || record.weight > best.weight;
+    if (isPersonalBest) {
+      this.data.personalBests[speciesId] = {
+        length: record.length,
+        weight: record.weight,
+        date: record.date,
+      };
+    }
+
+    this.save();
+    return isPersonalBest;
+  }
+
+  /**
+   * @param {object} record - Catch record of a kept fish
+   */
+  addToCreel(record) {
+    this.creel.add(record);
+    this.save();
+  }
+
+  /**
+   * Keeps the weight of a finished tournament if it is the best one.
+   * @param {number} weight - Total weight kept in the tournament in grams
+   * @returns {boolean} Whether it beats the previous best
+   */
+  recordTournament(weight) {
+    if (weight <= this.data.bestTournamentWeight) return false;
+    this.data.bestTournamentWeight = weight;
+    this.save();
+    return true;
+  }
+
+  /**
+   * @param {string} challengeId - Id of a completed challenge
+   */
+  completeChallenge(challengeId) {
+    if (this.isChallengeCompleted(challengeId)) return;
+    this.data.completedChallenges.push(challengeId);
+    this.save();
+  }
+
+  isChallengeCompleted(challengeId) {
+    return this.data.completedChallenges.includes(challengeId);
+  }
+
+  isTackleUnlocked(tackleId) {
+    return this.data.unlockedTackle.includes(tackleId);
+  }
+
+  get settings() {
+    return this.data.settings;
+  }
+
+  setSetting(key, value) {
+    if (this.data.settings[key] === value) return;
+    this.data.settings[key] = value;
+    this.save();
+  }
+
+  /**
+   * Downloads the profile as a JSON file.
+   */
+  exportToFile() {
+    const blob = new Blob([this.toJSON()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'perfil-pesca.json';
+    link.click();
+    // Some browsers start the download after click() returns
+    setTimeout(() => URL.revokeObjectURL(url), EXPORT_URL_LIFETIME);
+  }
+
+  /**
+   * Replaces the profile with one read from a JSON file. It is only saved
+   * once the game has applied it; if that fails the previous profile comes
+   * back, so a bad file never breaks the next start.
+   * @param {File} file - Exported profile
+   * @param {Function} apply - Applies the imported settings to the game
+   * @returns {Promise<void>} Rejects if the file is not a valid profile
+   */
+  async importFromFile(file, apply = () => {}) {
+    const data = PlayerProfile.migrate(JSON.parse(await file.text()));
+    const previous = this.data;
+    this.setData(data);
+    try {
+      apply();
+    } catch (error) {
+      this.setData(previous);
+      apply();
+      throw error;
+    }
+    this.save();
+  }
+}
@@ -0,0 +1,134 @@
+import * as THREE from 'three';
+
+export const ROD_STATES = {
+  IDLE: 'idle',
+  HOLDING: 'holding',
+  CHARGING: 'charging',
+  CASTING: 'casting',
+  WAITING: 'waiting',
+  HOOKED: 'hooked',
+  FIGHTING: 'fighting',
+  LANDING: 'landing',
+};
+
+// States reachable from each state. Dropping the rod (idle) is always
+// allowed and reels the line in.
+const TRANSITIONS = {
+  [ROD_STATES.IDLE]: [ROD_STATES.HOLDING],
+  [ROD_STATES.HOLDING]: [
+    ROD_STATES.IDLE,
+    ROD_STATES.CHARGING,
+    ROD_STATES.CASTING,
+  ],
+  [ROD_STATES.CHARGING]: [
+    ROD_STATES.IDLE,
+    ROD_STATES.HOLDING,
+    ROD_STATES.CASTING,
+  ],
+  [ROD_STATES.CASTING]: [
+    ROD_STATES.IDLE,
+    ROD_STATES.HOLDING,
+    ROD_STATES.WAITING,
+  ],
+  [ROD_STATES.WAITING]: [
+    ROD_STATES.IDLE,
+    ROD_STATES.HOLDING,
+    ROD_STATES.HOOKED,
+  ],
+  [ROD_STATES.HOOKED]: [
+    ROD_STATES.IDLE,
+    ROD_STATES.HOLDING,
+    ROD_STATES.WAITING,
+    ROD_STATES.FIGHTING,
+  ],
+  [ROD_STATES.FIGHTING]: [
+    ROD_STATES.IDLE,
+    ROD_STATES.HOLDING,
+    ROD_STATES.WAITING,
+    ROD_STATES.LANDING,
+  ],
+  [ROD_STATES.LANDING]: [ROD_STATES.IDLE],
+};
+
+const LINE_OUT_STATES = [
+  ROD_STATES.CASTING,
+  ROD_STATES.WAITING,
+  ROD_STATES.HOOKED,
+  ROD_STATES.FIGHTING,
+  ROD_STATES.LANDING,
+];
+
+const FISH_ON_STATES = [
+  ROD_STATES.HOOKED,
+  ROD_STATES.FIGHTING,
+  ROD_STATES.LANDING,
+];
+
+/**
+ * RodStateMachine holds the single state of the rod, from lying idle to
+ * landing a fish.
+ * Key technical features include:
+ * - Explicit table of allowed transitions
+ *   (idle → holding → charging → casting → waiting → hooked → fighting →
+ *   landing, plus the ways back)
+ * - Transition events through THREE.EventDispatcher: 'change' with the
+ *   previous and new state, and one event named after each entered state
+ * - Atomic reset to idle
+ */
+export class RodStateMachine extends THREE.EventDispatcher {
+  constructor() {
+    super();
+    this.current = ROD_STATES.IDLE;
+  }
+
+  /**
+   * @param {...string} states - States to compare with (ROD_STATES)
+   * @returns {boolean} Whether the rod is in any of them
+   */
+  is(...states) {
+    return states.includes(this.current);
+  }
+
+  /**
+   * @param {string} state - One of ROD_STATES
+   * @returns {boolean} Whether the rod can move to that state now
+   */
+  can(state) {
+    return TRANSITIONS[this.current].includes(state);
+  }
+
+  /**
+   * Moves to another state if the transition is allowed.
+   * @param {string} state - One of ROD_STATES
+   * @returns {boolean} Whether the rod is now in that state
+   */
+  transition(state) {
+    if (state === this.current) return true;
+    if (!this.can(state)) return false;
+
+    const from = this.current;
+    this.current = state;
+    this.dispatchEvent({ type: 'change', from, to: state });
+    this.dispatchEvent({ type: state, from });
+    return true;
+  }
+
+  /**
+   * Drops the rod: back to idle from any state in a single transition.
+   */
+  reset() {
+    this.transition(ROD_STATES.IDLE);
+  }
+
+  get isHeld() {
+    return this.current !== ROD_STATES.IDLE;
+  }
+
+  get isLineOut() {
+    return LINE_OUT_STATES.includes(this.current);
+  }
+
+  get hasFish() {
+    return FISH_ON_STATES.includes(this.current);
+  }
+}
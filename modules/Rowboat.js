@@ -0,0 +1,444 @@
+import * as THREE from 'three';
+import { GROUND_LEVEL, LAKE_RADIUS } from './Environment.js';
+
+const BOAT_LENGTH = 2.2;
+const BOAT_WIDTH = 1;
+const HULL_DEPTH = 0.35;
+// Height of the gunwale above the water line
+const FREEBOARD = 0.2;
+// Radius of a circle around the whole hull, kept inside the lake
+const BOAT_RADIUS = 1.15;
+const MAX_RADIUS = LAKE_RADIUS - BOAT_RADIUS;
+// Boat centre distance from the edge of its circle that counts as moored
+// at the shore, and how far onto the land the player steps out
+const SHORE_MARGIN = 0.3;
+const DISEMBARK_DISTANCE = 0.8;
+// Horizontal distance from the boat the player can climb aboard from
+const BOARD_DISTANCE = 2.5;
+// Floor under the rowing seat, where the player is carried
+const SEAT_Z = 0.35;
+
+// Acceleration of each oar pulling at full effort (m/s²), and turning
+// acceleration from the difference between both oars (rad/s²)
+const ROW_ACCELERATION = 0.8;
+const TURN_ACCELERATION = 1.5;
+// Water drag (1/s): the keel lets the boat glide forward but not sideways
+const FORWARD_DRAG = 0.8;
+const LATERAL_DRAG = 4;
+const ANGULAR_DRAG = 2;
+// Fraction of the speed into the shore kept when bouncing off it
+const SHORE_BOUNCE = 0.2;
+// Oar strokes per second while rowing with keys or a stick
+const STROKE_RATE = 0.8;
+const OAR_LENGTH = 1.6;
+const OAR_SWEEP = 0.6; // rad
+const OAR_DIP = 0.2; // rad
+
+// VR paddling: a controller paddles while held this high above the water
+// line at most, outside the hull; the backward speed (m/s) at which a
+// stroke counts as full effort
+const PADDLE_HEIGHT = 0.3;
+const PADDLE_FULL_SPEED = 1.5;
+
+// Rocking: gain over the wave slope, bow lift per m/s² of surge, and how
+// fast the hull follows (1/s)
+const WAVE_ROCK_GAIN = 4;
+const SURGE_PITCH = 0.04;
+const ROCK_RESPONSE = 3;
+
+const OAR_SIDES = { left: -1, right: 1 };
+
+// Scratch objects reused every frame
+const _forward = new THREE.Vector3();
+const _lateral = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _paddle = new THREE.Vector3();
+const _inverse = new THREE.Matrix4();
+
+/**
+ * Rowboat floats on the lake and carries the player and the rod out to
+ * the fish in the middle.
+ * Key technical features include:
+ * - Procedural hull with a tapered bow, two thwarts and a pair of oars on
+ *   their oarlocks
+ * - Floating on the water height of the environment, pitching and
+ *   rolling with the wave slope and the surge of each stroke
+ * - Rowing with per-oar efforts: keys and sticks pull in animated stroke
+ *   cycles, and in VR each controller paddles when swept low beside the
+ *   hull
+ * - Frame-rate independent drag with a keel that resists sideways slip
+ * - Kept inside the lake radius, sliding and bouncing softly off the shore
+ * - Seat anchor the player controllers are carried by while aboard
+ */
+export class Rowboat {
+  /**
+   * @param {THREE.Scene} scene - The Three.js scene to add the boat to
+   * @param {Environment} environment - Provides the water height
+   */
+  constructor(scene, environment) {
+    this.scene = scene;
+    this.environment = environment;
+    this.isBoarded = false;
+
+    // Moored at the south shore, in front of the desktop starting spot,
+    // with the bow towards the middle of the lake
+    this.position = new THREE.Vector3(0, 0, MAX_RADIUS);
+    this.heading = 0;
+    this.velocity = new THREE.Vector3();
+    this.angularVelocity = 0;
+    this.forwardSpeed = 0;
+    this.pitch = 0;
+    this.roll = 0;
+
+    this.rowEfforts = { left: 0, right: 0 };
+    this.paddleEfforts = { left: 0, right: 0 };
+    this.strokePhases = { left: 0, right: 0 };
+    this.paddlePositions = new Map();
+
+    this.createMesh();
+    this.update(0);
+  }
+
+  /**
+   * Builds the hull from half a cylinder, narrowed and raised towards the
+   * bow, closed at the stern by a transom.
+   */
+  createMesh() {
+    // Heading and bobbing; the hull child also pitches and rolls
+    this.group = new THREE.Group();
+    this.hull = new THREE.Group();
+    this.hull.position.y = FREEBOARD;
+    this.group.add(this.hull);
+
+    const woodMaterial = new THREE.MeshStandardMaterial({
+      color: 0x8b5a2b,
+      roughness: 0.8,
+      side: THREE.DoubleSide,
+    });
+    const trimMaterial = new THREE.MeshStandardMaterial({
+      color: 0x5c3a1e,
+      roughness: 0.7,
+    });
+
+    const shellGeometry = new THREE.CylinderGeometry(
+      BOAT_WIDTH / 2,
+      BOAT_WIDTH / 2,
+      BOAT_LENGTH,
+      16,
+      8,
+      true,
+      -Math.PI / 2,
+      Math.PI,
+    );
+    // Lay the half cylinder along the boat, open side up
+    shellGeometry.rotateX(Math.PI / 2);
+    const positions = shellGeometry.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+      const z = positions.getZ(i);
+      const t = Math.abs(z) / (BOAT_LENGTH / 2);
+      // Pointed bow, slightly narrower stern
+      const taper = z < 0 ? 1 - t * t * 0.95 : 1 - t * t * 0.3;
+      const depth = (HULL_DEPTH / (BOAT_WIDTH / 2)) * (z < 0 ? taper : 1);
+      positions.setX(i, positions.getX(i) * taper);
+      positions.setY(i, positions.getY(i) * depth);
+    }
+    shellGeometry.computeVertexNormals();
+    this.hull.add(new THREE.Mesh(shellGeometry, woodMaterial));
+
+    const transomGeometry = new THREE.CircleGeometry(
+      BOAT_WIDTH / 2,
+      16,
+      Math.PI,
+      Math.PI,
+    );
+    const transom = new THREE.Mesh(transomGeometry, woodMaterial);
+    transom.scale.set(0.7, HULL_DEPTH / (BOAT_WIDTH / 2), 1);
+    transom.position.z = BOAT_LENGTH / 2;
+    this.hull.add(transom);
+
+    [SEAT_Z - 0.2, BOAT_LENGTH / 2 - 0.3].forEach((z) => {
+      const thwart = new THREE.Mesh(
+        new THREE.BoxGeometry(BOAT_WIDTH * 0.85, 0.04, 0.25),
+        trimMaterial,
+      );
+      thwart.position.set(0, -0.12, z);
+      this.hull.add(thwart);
+    });
+
+    this.oars = Object.fromEntries(
+      Object.entries(OAR_SIDES).map(([side, sign]) => [
+        side,
+        this.createOar(sign, trimMaterial),
+      ]),
+    );
+
+    this.hull.traverse((child) => {
+      if (child.isMesh) child.castShadow = true;
+    });
+
+    this.seat = new THREE.Object3D();
+    this.seat.position.set(0, FREEBOARD - HULL_DEPTH + 0.05, SEAT_Z);
+    this.group.add(this.seat);
+
+    this.scene.add(this.group);
+  }
+
+  /**
+   * @param {number} sign - -1 for the left oar, 1 for the right one
+   * @param {THREE.Material} material - Wood of the oar
+   * @returns {THREE.Group} Pivot on the oarlock, the oar pointing outwards
+   */
+  createOar(sign, material) {
+    const pivot = new THREE.Group();
+    pivot.position.set((sign * BOAT_WIDTH) / 2, 0.02, SEAT_Z - 0.2);
+
+    const shaft = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.02, 0.02, OAR_LENGTH, 8),
+      material,
+    );
+    shaft.rotation.z = Math.PI / 2;
+    // Mostly outboard, with the handle inside the boat
+    shaft.position.x = sign * (OAR_LENGTH / 2 - 0.4);
+    pivot.add(shaft);
+
+    const blade = new THREE.Mesh(
+      new THREE.BoxGeometry(0.4, 0.01, 0.14),
+      material,
+    );
+    blade.position.x = sign * (OAR_LENGTH - 0.6);
+    pivot.add(blade);
+
+    this.hull.add(pivot);
+    return pivot;
+  }
+
+  /**
+   * @param {number} x - World x coordinate
+   * @param {number} z - World z coordinate
+   * @returns {number} Horizontal distance to the centre of the boat
+   */
+  getDistanceTo(x, z) {
+    return Math.hypot(x - this.position.x, z - this.position.z);
+  }
+
+  /**
+   * @param {number} x - World x coordinate of the player
+   * @param {number} z - World z coordinate of the player
+   * @returns {boolean} Whether the player is close enough to climb aboard
+   */
+  canBoard(x, z) {
+    return !this.isBoarded && this.getDistanceTo(x, z) <= BOARD_DISTANCE;
+  }
+
+  /**
+   * @returns {boolean} Whether the boat lies against the shore, so the
+   *   player can step out onto the land
+   */
+  isAtShore() {
+    return (
+      Math.hypot(this.position.x, this.position.z) >= MAX_RADIUS - SHORE_MARGIN
+    );
+  }
+
+  /**
+   * @returns {THREE.Vector3} Point of the shore closest to the boat, on
+   *   the ground
+   */
+  getShorePosition() {
+    const radius = Math.hypot(this.position.x, this.position.z) || 1;
+    const scale = (LAKE_RADIUS + DISEMBARK_DISTANCE) / radius;
+    return new THREE.Vector3(
+      this.position.x * scale,
+      GROUND_LEVEL,
+      this.position.z * scale,
+    );
+  }
+
+  board() {
+    this.isBoarded = true;
+  }
+
+  disembark() {
+    this.isBoarded = false;
+    this.setRowing(0, 0);
+    this.paddleEfforts = { left: 0, right: 0 };
+    this.paddlePositions.clear();
+  }
+
+  /**
+   * Rows with the oars of the boat in stroke cycles, e.g. from keys or a
+   * stick. Pulling both oars moves forward; pulling one turns away from it.
+   * @param {number} left - Effort of the left oar from -1 (backwards) to 1
+   * @param {number} right - Effort of the right oar from -1 to 1
+   */
+  setRowing(left, right) {
+    this.rowEfforts = {
+      left: THREE.MathUtils.clamp(left, -1, 1),
+      right: THREE.MathUtils.clamp(right, -1, 1),
+    };
+  }
+
+  /**
+   * Turns the motion of the VR controllers into paddle strokes: a
+   * controller dipped low beside the hull pushes the boat the opposite way
+   * to its sweep, on its own side.
+   * @param {THREE.Object3D[]} paddles - Controllers free to paddle
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  updatePaddles(paddles, delta) {
+    const efforts = { left: 0, right: 0 };
+    this.group.updateMatrixWorld();
+    _inverse.copy(this.group.matrixWorld).invert();
+
+    paddles.forEach((paddle) => {
+      const local = paddle.getWorldPosition(_paddle).applyMatrix4(_inverse);
+      const last = this.paddlePositions.get(paddle);
+      this.paddlePositions.set(paddle, local.clone());
+      if (!last || delta <= 0) return;
+
+      const isInWater =
+        local.y < PADDLE_HEIGHT && Math.abs(local.x) > BOAT_WIDTH / 2;
+      if (!isInWater) return;
+
+      // Sweeping towards the stern (+z) pulls the boat forward
+      const side = local.x < 0 ? 'left' : 'right';
+      const effort = THREE.MathUtils.clamp(
+        (local.z - last.z) / delta / PADDLE_FULL_SPEED,
+        -1,
+        1,
+      );
+      if (Math.abs(effort) > Math.abs(efforts[side])) efforts[side] = effort;
+    });
+
+    [...this.paddlePositions.keys()]
+      .filter((paddle) => !paddles.includes(paddle))
+      .forEach((paddle) => this.paddlePositions.delete(paddle));
+    this.paddleEfforts = efforts;
+  }
+
+  /**
+   * Advances the stroke cycle of an oar rowed with keys or a stick.
+   * @param {string} side - left or right
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   * @returns {number} Effort the oar pushes the boat with this frame
+   */
+  updateOar(side, delta) {
+    const paddle = this.paddleEfforts[side];
+    if (paddle !== 0) return paddle;
+
+    const effort = this.rowEfforts[side];
+    if (effort === 0) return 0;
+
+    // Backwards rowing runs the cycle in reverse; only the half with the
+    // blade in the water pushes, hence the pulses
+    this.strokePhases[side] =
+      (this.strokePhases[side] + effort * STROKE_RATE * Math.PI * 2 * delta) %
+      (Math.PI * 2);
+    const phase = this.strokePhases[side];
+    const sign = OAR_SIDES[side];
+    this.oars[side].rotation.y = sign * OAR_SWEEP * Math.cos(phase);
+    this.oars[side].rotation.z = -sign * OAR_DIP * Math.sin(phase);
+
+    return effort * Math.max(0, Math.sin(phase)) * 2;
+  }
+
+  /**
+   * Pushes the boat back inside the lake, keeping the speed along the
+   * shore and a little bounce off it.
+   */
+  keepInLake() {
+    const radius = Math.hypot(this.position.x, this.position.z);
+    if (radius <= MAX_RADIUS) return;
+
+    _normal.set(this.position.x / radius, 0, this.position.z / radius);
+    this.position.x = _normal.x * MAX_RADIUS;
+    this.position.z = _normal.z * MAX_RADIUS;
+    const outwards = this.velocity.dot(_normal);
+    if (outwards > 0) {
+      this.velocity.addScaledVector(_normal, -outwards * (1 + SHORE_BOUNCE));
+    }
+  }
+
+  /**
+   * @param {number} x - Offset to the right of the boat centre (m)
+   * @param {number} z - Offset towards the stern (m)
+   * @returns {number} Water height under that point of the hull
+   */
+  getWaterHeightAt(x, z) {
+    const cos = Math.cos(this.heading);
+    const sin = Math.sin(this.heading);
+    return this.environment.getWaterHeight(
+      this.position.x + x * cos + z * sin,
+      this.position.z - x * sin + z * cos,
+    );
+  }
+
+  /**
+   * Floats the boat on the waves and tilts the hull with their slope and
+   * the surge of the strokes.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   * @param {number} surge - Forward acceleration in m/s²
+   */
+  updateFloating(delta, surge) {
+    const bow = this.getWaterHeightAt(0, -BOAT_LENGTH / 2);
+    const stern = this.getWaterHeightAt(0, BOAT_LENGTH / 2);
+    const left = this.getWaterHeightAt(-BOAT_WIDTH / 2, 0);
+    const right = this.getWaterHeightAt(BOAT_WIDTH / 2, 0);
+    this.position.y = (bow + stern + left + right) / 4;
+
+    const pitch =
+      Math.atan2(bow - stern, BOAT_LENGTH) * WAVE_ROCK_GAIN +
+      surge * SURGE_PITCH;
+    const roll = Math.atan2(right - left, BOAT_WIDTH) * WAVE_ROCK_GAIN;
+    const follow = 1 - Math.exp(-ROCK_RESPONSE * delta);
+    this.pitch += (pitch - this.pitch) * follow;
+    this.roll += (roll - this.roll) * follow;
+  }
+
+  /**
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  update(delta) {
+    const left = this.updateOar('left', delta);
+    const right = this.updateOar('right', delta);
+
+    _forward.set(-Math.sin(this.heading), 0, -Math.cos(this.heading));
+    this.velocity.addScaledVector(
+      _forward,
+      (left + right) * ROW_ACCELERATION * delta,
+    );
+    this.angularVelocity += (right - left) * TURN_ACCELERATION * delta;
+
+    // The keel damps sideways slip much faster than gliding forward
+    const forwardSpeed =
+      this.velocity.dot(_forward) * Math.exp(-FORWARD_DRAG * delta);
+    _lateral
+      .copy(this.velocity)
+      .addScaledVector(_forward, -this.velocity.dot(_forward))
+      .multiplyScalar(Math.exp(-LATERAL_DRAG * delta));
+    this.velocity.copy(_lateral).addScaledVector(_forward, forwardSpeed);
+    this.angularVelocity *= Math.exp(-ANGULAR_DRAG * delta);
+
+    this.heading += this.angularVelocity * delta;
+    this.position.addScaledVector(this.velocity, delta);
+    this.keepInLake();
+
+    const surge = delta > 0 ? (forwardSpeed - this.forwardSpeed) / delta : 0;
+    this.forwardSpeed = forwardSpeed;
+    this.updateFloating(delta, surge);
+
+    this.group.position.copy(this.position);
+    this.group.rotation.y = this.heading;
+    this.hull.rotation.set(this.pitch, 0, this.roll);
+  }
+
+  dispose() {
+    this.scene.remove(this.group);
+    this.group.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+  }
+}
@@ -0,0 +1,165 @@
+import * as THREE from 'three';
+import { DAY_PHASES } from './celestials/CelestialManager.js';
+import { SPAWN_ZONES } from './FishPopulation.js';
+
+export const SPECIES_URL = './data/species.json';
+
+const CATALOG_VERSION = 1;
+const OFF_PHASE_ACTIVITY = 0.5;
+const DEFAULT_BAIT_PREFERENCE = 0.5;
+
+const DEFAULT_SPECIES = {
+  scale: 0.01,
+  tint: '#ffffff',
+  depth: { min: -1.2, max: -0.5 },
+  speed: { min: 0.25, max: 0.45 }, // m/s
+  length: { mean: 25, stdDev: 5, min: 10, max: 40 }, // cm
+  weight: { a: 0.012, b: 3 }, // W = a * L^b, grams from cm
+  population: 4, // carrying capacity of the lake
+  respawnTime: 30, // s
+  spawnZones: Object.values(SPAWN_ZONES),
+  rarity: 0.5,
+  activeTimes: Object.values(DAY_PHASES),
+  baitPreferences: {},
+  fight: { strength: 10, stamina: 20 }, // N of pull, s of full effort
+  points: 50,
+};
+
+/**
+ * SpeciesCatalog holds the fish species definitions loaded from data.
+ * Key technical features include:
+ * - Species described in JSON (model, tint, depth band, speed range, size
+ *   and weight distribution, population, spawn zones, rarity, activity,
+ *   bait preferences, fight and points), so new fish need no code changes
+ * - Per-fish length and weight rolled from the species distribution
+ * - Validation with defaults for missing optional fields
+ * - Activity lookup by day phase and bait preference lookup by tackle
+ */
+export class SpeciesCatalog {
+  /**
+   * @param {object[]} definitions - Raw species definitions
+   */
+  constructor(definitions = []) {
+    this.species = new Map();
+    definitions.forEach((definition) => this.register(definition));
+  }
+
+  /**
+   * Loads a catalog from a JSON file.
+   * @param {string} url - Location of the species file
+   * @returns {Promise<SpeciesCatalog>}
+   */
+  static async load(url = SPECIES_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not load species from ${url}: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data.version !== CATALOG_VERSION) {
+      throw new Error(`Unsupported species catalog version: ${data.version}`);
+    }
+    return new SpeciesCatalog(data.species);
+  }
+
+  /**
+   * Validates a species definition and adds it to the catalog.
+   * @param {object} definition - Raw species definition
+   * @returns {object} Normalised species
+   */
+  register(definition) {
+    const { id, name, model } = definition;
+    if (!id || !model) {
+      throw new Error(`Species ${id ?? '(no id)'} needs an id and a model`);
+    }
+    if (this.species.has(id)) {
+      throw new Error(`Duplicate species id: ${id}`);
+    }
+
+    const species = {
+      ...DEFAULT_SPECIES,
+      ...definition,
+      name: name ?? id,
+      depth: { ...DEFAULT_SPECIES.depth, ...definition.depth },
+      speed: { ...DEFAULT_SPECIES.speed, ...definition.speed },
+      length: { ...DEFAULT_SPECIES.length, ...definition.length },
+      weight: { ...DEFAULT_SPECIES.weight, ...definition.weight },
+      fight: { ...DEFAULT_SPECIES.fight, ...definition.fight },
+    };
+    species.color = new THREE.Color(species.tint).getHex();
+
+    if (species.depth.min > species.depth.max) {
+      throw new Error(`Species ${id} has an empty depth band`);
+    }
+    if (species.speed.min > species.speed.max) {
+      throw new Error(`Species ${id} has an empty speed range`);
+    }
+    const zones = Object.values(SPAWN_ZONES);
+    const unknownZone = species.spawnZones.find(
+      (zone) => !zones.includes(zone),
+    );
+    if (unknownZone || species.spawnZones.length === 0) {
+      throw new Error(`Species ${id} has invalid spawn zones`);
+    }
+
+    this.species.set(id, species);
+    return species;
+  }
+
+  get(id) {
+    return this.species.get(id);
+  }
+
+  getAll() {
+    return [...this.species.values()];
+  }
+
+  /**
+   * Rolls the size of a new fish: a normally distributed length, clamped to
+   * the species range, and the weight that goes with it.
+   * @param {object} species - Catalog species
+   * @returns {{length: number, weight: number}} Length in cm, weight in g
+   */
+  static rollSize(species) {
+    const { mean, stdDev, min, max } = species.length;
+
+    // Box-Muller transform for a standard normal sample
+    const normal =
+      Math.sqrt(-2 * Math.log(1 - Math.random())) *
+      Math.cos(2 * Math.PI * Math.random());
+    const length = THREE.MathUtils.clamp(mean + normal * stdDev, min, max);
+
+    return { length, weight: SpeciesCatalog.getWeight(species, length) };
+  }
+
+  /**
+   * Weight for a given length from the length-weight relation W = a * L^b.
+   * @param {object} species - Catalog species
+   * @param {number} length - Length in cm
+   * @returns {number} Weight in grams
+   */
+  static getWeight(species, length) {
+    return species.weight.a * Math.pow(length, species.weight.b);
+  }
+
+  /**
+   * How active a species is in a given day phase: fully active in its
+   * preferred phases, less curious about lures otherwise.
+   * @param {object} species - Catalog species
+   * @param {string} dayPhase - One of DAY_PHASES
+   * @returns {number} Activity factor between 0 and 1
+   */
+  static getActivity(species, dayPhase) {
+    return species.activeTimes.includes(dayPhase) ? 1 : OFF_PHASE_ACTIVITY;
+  }
+
+  /**
+   * How much a species likes a bait or lure.
+   * @param {object} species - Catalog species
+   * @param {string} tackleId - Bait or lure id
+   * @returns {number} Preference between 0 and 1
+   */
+  static getBaitPreference(species, tackleId) {
+    return species.baitPreferences[tackleId] ?? DEFAULT_BAIT_PREFERENCE;
+  }
+}
@@ -0,0 +1,377 @@
+import * as THREE from 'three';
+import { INPUT_ACTIONS } from './InputMapper.js';
+
+// Radius of the virtual joystick base and of its knob (px)
+const JOYSTICK_RADIUS = 60;
+const KNOB_RADIUS = 24;
+const BUTTON_SIZE = 64;
+const BUTTON_GAP = 8;
+const BUTTON_COLUMNS = 3;
+// Distance of the buttons from the bottom, clear of the VR button (px)
+const BUTTONS_BOTTOM = 80;
+const CAST_PAD_SIZE = 96;
+// Upward flick speed, in screen heights per second, that releases the
+// full charged power of a cast
+const FLICK_FULL_SPEED = 3;
+// Time span (ms) at the end of a flick over which its speed is measured
+const FLICK_WINDOW = 120;
+const IDLE_COLOR = 'rgba(0, 0, 0, 0.45)';
+const ACTIVE_COLOR = 'rgba(33, 150, 243, 0.75)';
+
+/**
+ * On-screen buttons, bottom right above the VR button. Toggle buttons stay
+ * pressed until tapped again; the others are held like a key.
+ */
+export const TOUCH_BUTTONS = [
+  { action: INPUT_ACTIONS.GRAB, label: '🎣 Caña', isToggle: true },
+  { action: INPUT_ACTIONS.SET_HOOK, label: '🪝 Clavar' },
+  { action: INPUT_ACTIONS.REEL, label: '🔄 Recoger' },
+  { action: INPUT_ACTIONS.PUMP, label: '💪 Bombear' },
+  { action: INPUT_ACTIONS.NEXT_TACKLE, label: '🧰 Cebo' },
+  { action: INPUT_ACTIONS.KEEP_FISH, label: '✅ Guardar' },
+  { action: INPUT_ACTIONS.RELEASE_FISH, label: '🐟 Soltar' },
+  { action: INPUT_ACTIONS.BOAT, label: '🚣 Barca' },
+];
+
+/**
+ * TouchControls plays the game on phones and tablets by feeding on-screen
+ * controls into the input mapper as virtual inputs.
+ * Key technical features include:
+ * - Virtual joystick at the bottom left that walks and turns like the
+ *   gamepad stick
+ * - Swipe anywhere on the view to look around
+ * - Hold-and-flick cast pad: holding charges the cast and the upward flick
+ *   speed on release sets the fraction of the charged power thrown
+ * - Tap-and-hold buttons for reeling, pumping and setting the hook, and a
+ *   toggle to hold the rod
+ * - Pointer Events with pointer capture, so several fingers work at once
+ */
+export class TouchControls {
+  /**
+   * @param {InputMapper} input - Receives the virtual inputs
+   * @param {HTMLElement} domElement - View swiped to look around
+   */
+  constructor(input, domElement) {
+    this.input = input;
+    this.domElement = domElement;
+    this.isVisible = true;
+    this.joystickPointerId = null;
+    this.lookPointer = null;
+    this.flickSamples = [];
+    this.buttons = new Map();
+
+    // Swipes must not scroll or zoom the page
+    this.domElement.style.touchAction = 'none';
+
+    this.root = document.createElement('div');
+    this.root.style.position = 'fixed';
+    this.root.style.inset = '0';
+    this.root.style.pointerEvents = 'none';
+    this.root.style.zIndex = '150';
+    this.root.style.userSelect = 'none';
+    this.root.style.webkitUserSelect = 'none';
+    this.root.style.webkitTouchCallout = 'none';
+    document.body.appendChild(this.root);
+
+    this.createJoystick();
+    this.createCastPad();
+    this.createButtons();
+    // The menu button stays visible over the mode screen to close it
+    this.menuButton = this.createButton(
+      { action: INPUT_ACTIONS.MODE_MENU, label: '☰ Menú' },
+      document.body,
+    );
+    this.menuButton.style.position = 'fixed';
+    this.menuButton.style.left = '20px';
+    this.menuButton.style.bottom = `${JOYSTICK_RADIUS * 2 + 40}px`;
+    this.menuButton.style.zIndex = '201';
+
+    this.onLookStart = this.onLookStart.bind(this);
+    this.onLookMove = this.onLookMove.bind(this);
+    this.onLookEnd = this.onLookEnd.bind(this);
+    this.domElement.addEventListener('pointerdown', this.onLookStart);
+    this.domElement.addEventListener('pointermove', this.onLookMove);
+    this.domElement.addEventListener('pointerup', this.onLookEnd);
+    this.domElement.addEventListener('pointercancel', this.onLookEnd);
+  }
+
+  /**
+   * @returns {boolean} Whether the main pointer of the device is a finger
+   */
+  static isSupported() {
+    return window.matchMedia?.('(pointer: coarse)').matches ?? false;
+  }
+
+  /**
+   * @param {{y: number, time: number}[]} samples - Pointer heights (px) and
+   *   times (ms) of the flick, oldest first
+   * @param {number} screenHeight - Height of the screen in pixels
+   * @returns {number} Fraction of the charged power to cast, from 0 with no
+   *   upward flick to 1 with a fast one
+   */
+  static getFlickStrength(samples, screenHeight) {
+    if (samples.length < 2 || screenHeight <= 0) return 0;
+
+    const last = samples[samples.length - 1];
+    const first =
+      samples.find(({ time }) => last.time - time <= FLICK_WINDOW) ?? last;
+    const duration = (last.time - first.time) / 1000;
+    if (duration <= 0) return 0;
+
+    const speed = (first.y - last.y) / screenHeight / duration;
+    return THREE.MathUtils.clamp(speed / FLICK_FULL_SPEED, 0, 1);
+  }
+
+  /**
+   * @param {HTMLElement} element - Control to style as a round translucent
+   *   disc
+   * @param {number} size - Diameter in pixels
+   */
+  static styleDisc(element, size) {
+    element.style.width = `${size}px`;
+    element.style.height = `${size}px`;
+    element.style.borderRadius = '50%';
+    element.style.backgroundColor = IDLE_COLOR;
+    element.style.border = '2px solid rgba(255, 255, 255, 0.5)';
+    element.style.boxSizing = 'border-box';
+    element.style.pointerEvents = 'auto';
+    element.style.touchAction = 'none';
+  }
+
+  createJoystick() {
+    this.joystick = document.createElement('div');
+    TouchControls.styleDisc(this.joystick, JOYSTICK_RADIUS * 2);
+    this.joystick.style.position = 'absolute';
+    this.joystick.style.left = '20px';
+    this.joystick.style.bottom = '20px';
+
+    this.knob = document.createElement('div');
+    TouchControls.styleDisc(this.knob, KNOB_RADIUS * 2);
+    this.knob.style.position = 'absolute';
+    this.knob.style.left = `${JOYSTICK_RADIUS - KNOB_RADIUS}px`;
+    this.knob.style.top = `${JOYSTICK_RADIUS - KNOB_RADIUS}px`;
+    this.knob.style.backgroundColor = 'rgba(255, 255, 255, 0.6)';
+    this.knob.style.pointerEvents = 'none';
+    this.joystick.appendChild(this.knob);
+    this.root.appendChild(this.joystick);
+
+    this.joystick.addEventListener('pointerdown', (event) => {
+      if (this.joystickPointerId !== null) return;
+      this.joystickPointerId = event.pointerId;
+      this.joystick.setPointerCapture(event.pointerId);
+      this.moveJoystick(event);
+    });
+    this.joystick.addEventListener('pointermove', (event) => {
+      if (event.pointerId === this.joystickPointerId) this.moveJoystick(event);
+    });
+    const end = (event) => {
+      if (event.pointerId === this.joystickPointerId) this.resetJoystick();
+    };
+    this.joystick.addEventListener('pointerup', end);
+    this.joystick.addEventListener('pointercancel', end);
+  }
+
+  /**
+   * Deflects the stick towards the finger, up to the edge of the base.
+   * @param {PointerEvent} event - Pointer over the joystick
+   */
+  moveJoystick(event) {
+    const bounds = this.joystick.getBoundingClientRect();
+    let x = event.clientX - bounds.left - JOYSTICK_RADIUS;
+    let y = event.clientY - bounds.top - JOYSTICK_RADIUS;
+    const length = Math.hypot(x, y);
+    if (length > JOYSTICK_RADIUS) {
+      x *= JOYSTICK_RADIUS / length;
+      y *= JOYSTICK_RADIUS / length;
+    }
+
+    this.knob.style.transform = `translate(${x}px, ${y}px)`;
+    this.input.setVirtualStick(x / JOYSTICK_RADIUS, y / JOYSTICK_RADIUS);
+  }
+
+  resetJoystick() {
+    this.joystickPointerId = null;
+    this.knob.style.transform = '';
+    this.input.setVirtualStick(0, 0);
+  }
+
+  createCastPad() {
+    this.castPad = document.createElement('div');
+    TouchControls.styleDisc(this.castPad, CAST_PAD_SIZE);
+    this.castPad.style.position = 'absolute';
+    this.castPad.style.right = '20px';
+    const rows = Math.ceil(TOUCH_BUTTONS.length / BUTTON_COLUMNS);
+    this.castPad.style.bottom = `${
+      BUTTONS_BOTTOM + rows * (BUTTON_SIZE + BUTTON_GAP) + BUTTON_GAP
+    }px`;
+    this.castPad.style.display = 'flex';
+    this.castPad.style.alignItems = 'center';
+    this.castPad.style.justifyContent = 'center';
+    this.castPad.style.textAlign = 'center';
+    this.castPad.style.color = '#fff';
+    this.castPad.style.font = 'bold 13px monospace';
+    this.castPad.textContent = '🎯 Lanzar\n↑';
+    this.castPad.style.whiteSpace = 'pre';
+    this.root.appendChild(this.castPad);
+
+    // Holding charges the cast; the flick on release throws it
+    this.castPad.addEventListener('pointerdown', (event) => {
+      this.castPad.setPointerCapture(event.pointerId);
+      this.flickSamples = [{ y: event.clientY, time: event.timeStamp }];
+      this.castPad.style.backgroundColor = ACTIVE_COLOR;
+      this.input.pressVirtual(INPUT_ACTIONS.CAST);
+    });
+    this.castPad.addEventListener('pointermove', (event) => {
+      if (this.flickSamples.length === 0) return;
+      this.flickSamples.push({ y: event.clientY, time: event.timeStamp });
+      const last = this.flickSamples[this.flickSamples.length - 1];
+      this.flickSamples = this.flickSamples.filter(
+        ({ time }) => last.time - time <= FLICK_WINDOW * 2,
+      );
+    });
+    this.castPad.addEventListener('pointerup', (event) => {
+      this.flickSamples.push({ y: event.clientY, time: event.timeStamp });
+      this.releaseCast(
+        TouchControls.getFlickStrength(this.flickSamples, window.innerHeight),
+      );
+    });
+    this.castPad.addEventListener('pointercancel', () => this.releaseCast(0));
+  }
+
+  /**
+   * @param {number} strength - Fraction of the charged power to cast
+   */
+  releaseCast(strength) {
+    this.flickSamples = [];
+    this.castPad.style.backgroundColor = IDLE_COLOR;
+    this.input.releaseVirtual(INPUT_ACTIONS.CAST, strength);
+  }
+
+  createButtons() {
+    const grid = document.createElement('div');
+    grid.style.position = 'absolute';
+    grid.style.right = '20px';
+    grid.style.bottom = `${BUTTONS_BOTTOM}px`;
+    grid.style.display = 'grid';
+    grid.style.gridTemplateColumns = `repeat(${BUTTON_COLUMNS}, ${BUTTON_SIZE}px)`;
+    grid.style.gap = `${BUTTON_GAP}px`;
+    // The last row fills from the right, next to the thumb
+    grid.style.direction = 'rtl';
+    this.root.appendChild(grid);
+
+    TOUCH_BUTTONS.forEach((config) => this.createButton(config, grid));
+  }
+
+  /**
+   * @param {object} config - action, label and isToggle
+   * @param {HTMLElement} parent - Element the button is added to
+   * @returns {HTMLElement} Button pressing the action
+   */
+  createButton({ action, label, isToggle = false }, parent) {
+    const button = document.createElement('div');
+    TouchControls.styleDisc(button, BUTTON_SIZE);
+    button.style.display = 'flex';
+    button.style.alignItems = 'center';
+    button.style.justifyContent = 'center';
+    button.style.textAlign = 'center';
+    button.style.direction = 'ltr';
+    button.style.color = '#fff';
+    button.style.font = 'bold 11px monospace';
+    button.textContent = label;
+    parent.appendChild(button);
+    this.buttons.set(action, button);
+
+    button.addEventListener('pointerdown', (event) => {
+      button.setPointerCapture(event.pointerId);
+      if (isToggle && this.input.pressedVirtual.has(action)) {
+        this.input.releaseVirtual(action);
+      } else {
+        this.input.pressVirtual(action);
+      }
+      this.updateButtons();
+    });
+    if (!isToggle) {
+      const release = () => {
+        this.input.releaseVirtual(action);
+        this.updateButtons();
+      };
+      button.addEventListener('pointerup', release);
+      button.addEventListener('pointercancel', release);
+    }
+    return button;
+  }
+
+  updateButtons() {
+    this.buttons.forEach((button, action) => {
+      button.style.backgroundColor = this.input.pressedVirtual.has(action)
+        ? ACTIVE_COLOR
+        : IDLE_COLOR;
+    });
+  }
+
+  onLookStart(event) {
+    if (event.pointerType !== 'touch' || this.lookPointer) return;
+    this.domElement.setPointerCapture(event.pointerId);
+    this.lookPointer = {
+      id: event.pointerId,
+      x: event.clientX,
+      y: event.clientY,
+    };
+  }
+
+  onLookMove(event) {
+    if (event.pointerId !== this.lookPointer?.id) return;
+    this.input.addLookDelta(
+      event.clientX - this.lookPointer.x,
+      event.clientY - this.lookPointer.y,
+    );
+    this.lookPointer.x = event.clientX;
+    this.lookPointer.y = event.clientY;
+  }
+
+  onLookEnd(event) {
+    if (event.pointerId === this.lookPointer?.id) this.lookPointer = null;
+  }
+
+  /**
+   * Hides the controls, e.g. while a menu is open or in VR, letting go of
+   * everything they hold. The rod toggle is kept.
+   * @param {boolean} isVisible - Whether the controls are shown
+   */
+  setVisible(isVisible) {
+    if (isVisible === this.isVisible) return;
+    this.isVisible = isVisible;
+    this.root.style.display = isVisible ? 'block' : 'none';
+    if (isVisible) return;
+
+    this.resetJoystick();
+    this.lookPointer = null;
+    if (this.flickSamples.length > 0) this.releaseCast(0);
+    TOUCH_BUTTONS.filter(({ isToggle }) => !isToggle).forEach(({ action }) =>
+      this.input.releaseVirtual(action),
+    );
+    this.updateButtons();
+  }
+
+  /**
+   * Lets go of the rod toggle when the rod left the hand some other way,
+   * e.g. reset to its stand.
+   * @param {boolean} isRodGrabbed - Whether the player holds the rod
+   */
+  update(isRodGrabbed) {
+    if (isRodGrabbed || !this.input.pressedVirtual.has(INPUT_ACTIONS.GRAB)) {
+      return;
+    }
+    this.input.releaseVirtual(INPUT_ACTIONS.GRAB);
+    this.updateButtons();
+  }
+
+  dispose() {
+    this.domElement.removeEventListener('pointerdown', this.onLookStart);
+    this.domElement.removeEventListener('pointermove', this.onLookMove);
+    this.domElement.removeEventListener('pointerup', this.onLookEnd);
+    this.domElement.removeEventListener('pointercancel', this.onLookEnd);
+    this.root.remove();
+    this.menuButton.remove();
+  }
+}
@@ -0,0 +1,116 @@
+import * as THREE from 'three';
+
+const PANEL_WIDTH = 0.14;
+const PANEL_HEIGHT = 0.105;
+const CANVAS_WIDTH = 512;
+const CANVAS_HEIGHT = 384;
+const PADDING = 16;
+const LINE_HEIGHT = 34;
+const GAUGE_HEIGHT = 18;
+// Line tension ratio from which the gauge turns red
+const TENSION_WARNING = 0.8;
+
+/**
+ * VRHud shows the game status on a panel worn on the wrist, since the DOM
+ * overlays are not visible inside an immersive WebXR session.
+ * Key technical features include:
+ * - Canvas texture plane attached to a VR controller, facing the player
+ * - Score and streak lines, a line tension gauge during fights and the
+ *   objectives of the round
+ * - The canvas is redrawn only when its content changes
+ */
+export class VRHud {
+  /**
+   * @param {THREE.Object3D} controller - Controller the panel is worn on
+   */
+  constructor(controller) {
+    this.controller = controller;
+    this.isEnabled = true;
+    this.contentKey = null;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = CANVAS_WIDTH;
+    this.canvas.height = CANVAS_HEIGHT;
+    this.texture = new THREE.CanvasTexture(this.canvas);
+
+    this.panel = new THREE.Mesh(
+      new THREE.PlaneGeometry(PANEL_WIDTH, PANEL_HEIGHT),
+      new THREE.MeshBasicMaterial({ map: this.texture, transparent: true }),
+    );
+    // Above the wrist, tilted towards the eyes
+    this.panel.position.set(0, 0.04, 0.08);
+    this.panel.rotation.x = -Math.PI / 3;
+    this.controller.add(this.panel);
+  }
+
+  /**
+   * @param {object} content - lines (score and streak), tension (line
+   *   tension ratio, null outside fights), tensionLabel (text above the
+   *   gauge) and objectives (lines of the round objective)
+   */
+  setContent(content) {
+    const key = JSON.stringify(content);
+    if (key === this.contentKey) return;
+    this.contentKey = key;
+    this.draw(content);
+  }
+
+  draw({ lines = [], tension = null, tensionLabel = '', objectives = [] }) {
+    const context = this.canvas.getContext('2d');
+    context.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    context.font = 'bold 26px monospace';
+    context.textBaseline = 'top';
+
+    let y = PADDING;
+    const write = (text, color = '#ffffff') => {
+      context.fillStyle = color;
+      context.fillText(text, PADDING, y);
+      y += LINE_HEIGHT;
+    };
+
+    lines.forEach((line) => write(line));
+
+    if (tension !== null) {
+      const isWarning = tension > TENSION_WARNING;
+      write(tensionLabel, isWarning ? '#ff6666' : '#ffffff');
+
+      const width = CANVAS_WIDTH - PADDING * 2;
+      context.fillStyle = 'rgba(255, 255, 255, 0.2)';
+      context.fillRect(PADDING, y, width, GAUGE_HEIGHT);
+      context.fillStyle = isWarning ? '#ff4444' : '#44dd44';
+      context.fillRect(
+        PADDING,
+        y,
+        width * THREE.MathUtils.clamp(tension, 0, 1),
+        GAUGE_HEIGHT,
+      );
+      y += GAUGE_HEIGHT + PADDING;
+    }
+
+    objectives.forEach((line, index) =>
+      write(line, index === 0 ? '#ffee00' : '#ffffff'),
+    );
+
+    this.texture.needsUpdate = true;
+  }
+
+  /**
+   * @param {boolean} isEnabled - Whether the panel is shown
+   */
+  setEnabled(isEnabled) {
+    this.isEnabled = isEnabled;
+  }
+
+  update() {
+    this.panel.visible = this.isEnabled && this.controller.visible;
+  }
+
+  dispose() {
+    this.controller.remove(this.panel);
+    this.panel.geometry.dispose();
+    this.panel.material.dispose();
+    this.texture.dispose();
+  }
+}
@@ -0,0 +1,526 @@
+import * as THREE from 'three';
+import { GROUND_LEVEL, LAKE_RADIUS, TERRAIN_RADIUS } from './Environment.js';
+
+// Thumbstick deflection ignored around the centre
+const STICK_DEADZONE = 0.2;
+// Deflection that triggers a snap turn, and the one it has to return
+// under before the next turn
+const SNAP_TURN_THRESHOLD = 0.7;
+const SNAP_TURN_RESET = 0.3;
+const SNAP_TURN_ANGLE = Math.PI / 6;
+const MOVE_SPEED = 2; // m/s at full deflection
+// Speeds of a carrying seat that count as moving for the vignette, in m/s
+// and rad/s
+const SEAT_MOVING_SPEED = 0.3;
+const SEAT_TURNING_SPEED = 0.2;
+
+// Teleport arc: launch speed (m/s) along the controller, gravity and
+// sampling of the parabola
+const ARC_SPEED = 8;
+const ARC_GRAVITY = 9.8;
+const ARC_SEGMENTS = 40;
+const ARC_TIME_STEP = 0.04;
+const ARC_VALID_COLOR = 0x44ff44;
+const ARC_INVALID_COLOR = 0xff4444;
+const MARKER_RADIUS = 0.3;
+
+// Comfort vignette: angles (rad) from the view direction where the view
+// starts to darken and turns black, and how fast it fades
+const VIGNETTE_INNER_ANGLE = 0.45;
+const VIGNETTE_OUTER_ANGLE = 0.9;
+const VIGNETTE_RADIUS = 0.3;
+const VIGNETTE_FADE_SPEED = 6;
+
+// Scratch objects reused every frame
+const _headPosition = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _step = new THREE.Vector3();
+const _arcPoint = new THREE.Vector3();
+const _arcVelocity = new THREE.Vector3();
+const _raycaster = new THREE.Raycaster();
+const _inverse = new THREE.Matrix4();
+const _offsetPosition = new THREE.Vector3();
+const _offsetQuaternion = new THREE.Quaternion();
+const _offsetScale = new THREE.Vector3();
+const _seatPosition = new THREE.Vector3();
+const _seatQuaternion = new THREE.Quaternion();
+const _seatRotation = new THREE.Euler();
+
+const vignetteShader = {
+  vertexShader: `
+    varying vec3 vDirection;
+
+    void main() {
+      vDirection = normalize(position);
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: `
+    uniform float intensity;
+    uniform float innerAngle;
+    uniform float outerAngle;
+    varying vec3 vDirection;
+
+    void main() {
+      float angle = acos(clamp(-vDirection.z, -1.0, 1.0));
+      float alpha = smoothstep(innerAngle, outerAngle, angle) * intensity;
+      gl_FragColor = vec4(0.0, 0.0, 0.0, alpha);
+    }
+  `,
+};
+
+/**
+ * VRLocomotion moves the player around the lake during an immersive
+ * session by offsetting the XR reference space, so the camera, the
+ * controllers and the hands all follow without being reparented.
+ * Key technical features include:
+ * - Head-relative smooth movement with the thumbstick of the moving
+ *   controller, kept on land but free to leave the lake
+ * - Snap turning around the head with the other thumbstick
+ * - Parabolic teleport arc aimed while the trigger is held, landing only on
+ *   the terrain and the shoreline; the water stops the arc
+ * - Optional comfort vignette that darkens the periphery while moving
+ * - Riding a moving seat, e.g. the rowboat: the rig follows its position
+ *   and heading with walking and teleporting off; the seat tilt is left
+ *   out, since a rocking horizon makes players sick
+ */
+export class VRLocomotion {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - XR enabled renderer
+   * @param {THREE.Camera} camera - Camera of the player
+   * @param {THREE.Scene} scene - Scene the arc is drawn in
+   * @param {object} options - moveController (moves and teleports),
+   *   turnController (snap turns), walkables (meshes teleports land on)
+   *   and obstacles (meshes that stop the arc)
+   */
+  constructor(
+    renderer,
+    camera,
+    scene,
+    { moveController, turnController, walkables, obstacles = [] },
+  ) {
+    this.renderer = renderer;
+    this.camera = camera;
+    this.scene = scene;
+    this.moveController = moveController;
+    this.turnController = turnController;
+    this.walkables = walkables;
+    this.obstacles = obstacles;
+
+    // Player rig whose transform offsets the reference space
+    this.rig = new THREE.Object3D();
+    this.baseReferenceSpace = null;
+    this.isAiming = false;
+    this.teleportTarget = null;
+    this.wasTurning = false;
+    this.isVignetteEnabled = true;
+    this.vignetteIntensity = 0;
+    this.seat = null;
+    this.isSeatPlaced = false;
+    this.seatPosition = new THREE.Vector3();
+    this.seatYaw = 0;
+
+    this.arc = this.createArc();
+    this.marker = this.createMarker();
+    this.vignette = this.createVignette();
+    this.scene.add(this.arc, this.marker);
+    // Children of the camera are only drawn with the camera in the scene
+    if (!this.camera.parent) this.scene.add(this.camera);
+    this.camera.add(this.vignette);
+
+    this.renderer.xr.addEventListener('sessionstart', () => {
+      this.baseReferenceSpace = this.renderer.xr.getReferenceSpace();
+    });
+    this.renderer.xr.addEventListener('sessionend', () => {
+      this.baseReferenceSpace = null;
+      this.rig.position.set(0, 0, 0);
+      this.rig.rotation.set(0, 0, 0);
+      this.isSeatPlaced = false;
+      this.cancelTeleport();
+      this.vignette.visible = false;
+    });
+
+    // Tracked hands have no thumbsticks and pinch to grab instead
+    const isHand = () =>
+      Boolean(this.moveController.userData.inputSource?.hand);
+    this.moveController.addEventListener('selectstart', () => {
+      if (!isHand() && !this.seat) this.isAiming = true;
+    });
+    this.moveController.addEventListener('selectend', () => {
+      if (this.isAiming) this.teleport();
+    });
+    this.moveController.addEventListener('disconnected', () =>
+      this.cancelTeleport(),
+    );
+  }
+
+  createArc() {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      'position',
+      new THREE.BufferAttribute(new Float32Array((ARC_SEGMENTS + 1) * 3), 3),
+    );
+    const arc = new THREE.Line(
+      geometry,
+      new THREE.LineBasicMaterial({ color: ARC_VALID_COLOR }),
+    );
+    arc.frustumCulled = false;
+    arc.visible = false;
+    return arc;
+  }
+
+  createMarker() {
+    const geometry = new THREE.RingGeometry(
+      MARKER_RADIUS * 0.8,
+      MARKER_RADIUS,
+      32,
+    );
+    geometry.rotateX(-Math.PI / 2);
+    const marker = new THREE.Mesh(
+      geometry,
+      new THREE.MeshBasicMaterial({
+        color: ARC_VALID_COLOR,
+        transparent: true,
+        opacity: 0.8,
+      }),
+    );
+    marker.visible = false;
+    return marker;
+  }
+
+  createVignette() {
+    const vignette = new THREE.Mesh(
+      new THREE.SphereGeometry(VIGNETTE_RADIUS, 32, 16),
+      new THREE.ShaderMaterial({
+        vertexShader: vignetteShader.vertexShader,
+        fragmentShader: vignetteShader.fragmentShader,
+        uniforms: {
+          intensity: { value: 0 },
+          innerAngle: { value: VIGNETTE_INNER_ANGLE },
+          outerAngle: { value: VIGNETTE_OUTER_ANGLE },
+        },
+        side: THREE.BackSide,
+        transparent: true,
+        depthTest: false,
+        depthWrite: false,
+      }),
+    );
+    // Drawn over everything else
+    vignette.renderOrder = 999;
+    vignette.frustumCulled = false;
+    vignette.visible = false;
+    return vignette;
+  }
+
+  /**
+   * @param {boolean} isEnabled - Whether moving darkens the periphery
+   */
+  setVignetteEnabled(isEnabled) {
+    this.isVignetteEnabled = isEnabled;
+  }
+
+  /**
+   * Lake shore and terrain ring where the player may stand.
+   * @param {number} x - World x coordinate
+   * @param {number} z - World z coordinate
+   * @returns {number} Horizontal distance to the walkable area, 0 inside
+   */
+  static getDistanceToLand(x, z) {
+    const radius = Math.hypot(x, z);
+    return Math.max(LAKE_RADIUS - radius, radius - TERRAIN_RADIUS, 0);
+  }
+
+  /**
+   * @returns {THREE.Vector3} World position of the head
+   */
+  getHeadPosition() {
+    return this.camera.getWorldPosition(_headPosition);
+  }
+
+  /**
+   * Moves the rig unless that takes the head from land onto the water or
+   * past the terrain; from the starting spot on the lake it only lets the
+   * player head towards the shore. Each axis is tried on its own when the
+   * full step is blocked, so the player slides along the shore.
+   * @param {THREE.Vector3} step - World space displacement
+   */
+  move(step) {
+    const head = this.getHeadPosition();
+    const canStep = (dx, dz) => {
+      const distance = VRLocomotion.getDistanceToLand(head.x + dx, head.z + dz);
+      return (
+        distance === 0 ||
+        distance < VRLocomotion.getDistanceToLand(head.x, head.z)
+      );
+    };
+
+    if (canStep(step.x, step.z)) {
+      this.rig.position.x += step.x;
+      this.rig.position.z += step.z;
+    } else if (canStep(step.x, 0)) {
+      this.rig.position.x += step.x;
+    } else if (canStep(0, step.z)) {
+      this.rig.position.z += step.z;
+    }
+  }
+
+  /**
+   * Turns the rig around the head, so the player does not swing around
+   * the play area origin.
+   * @param {number} angle - Turn angle in radians, positive to the left
+   */
+  turn(angle) {
+    const head = this.getHeadPosition();
+    head.y = this.rig.position.y;
+    this.rig.position
+      .sub(head)
+      .applyAxisAngle(THREE.Object3D.DEFAULT_UP, angle)
+      .add(head);
+    this.rig.rotation.y += angle;
+    // The vignette flashes and fades out after the turn
+    this.vignetteIntensity = 1;
+  }
+
+  /**
+   * Moves the player so the head ends up above the aimed target, with the
+   * floor at the height of the ground there.
+   */
+  teleport() {
+    const target = this.teleportTarget;
+    this.cancelTeleport();
+    if (!target) return;
+
+    const head = this.getHeadPosition();
+    this.rig.position.x += target.x - head.x;
+    this.rig.position.z += target.z - head.z;
+    this.rig.position.y = target.y - GROUND_LEVEL;
+  }
+
+  /**
+   * Takes the player back to where the session started, next to the rod
+   * stand.
+   */
+  returnToStart() {
+    this.rig.position.set(0, 0, 0);
+    this.rig.rotation.set(0, 0, 0);
+    this.applyReferenceSpace();
+  }
+
+  /**
+   * Carries the player on a moving seat; the head is placed above it on
+   * the next update.
+   * @param {THREE.Object3D} seat - Floor of the seat
+   */
+  mount(seat) {
+    this.seat = seat;
+    this.isSeatPlaced = false;
+    this.cancelTeleport();
+  }
+
+  /**
+   * Gets off the seat onto the ground, the head above a position.
+   * @param {THREE.Vector3} position - Point on the ground to stand on
+   */
+  dismount(position) {
+    this.seat = null;
+    // Outside a session the rig stays at the start
+    if (!this.baseReferenceSpace) return;
+
+    const head = this.getHeadPosition();
+    this.rig.position.x += position.x - head.x;
+    this.rig.position.z += position.z - head.z;
+    this.rig.position.y = position.y - GROUND_LEVEL;
+    this.applyReferenceSpace();
+  }
+
+  /**
+   * Moves and turns the rig along with the seat since the previous frame.
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   * @returns {boolean} Whether the seat moves fast enough for the vignette
+   */
+  followSeat(delta) {
+    const position = this.seat.getWorldPosition(_seatPosition);
+    const yaw = _seatRotation.setFromQuaternion(
+      this.seat.getWorldQuaternion(_seatQuaternion),
+      'YXZ',
+    ).y;
+
+    let isMoving = false;
+    if (!this.isSeatPlaced) {
+      const head = this.getHeadPosition();
+      this.rig.position.x += position.x - head.x;
+      this.rig.position.z += position.z - head.z;
+      this.isSeatPlaced = true;
+    } else {
+      const turn = yaw - this.seatYaw;
+      const distance = Math.hypot(
+        position.x - this.seatPosition.x,
+        position.z - this.seatPosition.z,
+      );
+      this.rig.position
+        .sub(this.seatPosition)
+        .applyAxisAngle(THREE.Object3D.DEFAULT_UP, turn)
+        .add(position);
+      this.rig.rotation.y += turn;
+      isMoving =
+        delta > 0 &&
+        (distance / delta > SEAT_MOVING_SPEED ||
+          Math.abs(turn) / delta > SEAT_TURNING_SPEED);
+    }
+    // Same floor offset as the teleport onto the ground
+    this.rig.position.y = position.y - GROUND_LEVEL;
+    this.seatPosition.copy(position);
+    this.seatYaw = yaw;
+    return isMoving;
+  }
+
+  cancelTeleport() {
+    this.isAiming = false;
+    this.teleportTarget = null;
+    this.arc.visible = false;
+    this.marker.visible = false;
+  }
+
+  /**
+   * Traces the teleport parabola from the moving controller and finds
+   * where it lands.
+   */
+  updateArc() {
+    const controller = this.moveController;
+    controller.getWorldPosition(_arcPoint);
+    controller.getWorldDirection(_arcVelocity).negate();
+    _arcVelocity.multiplyScalar(ARC_SPEED);
+
+    const positions = this.arc.geometry.attributes.position;
+    const targets = [...this.walkables, ...this.obstacles];
+    positions.setXYZ(0, _arcPoint.x, _arcPoint.y, _arcPoint.z);
+
+    let hit = null;
+    let count = 1;
+    for (; count <= ARC_SEGMENTS && !hit; count++) {
+      const start = _arcPoint.clone();
+      _arcVelocity.y -= ARC_GRAVITY * ARC_TIME_STEP;
+      _arcPoint.addScaledVector(_arcVelocity, ARC_TIME_STEP);
+
+      const segment = _arcPoint.clone().sub(start);
+      _raycaster.set(start, segment.clone().normalize());
+      _raycaster.far = segment.length();
+      [hit = null] = _raycaster.intersectObjects(targets, false);
+
+      const point = hit?.point ?? _arcPoint;
+      positions.setXYZ(count, point.x, point.y, point.z);
+    }
+    positions.needsUpdate = true;
+    this.arc.geometry.setDrawRange(0, count);
+
+    const isValid =
+      hit !== null &&
+      this.walkables.includes(hit.object) &&
+      VRLocomotion.getDistanceToLand(hit.point.x, hit.point.z) === 0;
+    this.teleportTarget = isValid ? hit.point.clone() : null;
+
+    const color = isValid ? ARC_VALID_COLOR : ARC_INVALID_COLOR;
+    this.arc.material.color.setHex(color);
+    this.arc.visible = true;
+    this.marker.visible = isValid;
+    if (isValid) this.marker.position.copy(hit.point);
+  }
+
+  /**
+   * Sets the XR reference space to the inverse of the rig transform, so
+   * the world appears moved and turned around the player.
+   */
+  applyReferenceSpace() {
+    if (!this.baseReferenceSpace) return;
+
+    this.rig.updateMatrix();
+    _inverse
+      .copy(this.rig.matrix)
+      .invert()
+      .decompose(_offsetPosition, _offsetQuaternion, _offsetScale);
+    const transform = new XRRigidTransform(_offsetPosition, _offsetQuaternion);
+    this.renderer.xr.setReferenceSpace(
+      this.baseReferenceSpace.getOffsetReferenceSpace(transform),
+    );
+  }
+
+  /**
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   */
+  update(delta) {
+    const position = this.rig.position.clone();
+    const rotation = this.rig.rotation.y;
+
+    // Carried by the seat, or smooth movement relative to where the player
+    // is looking
+    const moveAxes = this.moveController.userData.inputSource?.gamepad?.axes;
+    const moveX = moveAxes?.[2] ?? 0;
+    const moveY = moveAxes?.[3] ?? 0;
+    let isMoving = false;
+    if (this.seat) {
+      isMoving = this.followSeat(delta);
+    } else if (Math.hypot(moveX, moveY) > STICK_DEADZONE) {
+      isMoving = true;
+      this.camera.getWorldDirection(_forward).setY(0).normalize();
+      _right.crossVectors(_forward, THREE.Object3D.DEFAULT_UP);
+      _step
+        .set(0, 0, 0)
+        .addScaledVector(_forward, -moveY)
+        .addScaledVector(_right, moveX)
+        .multiplyScalar(MOVE_SPEED * delta);
+      this.move(_step);
+    }
+
+    // Snap turns fire once per push of the stick; pushes closer to up or
+    // down are left to the game (the reel drag)
+    const turnAxes = this.turnController.userData.inputSource?.gamepad?.axes;
+    const turnX = turnAxes?.[2] ?? 0;
+    const isSideways = Math.abs(turnX) > Math.abs(turnAxes?.[3] ?? 0);
+    if (
+      !this.wasTurning &&
+      isSideways &&
+      Math.abs(turnX) > SNAP_TURN_THRESHOLD
+    ) {
+      this.turn(turnX > 0 ? -SNAP_TURN_ANGLE : SNAP_TURN_ANGLE);
+      this.wasTurning = true;
+    } else if (Math.abs(turnX) < SNAP_TURN_RESET) {
+      this.wasTurning = false;
+    }
+
+    if (this.isAiming) this.updateArc();
+
+    if (
+      !this.rig.position.equals(position) ||
+      this.rig.rotation.y !== rotation
+    ) {
+      this.applyReferenceSpace();
+    }
+
+    this.updateVignette(delta, isMoving);
+  }
+
+  /**
+   * @param {number} delta - Elapsed time since the previous frame in seconds
+   * @param {boolean} isMoving - Whether the player is moving smoothly
+   */
+  updateVignette(delta, isMoving) {
+    const target = isMoving ? 1 : 0;
+    this.vignetteIntensity +=
+      (target - this.vignetteIntensity) *
+      Math.min(1, delta * VIGNETTE_FADE_SPEED);
+    this.vignette.material.uniforms.intensity.value = this.vignetteIntensity;
+    this.vignette.visible =
+      this.isVignetteEnabled && this.vignetteIntensity > 0.01;
+  }
+
+  dispose() {
+    this.cancelTeleport();
+    this.scene.remove(this.arc, this.marker);
+    this.camera.remove(this.vignette);
+    [this.arc, this.marker, this.vignette].forEach((object) => {
+      object.geometry.dispose();
+      object.material.dispose();
+    });
+  }
+}
@@ -0,0 +1,247 @@
+import * as THREE from 'three';
+
+const BUTTON_WIDTH = 0.12;
+const BUTTON_HEIGHT = 0.03;
+const BUTTON_GAP = 0.006;
+const POKE_RADIUS = 0.03;
+const LABEL_WIDTH = 320;
+const LABEL_HEIGHT = 80;
+
+// Scratch objects reused every frame
+const _buttonPosition = new THREE.Vector3();
+const _raycaster = new THREE.Raycaster();
+
+/**
+ * WristMenu shows a list of options on a VR controller.
+ * Key technical features include:
+ * - Panel floating above the controller, opened and closed on demand
+ * - Sections with a title and their items, drawn on canvas textures
+ * - Selection by pointing at a button with the ray of the other controller
+ *   and pulling its trigger, or by poking the button with the other hand
+ */
+export class WristMenu {
+  /**
+   * @param {THREE.Object3D} controller - Controller the panel is worn on
+   * @param {object} options - sections ({title, items} list, items being
+   *   {id, label} lists) and onSelect (called with the id of the chosen
+   *   item)
+   */
+  constructor(controller, { sections, onSelect }) {
+    this.controller = controller;
+    this.sections = sections;
+    this.onSelect = onSelect;
+    this.buttons = [];
+    this.selectedId = null;
+    this.hoveredId = null;
+    this.pokedId = null;
+    this.isOpen = false;
+    this.panel = this.createPanel();
+    this.panel.visible = false;
+    this.controller.add(this.panel);
+  }
+
+  createPanel() {
+    const panel = new THREE.Group();
+    // Above the hand, tilted towards the eyes
+    panel.position.set(0, 0.25, -0.02);
+    panel.rotation.x = -Math.PI / 8;
+
+    const rows = this.sections.reduce(
+      (total, section) => total + section.items.length + 1,
+      0,
+    );
+    const height = rows * (BUTTON_HEIGHT + BUTTON_GAP) + BUTTON_GAP;
+    const background = new THREE.Mesh(
+      new THREE.PlaneGeometry(BUTTON_WIDTH + BUTTON_GAP * 2, height),
+      new THREE.MeshBasicMaterial({
+        color: 0x000000,
+        transparent: true,
+        opacity: 0.6,
+      }),
+    );
+    panel.add(background);
+
+    const rowY = (row) =>
+      height / 2 -
+      BUTTON_GAP -
+      BUTTON_HEIGHT / 2 -
+      row * (BUTTON_HEIGHT + BUTTON_GAP);
+
+    let row = 0;
+    this.sections.forEach(({ title, items }) => {
+      const titleMesh = this.createLabelMesh(title, { isTitle: true });
+      titleMesh.position.set(0, rowY(row++), 0.001);
+      panel.add(titleMesh);
+
+      items.forEach((item) => {
+        const mesh = this.createLabelMesh(item.label);
+        mesh.position.set(0, rowY(row++), 0.001);
+        panel.add(mesh);
+        this.buttons.push({ id: item.id, label: item.label, mesh });
+      });
+    });
+
+    return panel;
+  }
+
+  /**
+   * Creates a plane with a text label.
+   * @param {string} text - Label text
+   * @param {object} style - Label style (see drawLabel)
+   * @returns {THREE.Mesh}
+   */
+  createLabelMesh(text, style = {}) {
+    const mesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(BUTTON_WIDTH, BUTTON_HEIGHT),
+      new THREE.MeshBasicMaterial({ transparent: true }),
+    );
+    this.drawLabel(mesh, text, style);
+    return mesh;
+  }
+
+  /**
+   * @param {THREE.Mesh} mesh - Label plane
+   * @param {string} text - Label text
+   * @param {object} style - isSelected and isHovered highlight the button;
+   *   isTitle draws a section title without button background
+   */
+  drawLabel(
+    mesh,
+    text,
+    { isSelected = false, isHovered = false, isTitle = false } = {},
+  ) {
+    const canvas = document.createElement('canvas');
+    canvas.width = LABEL_WIDTH;
+    canvas.height = LABEL_HEIGHT;
+    const context = canvas.getContext('2d');
+
+    if (!isTitle) {
+      if (isSelected) {
+        context.fillStyle = isHovered ? '#64B5F6' : '#2196F3';
+      } else {
+        context.fillStyle = isHovered
+          ? 'rgba(255, 255, 255, 0.4)'
+          : 'rgba(255, 255, 255, 0.15)';
+      }
+      context.fillRect(0, 0, LABEL_WIDTH, LABEL_HEIGHT);
+    }
+    context.fillStyle = isTitle ? '#ffee00' : '#ffffff';
+    context.font = `bold ${isTitle ? 34 : 30}px monospace`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, LABEL_WIDTH / 2, LABEL_HEIGHT / 2);
+
+    mesh.material.map?.dispose();
+    mesh.material.map = new THREE.CanvasTexture(canvas);
+    mesh.material.needsUpdate = true;
+  }
+
+  redrawButton(button) {
+    this.drawLabel(button.mesh, button.label, {
+      isSelected: button.id === this.selectedId,
+      isHovered: button.id === this.hoveredId,
+    });
+  }
+
+  /**
+   * Changes the label of an item.
+   * @param {string} id - Item id
+   * @param {string} label - New label
+   */
+  setLabel(id, label) {
+    const button = this.buttons.find((item) => item.id === id);
+    if (!button || button.label === label) return;
+    button.label = label;
+    this.redrawButton(button);
+  }
+
+  /**
+   * Highlights the selected item.
+   * @param {string} id - Item id
+   */
+  setSelected(id) {
+    if (id === this.selectedId) return;
+    const previousId = this.selectedId;
+    this.selectedId = id;
+    this.buttons
+      .filter((button) => button.id === previousId || button.id === id)
+      .forEach((button) => this.redrawButton(button));
+  }
+
+  setHovered(id) {
+    if (id === this.hoveredId) return;
+    const previousId = this.hoveredId;
+    this.hoveredId = id;
+    this.buttons
+      .filter((button) => button.id === previousId || button.id === id)
+      .forEach((button) => this.redrawButton(button));
+  }
+
+  /**
+   * @param {boolean} isOpen - Forced state; toggles when omitted
+   */
+  toggle(isOpen = !this.isOpen) {
+    this.isOpen = isOpen;
+  }
+
+  /**
+   * Chooses the item under the pointing ray, if any.
+   * @returns {boolean} Whether an item was chosen
+   */
+  selectHovered() {
+    if (!this.hoveredId) return false;
+    this.onSelect(this.hoveredId);
+    return true;
+  }
+
+  /**
+   * Finds the button under the pointing ray and checks whether a button is
+   * being poked.
+   * @param {THREE.Vector3} pointer - World position of the poking hand
+   * @param {THREE.Ray} ray - World space ray of the pointing controller
+   * @returns {number|null} Distance along the ray to the pointed button
+   */
+  update(pointer, ray = null) {
+    this.panel.visible = this.isOpen && this.controller.visible;
+    if (!this.panel.visible) {
+      this.setHovered(null);
+      this.pokedId = null;
+      return null;
+    }
+
+    let hit = null;
+    if (ray) {
+      _raycaster.ray.copy(ray);
+      [hit = null] = _raycaster.intersectObjects(
+        this.buttons.map((button) => button.mesh),
+        false,
+      );
+    }
+    this.setHovered(
+      this.buttons.find((button) => button.mesh === hit?.object)?.id ?? null,
+    );
+
+    const poked = this.buttons.find(
+      (button) =>
+        button.mesh.getWorldPosition(_buttonPosition).distanceTo(pointer) <
+        POKE_RADIUS,
+    );
+
+    // A button fires once per poke, until the hand moves away
+    if (poked && poked.id !== this.pokedId) this.onSelect(poked.id);
+    this.pokedId = poked?.id ?? null;
+
+    return hit?.distance ?? null;
+  }
+
+  dispose() {
+    this.controller.remove(this.panel);
+    this.panel.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        child.material.map?.dispose();
+        child.material.dispose();
+      }
+    });
+  }
+}
@@ -0,0 +1,354 @@
+import * as THREE from 'three';
+import { GAME_EVENTS } from '../EventBus.js';
+import { BITE_EVENTS } from '../FishManager.js';
+import { DAY_PHASES } from '../celestials/CelestialManager.js';
+import { LAKE_RADIUS, WATER_LEVEL } from '../Environment.js';
+import { SoundSynth } from './SoundSynth.js';
+
+export const AUDIO_BUSES = {
+  MASTER: 'master',
+  MUSIC: 'music',
+  SFX: 'sfx',
+  AMBIENCE: 'ambience',
+};
+
+export const DEFAULT_VOLUMES = {
+  [AUDIO_BUSES.MASTER]: 0.8,
+  [AUDIO_BUSES.MUSIC]: 0.5,
+  [AUDIO_BUSES.SFX]: 1,
+  [AUDIO_BUSES.AMBIENCE]: 0.6,
+};
+
+// Effects that can sound at the same time
+const SFX_VOICES = 8;
+// Time constants of the volume changes in seconds
+const VOLUME_FADE_TIME = 0.05;
+const WILDLIFE_FADE_TIME = 4;
+// Retrieve speed (m/s) at which the reel clicks at its recorded rate
+const REEL_REFERENCE_SPEED = 0.8;
+// Cast speed (m/s) that gives a full volume whoosh
+const WHOOSH_FULL_SPEED = 10;
+const FISH_SPLASH_SIZE = 2;
+
+// Volume of the birds and the crickets in each phase of the day
+const WILDLIFE_LEVELS = {
+  [DAY_PHASES.DAWN]: { birds: 1, crickets: 0.3 },
+  [DAY_PHASES.DAY]: { birds: 0.6, crickets: 0 },
+  [DAY_PHASES.DUSK]: { birds: 0.3, crickets: 0.6 },
+  [DAY_PHASES.NIGHT]: { birds: 0, crickets: 1 },
+};
+
+// Ambience emitters on the meadow around the lake
+const WIND_POSITIONS = [
+  new THREE.Vector3(-8, 0.5, 3),
+  new THREE.Vector3(7, 0.5, -6),
+];
+const BIRD_POSITIONS = [
+  new THREE.Vector3(-7, 4, -8),
+  new THREE.Vector3(9, 3, 2),
+];
+const CRICKET_POSITIONS = [
+  new THREE.Vector3(-6, 0, 6),
+  new THREE.Vector3(6, 0, -3),
+];
+
+/**
+ * AudioManager plays the sounds of the lake in 3D around the player.
+ * Key technical features include:
+ * - THREE.AudioListener on the camera and THREE.PositionalAudio emitters
+ * - Sounds synthesized procedurally with WebAudio (SoundSynth), so there
+ *   is nothing to download
+ * - Master, music, sfx and ambience volume buses
+ * - Lake and wind ambience, with birds by day and crickets by night
+ *   following the day phase
+ * - Effects driven by the event bus: cast whoosh, lure and fish splashes,
+ *   bite plops at the bobber and the reel ratchet while retrieving
+ */
+export class AudioManager {
+  /**
+   * @param {THREE.Camera} camera - Camera the listener is attached to
+   * @param {THREE.Scene} scene - Scene the sound emitters are added to
+   * @param {EventBus} events - Optional bus with the gameplay events
+   * @param {object} volumes - Initial volume (0-1) of each AUDIO_BUSES bus
+   */
+  constructor(camera, scene, events = null, volumes = DEFAULT_VOLUMES) {
+    this.scene = scene;
+    this.events = events;
+    this.listener = new THREE.AudioListener();
+    camera.add(this.listener);
+    this.context = this.listener.context;
+    this.rod = null;
+    this.reelSound = null;
+    this.wasRetrieving = false;
+
+    this.buses = this.createBuses();
+    this.setVolumes(volumes);
+    this.buffers = this.createBuffers();
+    this.emitters = [];
+    this.createAmbience();
+    this.voices = Array.from({ length: SFX_VOICES }, () =>
+      this.addEmitter(AUDIO_BUSES.SFX, new THREE.Vector3(), {
+        refDistance: 2,
+      }),
+    );
+    this.subscribeToEvents();
+  }
+
+  /**
+   * The master bus is the listener gain; the other buses mix into it.
+   * @returns {object} GainNode of each bus
+   */
+  createBuses() {
+    const buses = { [AUDIO_BUSES.MASTER]: this.listener.gain };
+    [AUDIO_BUSES.MUSIC, AUDIO_BUSES.SFX, AUDIO_BUSES.AMBIENCE].forEach(
+      (bus) => {
+        buses[bus] = this.context.createGain();
+        buses[bus].connect(this.listener.getInput());
+      },
+    );
+    return buses;
+  }
+
+  createBuffers() {
+    const synth = new SoundSynth(this.context);
+    return {
+      lake: synth.createLakeLoop(),
+      wind: synth.createWindLoop(),
+      birds: synth.createBirdsLoop(),
+      crickets: synth.createCricketsLoop(),
+      reel: synth.createReelLoop(),
+      whoosh: synth.createWhoosh(),
+      splash: synth.createSplash(),
+      fishSplash: synth.createSplash(FISH_SPLASH_SIZE),
+      plop: synth.createPlop(),
+      thud: synth.createThud(),
+    };
+  }
+
+  createAmbience() {
+    const { lake, wind, birds, crickets } = this.buffers;
+    this.playLoop(
+      this.addEmitter(
+        AUDIO_BUSES.AMBIENCE,
+        new THREE.Vector3(0, WATER_LEVEL, 0),
+        { refDistance: LAKE_RADIUS },
+      ),
+      lake,
+    );
+    WIND_POSITIONS.forEach((position) =>
+      this.playLoop(
+        this.addEmitter(AUDIO_BUSES.AMBIENCE, position, { refDistance: 3 }),
+        wind,
+        0.5,
+      ),
+    );
+
+    // Silent until the first day phase arrives
+    this.birds = BIRD_POSITIONS.map((position) =>
+      this.playLoop(
+        this.addEmitter(AUDIO_BUSES.AMBIENCE, position, { refDistance: 4 }),
+        birds,
+        0,
+      ),
+    );
+    this.crickets = CRICKET_POSITIONS.map((position) =>
+      this.playLoop(
+        this.addEmitter(AUDIO_BUSES.AMBIENCE, position, { refDistance: 3 }),
+        crickets,
+        0,
+      ),
+    );
+  }
+
+  /**
+   * Creates a positional sound routed to a bus.
+   * @param {string} bus - One of AUDIO_BUSES
+   * @param {THREE.Vector3} position - Position in the parent
+   * @param {object} options - refDistance (full volume distance) and parent
+   *   (the scene by default)
+   * @returns {THREE.PositionalAudio}
+   */
+  addEmitter(bus, position, { refDistance = 1, parent = this.scene } = {}) {
+    const sound = new THREE.PositionalAudio(this.listener);
+    sound.gain.disconnect();
+    sound.gain.connect(this.buses[bus]);
+    sound.setRefDistance(refDistance);
+    sound.position.copy(position);
+    parent.add(sound);
+    this.emitters.push(sound);
+    return sound;
+  }
+
+  /**
+   * Starts a looping sound at a random point, so emitters sharing a buffer
+   * are not in phase.
+   * @param {THREE.PositionalAudio} sound - Emitter to play on
+   * @param {AudioBuffer} buffer - Loop to play
+   * @param {number} volume - Emitter volume from 0 to 1
+   * @returns {THREE.PositionalAudio} The sound
+   */
+  playLoop(sound, buffer, volume = 1) {
+    sound.setBuffer(buffer).setLoop(true).setVolume(volume);
+    sound.offset = Math.random() * buffer.duration;
+    sound.play();
+    return sound;
+  }
+
+  /**
+   * Plays a one-shot effect at a point of the scene, on a free voice or
+   * else on the one that started first.
+   * @param {AudioBuffer} buffer - Effect to play
+   * @param {THREE.Vector3} position - World position of the effect
+   * @param {object} options - volume and playbackRate
+   */
+  playAt(buffer, position, { volume = 1, playbackRate = 1 } = {}) {
+    const voice =
+      this.voices.find((sound) => !sound.isPlaying) ??
+      this.voices.reduce((oldest, sound) =>
+        sound.userData.startTime < oldest.userData.startTime ? sound : oldest,
+      );
+    if (voice.isPlaying) voice.stop();
+
+    voice.position.copy(position);
+    voice.updateMatrixWorld();
+    voice.setBuffer(buffer).setVolume(volume).setPlaybackRate(playbackRate);
+    voice.userData.startTime = this.context.currentTime;
+    voice.play();
+  }
+
+  /**
+   * Attaches the reel ratchet to the rod and plays the cast whoosh from
+   * its tip.
+   * @param {FishingRod} rod - Initialized fishing rod
+   */
+  setRod(rod) {
+    this.rod = rod;
+    this.reelSound = this.playLoop(
+      this.addEmitter(AUDIO_BUSES.SFX, new THREE.Vector3(), {
+        refDistance: 0.5,
+        parent: rod.reel,
+      }),
+      this.buffers.reel,
+      0,
+    );
+  }
+
+  /**
+   * Plays the effects of the gameplay events.
+   */
+  subscribeToEvents() {
+    if (!this.events) return;
+
+    this.events.on(GAME_EVENTS.CAST, ({ velocity }) => {
+      this.playAt(
+        this.buffers.whoosh,
+        this.rod?.tipPosition ??
+          this.listener.getWorldPosition(new THREE.Vector3()),
+        {
+          volume: THREE.MathUtils.clamp(
+            velocity.length() / WHOOSH_FULL_SPEED,
+            0.3,
+            1,
+          ),
+        },
+      );
+    });
+    this.events.on(GAME_EVENTS.LURE_LANDED, ({ position, isInWater }) => {
+      if (isInWater) this.playAt(this.buffers.splash, position);
+    });
+    // The bobber dips on a nibble and goes under on the strike
+    this.events.on(GAME_EVENTS.BITE, ({ stage, fish }) => {
+      if (stage !== BITE_EVENTS.NIBBLE && stage !== BITE_EVENTS.STRIKE) return;
+      const isStrike = stage === BITE_EVENTS.STRIKE;
+      this.playAt(
+        this.buffers.plop,
+        this.rod?.bobber.position ?? fish.position,
+        {
+          volume: isStrike ? 1 : 0.5,
+          playbackRate: isStrike ? 0.7 : 1,
+        },
+      );
+    });
+    this.events.on(GAME_EVENTS.FISH_TOUCHDOWN, ({ position, isInWater }) => {
+      this.playAt(
+        isInWater ? this.buffers.fishSplash : this.buffers.thud,
+        position,
+      );
+    });
+    this.events.on(GAME_EVENTS.DAY_PHASE_CHANGED, ({ to }) =>
+      this.setDayPhase(to),
+    );
+  }
+
+  /**
+   * Fades the birds and the crickets to the levels of a day phase.
+   * @param {string} dayPhase - One of DAY_PHASES
+   */
+  setDayPhase(dayPhase) {
+    const { birds, crickets } = WILDLIFE_LEVELS[dayPhase];
+    const time = this.context.currentTime;
+    this.birds.forEach((sound) =>
+      sound.gain.gain.setTargetAtTime(birds, time, WILDLIFE_FADE_TIME),
+    );
+    this.crickets.forEach((sound) =>
+      sound.gain.gain.setTargetAtTime(crickets, time, WILDLIFE_FADE_TIME),
+    );
+  }
+
+  /**
+   * @param {string} bus - One of AUDIO_BUSES
+   * @param {number} volume - Volume from 0 to 1
+   */
+  setVolume(bus, volume) {
+    if (!this.buses[bus]) throw new Error(`Unknown audio bus: ${bus}`);
+    this.buses[bus].gain.setTargetAtTime(
+      THREE.MathUtils.clamp(volume, 0, 1),
+      this.context.currentTime,
+      VOLUME_FADE_TIME,
+    );
+  }
+
+  /**
+   * @param {object} volumes - Volume (0-1) by AUDIO_BUSES bus
+   */
+  setVolumes(volumes) {
+    Object.entries(volumes).forEach(([bus, volume]) =>
+      this.setVolume(bus, volume),
+    );
+  }
+
+  /**
+   * Browsers keep audio suspended until the first user gesture.
+   */
+  resume() {
+    if (this.context.state === 'suspended') this.context.resume();
+  }
+
+  /**
+   * Follows the line retrieve speed with the reel ratchet: louder and
+   * faster clicks the faster the line comes in.
+   */
+  update() {
+    if (!this.reelSound) return;
+
+    const isRetrieving = this.rod.isRetrieving();
+    if (isRetrieving) {
+      const ratio = this.rod.retrieveSpeed / REEL_REFERENCE_SPEED;
+      this.reelSound
+        .setVolume(Math.min(ratio, 1))
+        .setPlaybackRate(THREE.MathUtils.clamp(ratio, 0.5, 2.5));
+    } else if (this.wasRetrieving) {
+      this.reelSound.setVolume(0);
+    }
+    this.wasRetrieving = isRetrieving;
+  }
+
+  dispose() {
+    this.emitters.forEach((sound) => {
+      if (sound.isPlaying) sound.stop();
+      sound.removeFromParent();
+    });
+    this.emitters = [];
+    this.listener.removeFromParent();
+  }
+}
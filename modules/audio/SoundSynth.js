@@ -0,0 +1,264 @@
+const TWO_PI = Math.PI * 2;
+
+// Seconds of a loop end crossfaded into its start
+const LOOP_CROSSFADE = 0.5;
+// Peak sample value of every rendered sound
+const PEAK_LEVEL = 0.9;
+const CRICKET_CHIRP_LENGTH = 0.12;
+const CRICKET_PULSE_LENGTH = 0.03;
+const REEL_CLICK_INTERVAL = 0.025;
+
+const noise = () => Math.random() * 2 - 1;
+
+/**
+ * Creates a one-pole low-pass filter with its own state.
+ * @param {number} sampleRate - Samples per second
+ * @returns {Function} (input, cutoff in Hz) => filtered sample
+ */
+function createLowPass(sampleRate) {
+  let value = 0;
+  return (input, cutoff) => {
+    value += (1 - Math.exp((-TWO_PI * cutoff) / sampleRate)) * (input - value);
+    return value;
+  };
+}
+
+/**
+ * SoundSynth renders the game sounds procedurally into audio buffers, so no
+ * sound asset has to be downloaded.
+ * Key technical features include:
+ * - White and brown noise shaped by one-pole filters and envelopes
+ * - Seamless ambience loops: periodic modulations that divide the loop
+ *   length and a crossfade of the rendered tail into the head
+ * - Frequency-swept sines for bird chirps, crickets and bubble plops
+ * - Peak normalization, so the mix levels are set on playback
+ */
+export class SoundSynth {
+  /**
+   * @param {BaseAudioContext} context - Context the buffers are created for
+   */
+  constructor(context) {
+    this.context = context;
+    this.sampleRate = context.sampleRate;
+  }
+
+  /**
+   * Renders a mono buffer sample by sample.
+   * @param {number} duration - Length in seconds
+   * @param {Function} sample - Returns the sample at a time in seconds
+   * @param {boolean} isLoop - Whether the buffer is played in a loop
+   * @returns {AudioBuffer}
+   */
+  render(duration, sample, isLoop = false) {
+    const length = Math.round(duration * this.sampleRate);
+    const tail = isLoop ? Math.round(LOOP_CROSSFADE * this.sampleRate) : 0;
+    const samples = new Float32Array(length + tail);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = sample(i / this.sampleRate);
+    }
+
+    // The tail continues the end of the loop, so fading it out over the
+    // head hides the seam
+    for (let i = 0; i < tail; i++) {
+      const fade = i / tail;
+      samples[i] = samples[i] * fade + samples[length + i] * (1 - fade);
+    }
+
+    let peak = 0;
+    for (let i = 0; i < length; i++) {
+      peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    const gain = peak > 0 ? PEAK_LEVEL / peak : 0;
+
+    const buffer = this.context.createBuffer(1, length, this.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) data[i] = samples[i] * gain;
+    return buffer;
+  }
+
+  /**
+   * Low rumble of the lake with small waves lapping at the shore.
+   * @returns {AudioBuffer} 6 second loop
+   */
+  createLakeLoop() {
+    const lowPass = createLowPass(this.sampleRate);
+    let brown = 0;
+    return this.render(
+      6,
+      (t) => {
+        brown = (brown + 0.02 * noise()) / 1.02;
+        const lapping =
+          0.6 + 0.4 * Math.sin((TWO_PI * t) / 2) * Math.sin((TWO_PI * t) / 3);
+        return lowPass(brown, 400 + 400 * lapping) * lapping;
+      },
+      true,
+    );
+  }
+
+  /**
+   * Wind rustling the grass, in slow gusts.
+   * @returns {AudioBuffer} 8 second loop
+   */
+  createWindLoop() {
+    const lowPass = createLowPass(this.sampleRate);
+    const rumble = createLowPass(this.sampleRate);
+    return this.render(
+      8,
+      (t) => {
+        const gust =
+          0.55 +
+          0.3 * Math.sin((TWO_PI * t) / 8) +
+          0.15 * Math.sin((TWO_PI * t) / 2 + 1);
+        const band = lowPass(noise(), 500 + 1500 * gust);
+        return (band - rumble(band, 200)) * gust;
+      },
+      true,
+    );
+  }
+
+  /**
+   * A few phrases of bird song separated by silence.
+   * @returns {AudioBuffer} 7 second loop
+   */
+  createBirdsLoop() {
+    const duration = 7;
+    const chirps = [];
+    for (let phrase = 0; phrase < 4; phrase++) {
+      const pitch = 2500 + Math.random() * 2000;
+      const count = 2 + Math.floor(Math.random() * 4);
+      let start = Math.random() * (duration - 1);
+      for (let i = 0; i < count; i++) {
+        const length = 0.05 + Math.random() * 0.08;
+        chirps.push({
+          start,
+          length,
+          from: pitch,
+          to: pitch * (0.7 + Math.random() * 0.8),
+        });
+        start += length + 0.03 + Math.random() * 0.06;
+      }
+    }
+
+    return this.render(
+      duration,
+      (t) =>
+        chirps.reduce((sum, { start, length, from, to }) => {
+          const progress = (t - start) / length;
+          if (progress < 0 || progress > 1) return sum;
+          // Phase of a linear sweep from one pitch to the other
+          const phase =
+            TWO_PI *
+            length *
+            (from * progress + ((to - from) * progress * progress) / 2);
+          return sum + Math.sin(phase) * Math.sin(Math.PI * progress);
+        }, 0),
+      true,
+    );
+  }
+
+  /**
+   * Two crickets chirping at their own pitch and rate.
+   * @returns {AudioBuffer} 4 second loop
+   */
+  createCricketsLoop() {
+    // Chirp periods and pitches fit a whole number of times in the loop
+    const crickets = [
+      { pitch: 4500, period: 0.5, offset: 0 },
+      { pitch: 4900, period: 0.8, offset: 0.3 },
+    ];
+    return this.render(
+      4,
+      (t) =>
+        crickets.reduce((sum, { pitch, period, offset }) => {
+          const chirpTime = (t + offset) % period;
+          if (chirpTime > CRICKET_CHIRP_LENGTH) return sum;
+          const pulse =
+            Math.sin((Math.PI * chirpTime) / CRICKET_PULSE_LENGTH) ** 2;
+          return sum + Math.sin(TWO_PI * pitch * t) * pulse;
+        }, 0),
+      true,
+    );
+  }
+
+  /**
+   * Ratchet clicks of the reel; played faster the faster line comes in.
+   * @returns {AudioBuffer} Loop of 10 clicks in 0.25 seconds
+   */
+  createReelLoop() {
+    return this.render(0.25, (t) => {
+      const clickTime = t % REEL_CLICK_INTERVAL;
+      return (
+        0.5 * noise() * Math.exp(-clickTime * 1500) +
+        Math.sin(TWO_PI * 3200 * clickTime) * Math.exp(-clickTime * 600)
+      );
+    });
+  }
+
+  /**
+   * Swish of the rod and line through the air.
+   * @returns {AudioBuffer}
+   */
+  createWhoosh() {
+    const lowPass = createLowPass(this.sampleRate);
+    const duration = 0.5;
+    return this.render(duration, (t) => {
+      const envelope = Math.sin((Math.PI * t) / duration) ** 2;
+      return lowPass(noise(), 300 + 2500 * envelope) * envelope;
+    });
+  }
+
+  /**
+   * Something hitting the water, followed by a few droplets.
+   * @param {number} size - 1 for a lure, bigger for heavier objects
+   * @returns {AudioBuffer}
+   */
+  createSplash(size = 1) {
+    const lowPass = createLowPass(this.sampleRate);
+    const duration = 0.4 + 0.3 * size;
+    const droplets = Array.from({ length: Math.round(4 * size) }, () => ({
+      start: 0.05 + Math.random() * (duration - 0.15),
+      pitch: 700 + Math.random() * 900,
+    }));
+
+    return this.render(duration, (t) => {
+      const impact = lowPass(noise(), 3500 / size) * Math.exp((-t * 10) / size);
+      const drops = droplets.reduce((sum, { start, pitch }) => {
+        const dropTime = t - start;
+        if (dropTime < 0) return sum;
+        return (
+          sum +
+          0.3 *
+            Math.sin(TWO_PI * pitch * (1 + 2 * dropTime) * dropTime) *
+            Math.exp(-dropTime * 60)
+        );
+      }, 0);
+      return impact + drops;
+    });
+  }
+
+  /**
+   * Bubble plop of the bobber dipping under the surface.
+   * @returns {AudioBuffer}
+   */
+  createPlop() {
+    return this.render(0.2, (t) => {
+      // Rising pitch of the bubble closing under water
+      const phase = TWO_PI * (300 * t + 2000 * t * t);
+      return Math.sin(phase) * Math.exp(-t * 30);
+    });
+  }
+
+  /**
+   * Dull thud of a fish falling on the grass.
+   * @returns {AudioBuffer}
+   */
+  createThud() {
+    const lowPass = createLowPass(this.sampleRate);
+    return this.render(
+      0.25,
+      (t) =>
+        (lowPass(noise(), 400) + 0.8 * Math.sin(TWO_PI * 90 * t)) *
+        Math.exp(-t * 25),
+    );
+  }
+}
@@ -3,6 +3,16 @@ import { Sun } from './Sun.js';
 import { Moon } from './Moon.js';
 import { Stars } from './Stars.js';
 
+export const DAY_PHASES = {
+  DAWN: 'dawn',
+  DAY: 'day',
+  DUSK: 'dusk',
+  NIGHT: 'night',
+};
+
+// Sun height (sine of its angle) below which dawn/dusk begin or end
+const TWILIGHT_HEIGHT = 0.25;
+
 export class CelestialManager {
   constructor(scene) {
     this.scene = scene;
@@ -10,10 +20,12 @@ export class CelestialManager {
     this.sun = new Sun(scene);
     this.moon = new Moon(scene);
     this.stars = new Stars(scene);
+    this.sunAngle = 0;
   }
 
   update(time) {
     const angle = time * 0.02;
+    this.sunAngle = angle;
 
     // Update all celestial objects
     this.sky.update(time);
@@ -22,6 +34,18 @@ export class CelestialManager {
     this.stars.update(time);
   }
 
+  /**
+   * Current phase of the day/night cycle, from the sun height and whether
+   * it is rising or setting.
+   * @returns {string} One of DAY_PHASES
+   */
+  getDayPhase() {
+    const sunHeight = Math.sin(this.sunAngle);
+    if (sunHeight >= TWILIGHT_HEIGHT) return DAY_PHASES.DAY;
+    if (sunHeight <= -TWILIGHT_HEIGHT) return DAY_PHASES.NIGHT;
+    return Math.cos(this.sunAngle) > 0 ? DAY_PHASES.DAWN : DAY_PHASES.DUSK;
+  }
+
   dispose() {
     this.sky.dispose();
     this.sun.dispose();